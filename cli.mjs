@@ -0,0 +1,310 @@
+/**
+ * Grocy command-line interface
+ *
+ * Connection settings are read from the --url/--api-key options, the GROCY_URL/GROCY_API_KEY environment variables
+ * or a JSON config file ({ "baseUrl": ..., "apiKey": ... }), in that order.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import Grocy, { formatCsv } from './index.mjs';
+
+const USAGE = `Usage: grocy <command> [options]
+
+Commands:
+  stock list                          List the products in stock
+  stock add <barcode>                 Add a product to stock
+      --amount <n>                    Amount to add (default 1)
+      --best-before <YYYY-MM-DD>      Best before date
+      --price <n>                     Price per unit
+      --location <id>                 Location ID
+  consume <barcode>                   Consume a product
+      --amount <n>                    Amount to consume (default 1)
+      --spoiled                       Mark the consumed amount as spoiled
+  shopping-list list                  List the shopping list items
+  shopping-list add-missing           Add all products below their min. stock amount
+      --list <id>                     Shopping list ID (default 1)
+  chore list                          List all chores
+  chore execute <id>                  Track an execution of a chore
+      --done-by <user-id>             User who executed the chore
+  task list                           List all tasks
+  task complete <id>                  Mark a task as completed
+
+Options:
+  --format <table|json|csv>           Output format (default table)
+  --url <url>                         Grocy base URL (env GROCY_URL)
+  --api-key <key>                     Grocy API key (env GROCY_API_KEY)
+  --config <path>                     Config file (env GROCY_CONFIG, default ~/.config/grocy/config.json)
+  -h, --help                          Show this help
+`;
+
+const OPTIONS = {
+  amount: { type: 'string' },
+  'best-before': { type: 'string' },
+  price: { type: 'string' },
+  location: { type: 'string' },
+  spoiled: { type: 'boolean' },
+  list: { type: 'string' },
+  'done-by': { type: 'string' },
+  format: { type: 'string', default: 'table' },
+  url: { type: 'string' },
+  'api-key': { type: 'string' },
+  config: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Error for invalid command-line input, reported together with the usage
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse a numeric option
+ * @param {string} value - Option value
+ * @param {string} name - Option name
+ * @returns {number|undefined} - Parsed number
+ */
+function parseNumber(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number)) {
+    throw new UsageError(`--${name} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse a required ID argument
+ * @param {string} value - Argument value
+ * @param {string} name - Argument name
+ * @returns {number} - Parsed ID
+ */
+function parseId(value, name) {
+  if (!/^\d+$/.test(value ?? '')) {
+    throw new UsageError(`A numeric ${name} is required`);
+  }
+  return Number(value);
+}
+
+/**
+ * Get a required positional argument
+ * @param {string} value - Argument value
+ * @param {string} name - Argument name
+ * @returns {string} - The argument
+ */
+function required(value, name) {
+  if (!value) {
+    throw new UsageError(`A ${name} is required`);
+  }
+  return value;
+}
+
+const STOCK_BOOKING_COLUMNS = [
+  ['Transaction', 'transaction_id'],
+  ['Product', 'product_id'],
+  ['Amount', 'amount'],
+  ['Best before', 'best_before_date'],
+];
+
+// Each command returns the data to print, the columns for table and CSV output, and a summary for table output
+const COMMANDS = {
+  'stock list': async (client) => ({
+    data: await client.getStock(),
+    columns: [
+      ['ID', 'product_id'],
+      ['Product', (row) => row.product?.name],
+      ['Amount', 'amount'],
+      ['Opened', 'amount_opened'],
+      ['Best before', 'best_before_date'],
+    ],
+  }),
+  'stock add': async (client, [barcode], options) => {
+    const amount = parseNumber(options.amount, 'amount') ?? 1;
+    const data = await client.addProductToStockByBarcode(required(barcode, 'barcode'), {
+      amount,
+      best_before_date: options['best-before'],
+      price: parseNumber(options.price, 'price'),
+      location_id: parseNumber(options.location, 'location'),
+    });
+    return { data, columns: STOCK_BOOKING_COLUMNS, message: `Added ${amount} of ${barcode}` };
+  },
+  consume: async (client, [barcode], options) => {
+    const amount = parseNumber(options.amount, 'amount') ?? 1;
+    const data = await client.consumeProductByBarcode(required(barcode, 'barcode'), {
+      amount,
+      spoiled: options.spoiled ?? false,
+    });
+    return { data, columns: STOCK_BOOKING_COLUMNS, message: `Consumed ${amount} of ${barcode}` };
+  },
+  'shopping-list list': async (client) => ({
+    data: await client.getObjects('shopping_list'),
+    columns: [
+      ['ID', 'id'],
+      ['List', 'shopping_list_id'],
+      ['Product', 'product_id'],
+      ['Amount', 'amount'],
+      ['Note', 'note'],
+      ['Done', 'done'],
+    ],
+  }),
+  'shopping-list add-missing': async (client, args, options) => {
+    const listId = options.list === undefined ? 1 : parseId(options.list, 'shopping list ID');
+    const data = await client.addMissingProductsToShoppingList({ list_id: listId });
+    return { data, message: `Added missing products to shopping list ${listId}` };
+  },
+  'chore list': async (client) => ({
+    data: await client.getChores(),
+    columns: [
+      ['ID', 'chore_id'],
+      ['Chore', 'chore_name'],
+      ['Last tracked', 'last_tracked_time'],
+      ['Next', 'next_estimated_execution_time'],
+    ],
+  }),
+  'chore execute': async (client, [id], options) => {
+    const choreId = parseId(id, 'chore ID');
+    const data = await client.executeChore(choreId, {
+      done_by: options['done-by'] === undefined ? undefined : parseId(options['done-by'], 'user ID'),
+    });
+    return { data, message: `Executed chore ${choreId}` };
+  },
+  'task list': async (client) => ({
+    data: await client.getTasks(),
+    columns: [
+      ['ID', 'id'],
+      ['Task', 'name'],
+      ['Due', 'due_date'],
+      ['Done', 'done'],
+    ],
+  }),
+  'task complete': async (client, [id]) => {
+    const taskId = parseId(id, 'task ID');
+    const data = await client.completeTask(taskId);
+    return { data, message: `Completed task ${taskId}` };
+  },
+};
+
+/**
+ * Get the cell values of a row
+ * @param {Object} row - Data row
+ * @param {Array} columns - Column definitions ([header, key or getter])
+ * @returns {string[]} - Cell values
+ */
+function getCells(row, columns) {
+  return columns.map(([, key]) => {
+    const value = typeof key === 'function' ? key(row) : row[key];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Format rows as an aligned text table
+ * @param {Object[]} rows - Data rows
+ * @param {Array} columns - Column definitions ([header, key or getter])
+ * @returns {string} - Table
+ */
+export function formatTable(rows, columns) {
+  const lines = [columns.map(([header]) => header), ...rows.map((row) => getCells(row, columns))];
+  const widths = columns.map((_, i) => Math.max(...lines.map((cells) => cells[i].length)));
+  return lines.map((cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Format a command result
+ * @param {Object} result - Command result ({ data, columns, message })
+ * @param {string} format - Output format (table, json or csv)
+ * @returns {string} - Output text
+ */
+function formatResult({ data, columns, message }, format) {
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2);
+  }
+
+  const rows = Array.isArray(data) ? data : [data];
+  const fallbackColumns = Object.keys(rows[0] ?? {}).map((key) => [key, key]);
+  if (format === 'csv') {
+    return formatCsv(rows, columns ?? fallbackColumns);
+  }
+  return message ?? formatTable(rows, columns ?? fallbackColumns);
+}
+
+/**
+ * Load the connection settings
+ * @param {Object} options - Parsed command-line options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Settings ({ baseUrl, apiKey })
+ */
+async function loadSettings(options, env) {
+  const configDir = env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  const configPath = options.config ?? env.GROCY_CONFIG ?? join(configDir, 'grocy', 'config.json');
+
+  let config = {};
+  try {
+    config = JSON.parse(await readFile(configPath, 'utf8'));
+  } catch (error) {
+    // The default config file is optional, an explicitly named one is not
+    if (error.code !== 'ENOENT' || options.config || env.GROCY_CONFIG) {
+      throw new Error(`Could not read config file ${configPath}: ${error.message}`, { cause: error });
+    }
+  }
+
+  const baseUrl = options.url ?? env.GROCY_URL ?? config.baseUrl;
+  const apiKey = options['api-key'] ?? env.GROCY_API_KEY ?? config.apiKey;
+  if (!baseUrl || !apiKey) {
+    throw new UsageError(
+      'The Grocy URL and API key are required (--url/--api-key, GROCY_URL/GROCY_API_KEY or config file)',
+    );
+  }
+  return { baseUrl, apiKey };
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command-line arguments (without the node and script paths)
+ * @param {Object} io - Environment and output streams
+ * @param {Object} io.env - Environment variables (default process.env)
+ * @param {Object} io.stdout - Output stream (default process.stdout)
+ * @param {Object} io.stderr - Error stream (default process.stderr)
+ * @returns {Promise<number>} - Exit code
+ */
+export async function run(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  try {
+    const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    if (options.help || positionals.length === 0 || positionals[0] === 'help') {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (!FORMATS.includes(options.format)) {
+      throw new UsageError(`Unknown format "${options.format}", expected one of ${FORMATS.join(', ')}`);
+    }
+
+    const name = [positionals.slice(0, 2).join(' '), positionals[0]].find((candidate) => COMMANDS[candidate]);
+    if (!name) {
+      throw new UsageError(`Unknown command "${positionals.slice(0, 2).join(' ')}"`);
+    }
+
+    const client = new Grocy(await loadSettings(options, env));
+    const args = positionals.slice(name.split(' ').length);
+    const result = await COMMANDS[name](client, args, options);
+    stdout.write(`${formatResult(result, options.format)}\n`);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write(`grocy: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    stderr.write(`grocy: ${error.message}\n`);
+    return 1;
+  }
+}
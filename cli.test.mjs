@@ -0,0 +1,184 @@
+/**
+ * Tests for the grocy command-line interface
+ *
+ * Run with: node --test cli.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { run, formatTable } from './cli.mjs';
+import { formatCsv } from './index.mjs';
+
+const ENV = { GROCY_URL: 'https://grocy.example.com', GROCY_API_KEY: 'test-api-key', GROCY_CONFIG: undefined };
+
+// Helper to create a mock response
+function createMockResponse(status, data) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers({ 'content-type': 'application/json' }),
+    json: () => Promise.resolve(data),
+    text: () => Promise.resolve(JSON.stringify(data)),
+  };
+}
+
+// Helper to run the CLI and capture its output
+async function runCli(argv, env = ENV) {
+  const output = { stdout: '', stderr: '' };
+  output.code = await run(argv, {
+    env,
+    stdout: { write: (text) => (output.stdout += text) },
+    stderr: { write: (text) => (output.stderr += text) },
+  });
+  return output;
+}
+
+test('CLI commands', async (t) => {
+  const stock = [
+    { product_id: 1, amount: 2, amount_opened: 0, best_before_date: '2026-12-01', product: { name: 'Milk' } },
+    { product_id: 12, amount: 10, amount_opened: 1, best_before_date: '2027-01-15', product: { name: 'Eggs, large' } },
+  ];
+  const fetchMock = t.mock.method(global, 'fetch', (url) => {
+    const data = new URL(url).pathname === '/api/stock' ? stock : [{ transaction_id: 'x1' }];
+    return Promise.resolve(createMockResponse(200, data));
+  });
+
+  // Test stock list in every output format
+  const table = await runCli(['stock', 'list']);
+  assert.strictEqual(table.code, 0);
+  assert.strictEqual(
+    table.stdout,
+    [
+      'ID  Product      Amount  Opened  Best before',
+      '1   Milk         2       0       2026-12-01',
+      '12  Eggs, large  10      1       2027-01-15',
+      '',
+    ].join('\n'),
+  );
+  assert.strictEqual(fetchMock.mock.calls[0].arguments[1].headers['GROCY-API-KEY'], 'test-api-key');
+
+  const json = await runCli(['stock', 'list', '--format', 'json']);
+  assert.deepStrictEqual(JSON.parse(json.stdout), stock);
+
+  const csv = await runCli(['stock', 'list', '--format=csv']);
+  assert.strictEqual(
+    csv.stdout,
+    'ID,Product,Amount,Opened,Best before\r\n1,Milk,2,0,2026-12-01\r\n12,"Eggs, large",10,1,2027-01-15\n',
+  );
+
+  // Test the action commands send the right requests
+  const actions = [
+    [
+      ['stock', 'add', '4006381333931', '--amount', '2', '--best-before', '2026-12-01', '--price', '1.99'],
+      '/api/stock/products/by-barcode/4006381333931/add',
+      { amount: 2, best_before_date: '2026-12-01', price: 1.99 },
+      'Added 2 of 4006381333931',
+    ],
+    [
+      ['consume', '4006381333931', '--spoiled'],
+      '/api/stock/products/by-barcode/4006381333931/consume',
+      { amount: 1, spoiled: true },
+      'Consumed 1 of 4006381333931',
+    ],
+    [
+      ['shopping-list', 'add-missing', '--list', '2'],
+      '/api/stock/shoppinglist/add-missing-products',
+      { list_id: 2 },
+      'Added missing products to shopping list 2',
+    ],
+    [['chore', 'execute', '3', '--done-by', '1'], '/api/chores/3/execute', { done_by: 1 }, 'Executed chore 3'],
+    [['task', 'complete', '7'], '/api/tasks/7/complete', {}, 'Completed task 7'],
+  ];
+  for (const [argv, pathname, body, message] of actions) {
+    const result = await runCli(argv);
+    const [url, options] = fetchMock.mock.calls.at(-1).arguments;
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(new URL(url).pathname, pathname);
+    assert.strictEqual(options.method, 'POST');
+    assert.deepStrictEqual(JSON.parse(options.body), body);
+    assert.strictEqual(result.stdout, `${message}\n`);
+  }
+
+  // Test the list commands hit their endpoints
+  for (const [argv, pathname] of [
+    [['shopping-list', 'list'], '/api/objects/shopping_list'],
+    [['chore', 'list'], '/api/chores'],
+    [['task', 'list'], '/api/tasks'],
+  ]) {
+    assert.strictEqual((await runCli(argv)).code, 0);
+    assert.strictEqual(new URL(fetchMock.mock.calls.at(-1).arguments[0]).pathname, pathname);
+  }
+
+  // Test request failures exit with 1
+  fetchMock.mock.mockImplementation(() => Promise.resolve(createMockResponse(400, { error_message: 'No product' })));
+  const failed = await runCli(['consume', '123']);
+  assert.strictEqual(failed.code, 1);
+  assert.strictEqual(failed.stderr, 'grocy: Grocy API request failed: No product\n');
+});
+
+test('CLI usage and settings', async (t) => {
+  const fetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+
+  // Test help
+  const help = await runCli(['--help']);
+  assert.strictEqual(help.code, 0);
+  assert.match(help.stdout, /^Usage: grocy <command>/);
+  assert.strictEqual((await runCli([])).stdout, help.stdout);
+
+  // Test invalid input exits with 2 and prints the usage
+  for (const [argv, message] of [
+    [['stock', 'remove'], 'Unknown command "stock remove"'],
+    [['stock', 'add'], 'A barcode is required'],
+    [['stock', 'add', '123', '--amount', 'two'], '--amount must be a number, got "two"'],
+    [['chore', 'execute', 'vacuum'], 'A numeric chore ID is required'],
+    [['stock', 'list', '--format', 'xml'], 'Unknown format "xml", expected one of table, json, csv'],
+    [['stock', 'list', '--verbose'], "Unknown option '--verbose'"],
+  ]) {
+    const result = await runCli(argv);
+    assert.strictEqual(result.code, 2);
+    assert.ok(result.stderr.startsWith('grocy: '), result.stderr);
+    assert.ok(result.stderr.includes(message), result.stderr);
+    assert.ok(result.stderr.includes('Usage: grocy'));
+  }
+  assert.strictEqual(fetchMock.mock.callCount(), 0);
+
+  // Test settings are required
+  const missing = await runCli(['stock', 'list'], { XDG_CONFIG_HOME: join(tmpdir(), 'missing-grocy-config') });
+  assert.strictEqual(missing.code, 2);
+  assert.match(missing.stderr, /The Grocy URL and API key are required/);
+
+  // Test the config file, overridden by environment variables and options
+  const dir = await mkdtemp(join(tmpdir(), 'grocy-cli-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const configPath = join(dir, 'config.json');
+  await writeFile(configPath, JSON.stringify({ baseUrl: 'https://config.example.com', apiKey: 'config-key' }));
+
+  await runCli(['task', 'list'], { GROCY_CONFIG: configPath });
+  assert.strictEqual(new URL(fetchMock.mock.calls.at(-1).arguments[0]).host, 'config.example.com');
+  assert.strictEqual(fetchMock.mock.calls.at(-1).arguments[1].headers['GROCY-API-KEY'], 'config-key');
+
+  await runCli(['task', 'list'], { GROCY_CONFIG: configPath, GROCY_API_KEY: 'env-key' });
+  assert.strictEqual(fetchMock.mock.calls.at(-1).arguments[1].headers['GROCY-API-KEY'], 'env-key');
+
+  await runCli(['task', 'list', '--config', configPath, '--url', 'https://flag.example.com'], {});
+  assert.strictEqual(new URL(fetchMock.mock.calls.at(-1).arguments[0]).host, 'flag.example.com');
+
+  // Test an explicitly named config file must exist
+  const unreadable = await runCli(['task', 'list'], { GROCY_CONFIG: join(dir, 'nope.json') });
+  assert.strictEqual(unreadable.code, 1);
+  assert.match(unreadable.stderr, /Could not read config file/);
+});
+
+test('CLI formatters', () => {
+  const columns = [
+    ['Name', 'name'],
+    ['Note', (row) => row.note?.toUpperCase()],
+  ];
+  const rows = [{ name: 'Milk', note: 'say "hi"\nbye' }, { name: 'Bread' }];
+
+  assert.strictEqual(formatTable(rows, columns), 'Name   Note\nMilk   SAY "HI"\nBYE\nBread');
+  assert.strictEqual(formatCsv(rows, columns), 'Name,Note\r\nMilk,"SAY ""HI""\nBYE"\r\nBread,');
+});
@@ -0,0 +1,1340 @@
+/**
+ * Type declarations for node-grocy
+ */
+
+import { EventEmitter } from 'node:events';
+
+/** Grocy stores boolean columns as 0/1 */
+export type Flag = 0 | 1;
+
+/** Date in the format YYYY-MM-DD */
+export type DateString = string;
+
+/** Date and time in the format YYYY-MM-DD HH:MM:SS */
+export type DateTimeString = string;
+
+// Errors
+
+export interface GrocyErrorDetails {
+  endpoint?: string | null;
+  method?: string | null;
+  status?: number | null;
+  body?: unknown;
+  headers?: Headers | null;
+  cause?: unknown;
+}
+
+export class GrocyError extends Error {
+  constructor(message: string, details?: GrocyErrorDetails);
+  endpoint: string | null;
+  method: string | null;
+  status: number | null;
+  body: unknown;
+  headers: Headers | null;
+}
+
+export class GrocyHttpError extends GrocyError {}
+export class GrocyValidationError extends GrocyHttpError {}
+export class GrocyAuthError extends GrocyHttpError {}
+export class GrocyNotFoundError extends GrocyHttpError {}
+export class GrocyNetworkError extends GrocyError {}
+
+export class GrocyTimeoutError extends GrocyNetworkError {
+  constructor(message: string, details?: GrocyErrorDetails & { timeout?: number | null });
+  timeout: number | null;
+}
+
+/** Data rejected by local validation, before any request was sent */
+export class GrocyInputError extends GrocyError {
+  constructor(message: string, details?: GrocyErrorDetails & { problems?: string[] });
+  problems: string[];
+}
+
+// Client options
+
+export interface RetryInfo {
+  attempt: number;
+  delay: number;
+  error: Error;
+  endpoint: string;
+  method: string;
+}
+
+export interface RetryOptions {
+  maxAttempts?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  statusCodes?: number[];
+  networkErrors?: boolean;
+  methods?: string[];
+  stockActions?: boolean;
+  respectRetryAfter?: boolean;
+  shouldRetry?: ((error: Error) => boolean) | null;
+  onRetry?: ((info: RetryInfo) => void) | null;
+}
+
+export interface CacheEntry {
+  value: unknown;
+  changedTime: string;
+  storedAt: number;
+}
+
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export class MemoryCache implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  maxEntries: number;
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  clear(): void;
+}
+
+export interface CacheOptions {
+  store?: CacheStore;
+  ttl?: number;
+  ttls?: Record<string, number>;
+  checkInterval?: number;
+}
+
+export interface ResponseCache {
+  store: CacheStore;
+  ttl: number;
+  ttls: Record<string, number>;
+  checkInterval: number;
+  getTtl(endpoint: string): number;
+  clear(): Promise<void>;
+}
+
+export type FetchFunction = (input: URL | string, init?: RequestInit) => Promise<Response>;
+
+export interface GrocyOptions {
+  fetch?: FetchFunction;
+  headers?: Record<string, string>;
+  retry?: boolean | RetryOptions;
+  timeout?: number;
+  cache?: boolean | CacheOptions;
+  undoHistory?: number;
+  /** Check the data of stock actions before sending it (default true) */
+  validateStockData?: boolean;
+}
+
+export interface GrocyConstructorOptions extends GrocyOptions {
+  baseUrl: string;
+  apiKey?: string | null;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  timeout?: number;
+  cache?: boolean;
+  raw?: boolean;
+  /** Send a string body as it is, as already encoded JSON */
+  rawBody?: boolean;
+}
+
+export interface StockTransaction {
+  transactionId: string;
+  endpoint: string;
+  entries: StockLogEntry[];
+}
+
+export interface RequestContext {
+  endpoint: string;
+  method: string;
+  url: URL;
+  headers: Record<string, string>;
+  body: unknown;
+  /** Send a string body as it is, as already encoded JSON */
+  rawBody: boolean;
+  attempt: number;
+  signal: AbortSignal | undefined;
+  response: Response | null;
+}
+
+export type Middleware = (ctx: RequestContext, next: () => Promise<any>) => Promise<any>;
+
+export interface QueryOptions {
+  query?: string | string[];
+  order?: string;
+  limit?: number;
+  offset?: number;
+}
+
+// Query builder
+
+export type QueryOperator = '=' | '!=' | '~' | '!~' | '<' | '>' | '<=' | '>=' | '§';
+
+export type QueryValue = string | number | boolean | Date | RegExp;
+
+export class QueryBuilder {
+  constructor();
+  conditions: string[];
+  pendingField: string | null;
+  order: string | null;
+  limitValue: number | null;
+  offsetValue: number | null;
+  where(field: string, operator?: QueryOperator, value?: QueryValue): this;
+  and(field: string, operator?: QueryOperator, value?: QueryValue): this;
+  condition(operator: QueryOperator, value: QueryValue): this;
+  eq(value: QueryValue): this;
+  ne(value: QueryValue): this;
+  contains(value: QueryValue): this;
+  notContains(value: QueryValue): this;
+  lt(value: QueryValue): this;
+  gt(value: QueryValue): this;
+  lte(value: QueryValue): this;
+  gte(value: QueryValue): this;
+  matches(pattern: RegExp | string): this;
+  orderBy(field: string, direction?: 'asc' | 'desc'): this;
+  limit(limit: number): this;
+  offset(offset: number): this;
+  toOptions(): QueryOptions;
+}
+
+export function where(field: string, operator?: QueryOperator, value?: QueryValue): QueryBuilder;
+
+/** Query options of the iterate methods; `limit` caps the total number of results */
+export type IterateOptions =
+  | (Omit<QueryOptions, 'query'> & { query?: string | string[] | QueryBuilder; pageSize?: number })
+  | QueryBuilder;
+
+/** Query options of the list methods, or a query builder */
+export type ListOptions = (Omit<QueryOptions, 'query'> & { query?: string | string[] | QueryBuilder }) | QueryBuilder;
+
+export type StockListOptions = (ListOptions & { includeSubProducts?: boolean }) | QueryBuilder;
+
+// Entities
+
+interface EntityBase {
+  id: number;
+  row_created_timestamp: DateTimeString;
+}
+
+export interface Product extends EntityBase {
+  name: string;
+  description: string | null;
+  product_group_id: number | null;
+  active: Flag;
+  location_id: number;
+  shopping_location_id: number | null;
+  qu_id_purchase: number;
+  qu_id_stock: number;
+  qu_id_consume: number;
+  qu_id_price: number;
+  qu_factor_purchase_to_stock?: number;
+  min_stock_amount: number;
+  default_best_before_days: number;
+  default_best_before_days_after_open: number;
+  default_best_before_days_after_freezing: number;
+  default_best_before_days_after_thawing: number;
+  picture_file_name: string | null;
+  enable_tare_weight_handling: Flag;
+  tare_weight: number;
+  not_check_stock_fulfillment_for_recipes: Flag;
+  parent_product_id: number | null;
+  calories: number | null;
+  cumulate_min_stock_amount_of_sub_products: Flag;
+  due_type: number;
+  quick_consume_amount: number;
+  quick_open_amount: number;
+  hide_on_stock_overview: Flag;
+  default_stock_label_type: number;
+  should_not_be_frozen: Flag;
+  treat_opened_as_out_of_stock: Flag;
+  no_own_stock: Flag;
+  default_consume_location_id: number | null;
+  move_on_open: Flag;
+  auto_reprint_stock_label: Flag;
+}
+
+export interface ProductBarcode extends EntityBase {
+  product_id: number;
+  barcode: string;
+  qu_id: number | null;
+  amount: number | null;
+  shopping_location_id: number | null;
+  last_price: number | null;
+  note: string | null;
+}
+
+export interface ProductGroup extends EntityBase {
+  name: string;
+  description: string | null;
+  active: Flag;
+}
+
+export interface Location extends EntityBase {
+  name: string;
+  description: string | null;
+  is_freezer: Flag;
+  active: Flag;
+}
+
+export interface ShoppingLocation extends EntityBase {
+  name: string;
+  description: string | null;
+  active: Flag;
+}
+
+export interface QuantityUnit extends EntityBase {
+  name: string;
+  name_plural: string | null;
+  description: string | null;
+  plural_forms: string | null;
+  active: Flag;
+}
+
+export interface QuantityUnitConversion extends EntityBase {
+  from_qu_id: number;
+  to_qu_id: number;
+  factor: number;
+  product_id: number | null;
+}
+
+export interface ShoppingListItem extends EntityBase {
+  product_id: number | null;
+  note: string | null;
+  amount: number;
+  shopping_list_id: number;
+  done: Flag;
+  qu_id: number | null;
+}
+
+export interface ShoppingList extends EntityBase {
+  name: string;
+  description: string | null;
+}
+
+export interface Recipe extends EntityBase {
+  name: string;
+  description: string | null;
+  picture_file_name: string | null;
+  base_servings: number;
+  desired_servings: number;
+  not_check_shoppinglist: Flag;
+  type: string;
+  product_id: number | null;
+}
+
+export interface RecipePosition extends EntityBase {
+  recipe_id: number;
+  product_id: number;
+  amount: number;
+  note: string | null;
+  qu_id: number | null;
+  only_check_single_unit_in_stock: Flag;
+  ingredient_group: string | null;
+  not_check_stock_fulfillment: Flag;
+  variable_amount: string | null;
+  price_factor: number;
+  round_up: Flag;
+}
+
+export interface RecipeNesting extends EntityBase {
+  recipe_id: number;
+  includes_recipe_id: number;
+  servings: number;
+}
+
+export interface MealPlanEntry extends EntityBase {
+  day: DateString;
+  type: 'recipe' | 'product' | 'note';
+  recipe_id: number | null;
+  recipe_servings: number | null;
+  note: string | null;
+  product_id: number | null;
+  product_amount: number | null;
+  product_qu_id: number | null;
+  section_id: number | null;
+  done: Flag;
+}
+
+export interface MealPlanSection extends EntityBase {
+  name: string;
+  sort_number: number | null;
+  time_info: string | null;
+}
+
+export interface Chore extends EntityBase {
+  name: string;
+  description: string | null;
+  period_type: string;
+  period_days: number | null;
+  period_config: string | null;
+  period_interval: number;
+  track_date_only: Flag;
+  rollover: Flag;
+  assignment_type: string | null;
+  assignment_config: string | null;
+  next_execution_assigned_to_user_id: number | null;
+  consume_product_on_execution: Flag;
+  product_id: number | null;
+  product_amount: number | null;
+  start_date: DateTimeString;
+  rescheduled_date: DateTimeString | null;
+  rescheduled_next_execution_assigned_to_user_id: number | null;
+  active: Flag;
+}
+
+export interface Battery extends EntityBase {
+  name: string;
+  description: string | null;
+  used_in: string | null;
+  charge_interval_days: number;
+  active: Flag;
+}
+
+export interface Task extends EntityBase {
+  name: string;
+  description: string | null;
+  due_date: DateString | null;
+  done: Flag;
+  done_timestamp: DateTimeString | null;
+  category_id: number | null;
+  assigned_to_user_id: number | null;
+}
+
+export interface TaskCategory extends EntityBase {
+  name: string;
+  description: string | null;
+  active: Flag;
+}
+
+export interface Equipment extends EntityBase {
+  name: string;
+  description: string | null;
+  instruction_manual_file_name: string | null;
+}
+
+export interface Userfield extends EntityBase {
+  entity: string;
+  name: string;
+  caption: string;
+  type: string;
+  show_as_column_in_tables: Flag;
+  config: string | null;
+  sort_number: number | null;
+  default_value: string | null;
+  input_required: Flag;
+}
+
+export interface Userentity extends EntityBase {
+  name: string;
+  caption: string;
+  description: string | null;
+  show_in_sidebar_menu: Flag;
+  icon_css_class: string | null;
+}
+
+export interface Userobject extends EntityBase {
+  userentity_id: number;
+}
+
+export interface StockEntry extends EntityBase {
+  product_id: number;
+  amount: number;
+  best_before_date: DateString;
+  purchased_date: DateString;
+  stock_id: string;
+  price: number | null;
+  open: Flag;
+  opened_date: DateString | null;
+  location_id: number;
+  shopping_location_id: number | null;
+  note: string | null;
+}
+
+export interface StockLogEntry extends EntityBase {
+  product_id: number;
+  amount: number;
+  best_before_date: DateString | null;
+  purchased_date: DateString | null;
+  used_date: DateString | null;
+  spoiled: Flag;
+  stock_id: string;
+  transaction_type: string;
+  price: number | null;
+  undone: Flag;
+  undone_timestamp: DateTimeString | null;
+  opened_date: DateString | null;
+  location_id: number | null;
+  recipe_id: number | null;
+  correlation_id: string | null;
+  transaction_id: string;
+  stock_row_id: number | null;
+  shopping_location_id: number | null;
+  user_id: number;
+  note: string | null;
+}
+
+export interface StockCurrentLocation {
+  id: number;
+  product_id: number;
+  amount: number;
+  location_id: number;
+  location_name: string;
+  location_is_freezer: Flag;
+}
+
+export interface ProductLastPurchased {
+  id: number;
+  product_id: number;
+  amount: number;
+  best_before_date: DateString;
+  purchased_date: DateString;
+  price: number | null;
+  location_id: number;
+  shopping_location_id: number | null;
+}
+
+export interface ProductAveragePrice {
+  product_id: number;
+  price: number;
+}
+
+export interface QuantityUnitConversionResolved {
+  id: number;
+  product_id: number | null;
+  from_qu_id: number;
+  from_qu_name: string;
+  from_qu_name_plural: string;
+  to_qu_id: number;
+  to_qu_name: string;
+  to_qu_name_plural: string;
+  factor: number;
+  path: string;
+}
+
+export interface ChoreLogEntry extends EntityBase {
+  chore_id: number;
+  tracked_time: DateTimeString;
+  done_by_user_id: number | null;
+  undone: Flag;
+  undone_timestamp: DateTimeString | null;
+  skipped: Flag;
+  scheduled_execution_time: DateTimeString | null;
+}
+
+export interface BatteryChargeCycle extends EntityBase {
+  battery_id: number;
+  tracked_time: DateTimeString;
+  undone: Flag;
+  undone_timestamp: DateTimeString | null;
+}
+
+export interface EntityMap {
+  products: Product;
+  product_barcodes: ProductBarcode;
+  product_groups: ProductGroup;
+  locations: Location;
+  shopping_locations: ShoppingLocation;
+  quantity_units: QuantityUnit;
+  quantity_unit_conversions: QuantityUnitConversion;
+  shopping_list: ShoppingListItem;
+  shopping_lists: ShoppingList;
+  recipes: Recipe;
+  recipes_pos: RecipePosition;
+  recipes_nestings: RecipeNesting;
+  meal_plan: MealPlanEntry;
+  meal_plan_sections: MealPlanSection;
+  chores: Chore;
+  batteries: Battery;
+  tasks: Task;
+  task_categories: TaskCategory;
+  equipment: Equipment;
+  userfields: Userfield;
+  userentities: Userentity;
+  userobjects: Userobject;
+  stock: StockEntry;
+  stock_log: StockLogEntry;
+  stock_current_locations: StockCurrentLocation;
+  products_last_purchased: ProductLastPurchased;
+  products_average_price: ProductAveragePrice;
+  quantity_unit_conversions_resolved: QuantityUnitConversionResolved;
+  chores_log: ChoreLogEntry;
+  battery_charge_cycles: BatteryChargeCycle;
+}
+
+export type EntityName = keyof EntityMap;
+
+export type ReadOnlyEntityName =
+  | 'stock'
+  | 'stock_log'
+  | 'stock_current_locations'
+  | 'products_last_purchased'
+  | 'products_average_price'
+  | 'quantity_unit_conversions_resolved'
+  | 'chores_log'
+  | 'battery_charge_cycles';
+
+export type WritableEntityName = Exclude<EntityName, ReadOnlyEntityName>;
+
+export type FieldType = 'number' | 'string' | 'boolean' | 'date' | 'datetime';
+
+/** Data accepted when creating or updating an entity; booleans and Date objects are converted */
+export type EntityInput<T> = {
+  [K in Exclude<keyof T, 'id' | 'row_created_timestamp'>]?: T[K] extends Flag
+    ? Flag | boolean
+    : T[K] extends DateString | null
+      ? T[K] | Date
+      : T[K];
+} & Record<string, unknown>;
+
+export interface CreatedObject {
+  created_object_id: number;
+}
+
+export class EntityAccessor<T = unknown, Writable extends boolean = true> {
+  constructor(client: Grocy, entity: EntityName);
+  client: Grocy;
+  entity: EntityName;
+  fields: Record<string, FieldType>;
+  readOnly: boolean;
+  validate(data: EntityInput<T>): Record<string, unknown>;
+  list(options?: ListOptions, requestOptions?: RequestOptions): Promise<T[]>;
+  iterate(options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<T>;
+  get(objectId: number, requestOptions?: RequestOptions): Promise<T>;
+  create(
+    data: Writable extends true ? EntityInput<T> : never,
+    requestOptions?: RequestOptions,
+  ): Promise<CreatedObject>;
+  update(
+    objectId: number,
+    data: Writable extends true ? EntityInput<T> : never,
+    requestOptions?: RequestOptions,
+  ): Promise<{ success: true }>;
+  delete(objectId: number, requestOptions?: RequestOptions): Promise<{ success: true }>;
+  assertWritable(): void;
+}
+
+// Shopping lists
+
+export interface ShoppingListItemDetails extends ShoppingListItem {
+  product: Product | null;
+  quantity_unit: QuantityUnit | null;
+}
+
+export interface PurchaseShoppingListOptions {
+  doneOnly?: boolean;
+  remove?: boolean;
+  data?: Record<string, unknown>;
+}
+
+export interface PurchasedShoppingListItem extends ShoppingListItem {
+  entries: StockLogEntry[];
+}
+
+// Recipes
+
+export type RecipeIngredientInput = EntityInput<RecipePosition> & { id?: number };
+export type RecipeNestingInput = EntityInput<RecipeNesting> & { id?: number };
+
+export type RecipeInput = EntityInput<Recipe> & {
+  id?: number;
+  ingredients?: RecipeIngredientInput[];
+  nestings?: RecipeNestingInput[];
+};
+
+export class RecipeBuilder {
+  constructor(client: Grocy, recipe?: RecipeInput);
+  client: Grocy;
+  recipe: EntityInput<Recipe> & { id?: number };
+  ingredients: RecipeIngredientInput[];
+  nestings: RecipeNestingInput[];
+  set(fields: EntityInput<Recipe>): this;
+  ingredient(productId: number, amount: number, fields?: RecipeIngredientInput): this;
+  nest(recipeId: number, servings?: number): this;
+  save(requestOptions?: RequestOptions): Promise<{ id: number; ingredientIds: number[]; nestingIds: number[] }>;
+}
+
+export interface ScaledIngredient extends RecipePosition {
+  product: Product | null;
+  display_amount: number;
+  display_qu_id: number | null;
+}
+
+export interface ScaledRecipe {
+  recipe: Recipe;
+  servings: number;
+  factor: number;
+  ingredients: ScaledIngredient[];
+  nestings: RecipeNesting[];
+}
+
+export interface ConsumeRecipeOptions {
+  servings?: number;
+  excludeProductIds?: number[];
+  excludeIngredientIds?: number[];
+}
+
+export interface ConsumedIngredient {
+  product_id: number;
+  amount: number;
+  entries: StockLogEntry[];
+}
+
+// Meal plan
+
+/** Day as Date (local time) or YYYY-MM-DD string */
+export type DayInput = Date | DateString;
+
+export interface WeekOptions {
+  weekStart?: number;
+}
+
+export interface MealPlanWeek {
+  from: DateString;
+  to: DateString;
+  sections: MealPlanSection[];
+  days: { day: DateString; entries: MealPlanEntry[] }[];
+}
+
+export interface MealPlanProductNeed {
+  product_id: number;
+  amount: number;
+  stock_amount: number;
+  shopping_list_amount: number;
+  missing_amount: number;
+  missing_amount_with_shopping_list: number;
+}
+
+export interface MealPlanFulfillment {
+  from: DateString;
+  to: DateString;
+  entries: MealPlanEntry[];
+  products: MealPlanProductNeed[];
+  need_fulfilled: boolean;
+  need_fulfilled_with_shopping_list: boolean;
+  missing_products_count: number;
+}
+
+// Chore and battery planning
+
+export interface ChoreExecutionData {
+  tracked_time?: Date | DateTimeString;
+  done_by?: number;
+  skipped?: boolean;
+}
+
+export interface BatteryChargeData {
+  tracked_time?: Date | DateTimeString;
+}
+
+export interface DueScheduleOptions {
+  from?: Date | DateTimeString | null;
+  to?: Date | DateTimeString;
+  days?: number;
+  now?: Date;
+}
+
+export interface DueItem {
+  type: 'chore' | 'battery';
+  id: number;
+  name: string | null;
+  due: DateTimeString;
+  overdue: boolean;
+  days_until: number;
+  user_id: number | null;
+  user: any | null;
+  record: any;
+}
+
+export interface DueSchedule {
+  from: DateTimeString | null;
+  to: DateTimeString;
+  items: DueItem[];
+  overdue: DueItem[];
+  upcoming: DueItem[];
+  users: { user_id: number | null; user: any | null; items: DueItem[] }[];
+}
+
+// Catalog import and export
+
+export type CatalogTable = 'locations' | 'quantity_units' | 'product_groups' | 'shopping_locations' | 'products';
+
+/** Catalog rows by table, each table as an array of rows or CSV text */
+export type CatalogInput = Partial<Record<CatalogTable, Record<string, unknown>[] | string>>;
+
+/** CSV column: a field name, or a header with the field name or a getter */
+export type CsvColumn = string | [header: string, field: string | ((row: any) => unknown)];
+
+export function formatCsv(rows: Record<string, unknown>[], columns?: CsvColumn[]): string;
+
+export interface CatalogChange {
+  entity: CatalogTable;
+  action: 'create' | 'update' | 'unchanged';
+  name: string;
+  id: number | null;
+  changes: Record<string, { from: unknown; to: unknown }>;
+  barcodes?: string[];
+}
+
+export interface CatalogImportResult {
+  dryRun: boolean;
+  changes: CatalogChange[];
+  summary: { create: number; update: number; unchanged: number };
+}
+
+// Backup and restore
+
+export interface BackupSummary {
+  directory: string;
+  grocyVersion: string | null;
+  /** Number of objects backed up per entity */
+  entities: Record<string, number>;
+  userfields: number;
+  files: number;
+  missingFiles: { group: string; fileName: string }[];
+}
+
+export interface UnresolvedReference {
+  entity: string;
+  /** ID of the object in the backup */
+  id: number;
+  field: string;
+  value: any;
+}
+
+export interface RestoreSummary {
+  grocyVersion: string | null;
+  /** Number of objects restored per entity */
+  entities: Record<string, number>;
+  stock: number;
+  userfields: number;
+  files: number;
+  /** New object IDs per entity, by the IDs in the backup */
+  ids: Record<string, Record<number, number>>;
+  /** References that couldn't be remapped and were cleared */
+  unresolved: UnresolvedReference[];
+}
+
+// Files
+
+export type FileData = Blob | ArrayBuffer | ArrayBufferView | ReadableStream;
+
+export interface DownloadFileOptions {
+  as?: 'buffer' | 'blob' | 'stream';
+  forceServeAs?: 'picture' | (string & {});
+  bestFitWidth?: number;
+  bestFitHeight?: number;
+}
+
+export interface DownloadedFile<T> {
+  data: T;
+  contentType: string | null;
+  fileName: string;
+}
+
+// Calendar
+
+export type CalendarEventType = 'chore' | 'battery' | 'task' | 'meal-plan' | 'product-due';
+
+export interface RecurrenceRule {
+  freq?: string;
+  interval?: number;
+  count?: number;
+  until?: Date | string;
+  [part: string]: string | number | string[] | Date | undefined;
+}
+
+export interface ICalendarEvent {
+  uid: string | null;
+  summary: string;
+  description: string | null;
+  location: string | null;
+  url: string | null;
+  start: Date | null;
+  end: Date | null;
+  allDay: boolean;
+  recurrence: RecurrenceRule | null;
+  properties: Record<string, string>;
+}
+
+export interface ICalendar {
+  properties: Record<string, string>;
+  events: ICalendarEvent[];
+}
+
+export interface CalendarEvent extends ICalendarEvent {
+  type: CalendarEventType | (string & {}) | null;
+  title: string;
+}
+
+export interface CalendarEventsOptions {
+  from?: Date | DateTimeString;
+  to?: Date | DateTimeString;
+  types?: (CalendarEventType | (string & {}) | null)[];
+  typePatterns?: Record<string, RegExp>;
+}
+
+export function parseICalendar(text: string): ICalendar;
+
+// Change watcher
+
+export type WatchEventName = 'stock-changed' | 'shopping-list-changed' | 'chore-executed' | 'task-completed';
+
+export interface WatchOptions {
+  interval?: number;
+  events?: WatchEventName[];
+}
+
+export interface WatchEvents {
+  change: [{ changedTime: DateTimeString; previousChangedTime: DateTimeString }];
+  'stock-changed': [
+    {
+      productId: number;
+      product: Product | null;
+      previousAmount: number;
+      amount: number;
+      previous: any | null;
+      current: any | null;
+    },
+  ];
+  'shopping-list-changed': [
+    {
+      added: ShoppingListItem[];
+      removed: ShoppingListItem[];
+      updated: { previous: ShoppingListItem; current: ShoppingListItem }[];
+    },
+  ];
+  'chore-executed': [{ choreId: number; chore: any; previous: any }];
+  'task-completed': [{ taskId: number; task: Task }];
+  error: [Error];
+}
+
+export class GrocyWatcher extends EventEmitter<WatchEvents> {
+  constructor(client: Grocy, options?: WatchOptions);
+  client: Grocy;
+  interval: number;
+  running: boolean;
+  changedTime: DateTimeString | null;
+  start(): this;
+  stop(): Promise<void>;
+  poll(): Promise<void>;
+}
+
+// Barcode scanner sessions
+
+export type ScanMode = 'purchase' | 'consume' | 'open' | 'transfer' | 'inventory';
+
+export interface UnknownBarcodeInfo {
+  barcode: string;
+  mode: ScanMode;
+  client: Grocy;
+}
+
+export interface ScanSessionOptions {
+  mode?: ScanMode;
+  modeBarcodes?: Record<string, ScanMode>;
+  data?: Partial<Record<ScanMode, Record<string, unknown>>>;
+  onUnknownBarcode?: (
+    info: UnknownBarcodeInfo,
+  ) => number | EntityInput<Product> | null | undefined | Promise<number | EntityInput<Product> | null | undefined>;
+}
+
+export type ScanReport =
+  | { type: 'mode'; code: string; mode: ScanMode; previousMode: ScanMode }
+  | { type: 'booking'; code: string; mode: ScanMode; product: Product; amount: number; entries: StockLogEntry[] }
+  | { type: 'counted'; code: string; mode: 'inventory'; product: Product; count: number }
+  | { type: 'skipped'; code: string; mode: ScanMode }
+  | { type: 'error'; code: string | null; mode: ScanMode; error: Error };
+
+export class ScanSession {
+  constructor(client: Grocy, options?: ScanSessionOptions);
+  client: Grocy;
+  mode: ScanMode;
+  modeBarcodes: Record<string, ScanMode>;
+  scan(code: string): Promise<ScanReport[]>;
+  flush(): Promise<ScanReport[]>;
+  process(codes: Iterable<string> | AsyncIterable<string>): AsyncGenerator<ScanReport>;
+}
+
+// Bulk operations
+
+export interface BulkOptions {
+  /** Maximum number of items processed at the same time (default 4) */
+  concurrency?: number;
+  /** Undo the stock actions made if any item fails; stock actions only (default false) */
+  allOrNothing?: boolean;
+}
+
+export type BulkStockItem =
+  | { productId: number; barcode?: undefined; data?: Record<string, unknown> }
+  | { productId?: undefined; barcode: string; data?: Record<string, unknown> };
+
+export interface BulkItemResult<I, V> {
+  item: I;
+  /** `skipped` for items not started in all-or-nothing mode after a failure */
+  status: 'fulfilled' | 'rejected' | 'skipped';
+  value?: V;
+  error?: Error;
+  undone?: boolean;
+  undoError?: Error;
+}
+
+export interface BulkResult<I, V> {
+  ok: boolean;
+  results: BulkItemResult<I, V>[];
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  undone: number;
+}
+
+export type BulkStockResult = BulkResult<BulkStockItem, StockLogEntry[]>;
+
+export class BulkOperations {
+  constructor(client: Grocy, options?: BulkOptions);
+  client: Grocy;
+  concurrency: number;
+  allOrNothing: boolean;
+  add(items: BulkStockItem[], requestOptions?: RequestOptions): Promise<BulkStockResult>;
+  consume(items: BulkStockItem[], requestOptions?: RequestOptions): Promise<BulkStockResult>;
+  transfer(items: BulkStockItem[], requestOptions?: RequestOptions): Promise<BulkStockResult>;
+  editObjects(
+    entity: string,
+    items: { id: number; data: object }[],
+    requestOptions?: RequestOptions,
+  ): Promise<BulkResult<{ id: number; data: object }, any>>;
+  deleteObjects(entity: string, ids: number[], requestOptions?: RequestOptions): Promise<BulkResult<number, any>>;
+}
+
+// Quantity units
+
+/** Quantity unit as ID, name or plural name */
+export type UnitInput = number | string;
+
+export class UnitConverter {
+  constructor(data?: {
+    units?: QuantityUnit[];
+    conversions?: QuantityUnitConversion[];
+    products?: Product[];
+  });
+  static load(client: Grocy, requestOptions?: RequestOptions): Promise<UnitConverter>;
+  units: QuantityUnit[];
+  conversions: QuantityUnitConversion[];
+  products: Map<number, Product>;
+  getUnitId(unit: UnitInput): number;
+  getEdges(productId?: number | null): Map<number, Map<number, number>>;
+  getFactor(from: UnitInput, to: UnitInput, productId?: number | null): number | null;
+  convert(amount: number, from: UnitInput, to: UnitInput, productId?: number | null): number;
+  toStockAmount(productId: number, amount: number, unit: UnitInput): number;
+}
+
+// Client
+
+export default class Grocy {
+  constructor(baseUrl: string, apiKey?: string | null, options?: GrocyOptions);
+  constructor(options: GrocyConstructorOptions);
+
+  baseUrl: string;
+  apiKey: string | null;
+  fetch: FetchFunction | null;
+  headers: Record<string, string>;
+  retry: Required<RetryOptions> | null;
+  timeout: number;
+  cache: ResponseCache | null;
+  undoHistory: number;
+  validateStockData: boolean;
+  transactions: StockTransaction[];
+  unitConverter: Promise<UnitConverter> | null;
+  middleware: Middleware[];
+
+  products: EntityAccessor<Product>;
+  productBarcodes: EntityAccessor<ProductBarcode>;
+  productGroups: EntityAccessor<ProductGroup>;
+  locations: EntityAccessor<Location>;
+  shoppingLocations: EntityAccessor<ShoppingLocation>;
+  quantityUnits: EntityAccessor<QuantityUnit>;
+  quantityUnitConversions: EntityAccessor<QuantityUnitConversion>;
+  shoppingList: EntityAccessor<ShoppingListItem>;
+  shoppingLists: EntityAccessor<ShoppingList>;
+  recipes: EntityAccessor<Recipe>;
+  recipesPos: EntityAccessor<RecipePosition>;
+  recipesNestings: EntityAccessor<RecipeNesting>;
+  mealPlan: EntityAccessor<MealPlanEntry>;
+  mealPlanSections: EntityAccessor<MealPlanSection>;
+  choresEntity: EntityAccessor<Chore>;
+  batteriesEntity: EntityAccessor<Battery>;
+  tasksEntity: EntityAccessor<Task>;
+  taskCategories: EntityAccessor<TaskCategory>;
+  equipment: EntityAccessor<Equipment>;
+  userfieldsEntity: EntityAccessor<Userfield>;
+  userentities: EntityAccessor<Userentity>;
+  userobjects: EntityAccessor<Userobject>;
+  stockEntity: EntityAccessor<StockEntry, false>;
+  stockLog: EntityAccessor<StockLogEntry, false>;
+  stockCurrentLocations: EntityAccessor<StockCurrentLocation, false>;
+  productsLastPurchased: EntityAccessor<ProductLastPurchased, false>;
+  productsAveragePrice: EntityAccessor<ProductAveragePrice, false>;
+  quantityUnitConversionsResolved: EntityAccessor<QuantityUnitConversionResolved, false>;
+  choresLog: EntityAccessor<ChoreLogEntry, false>;
+  batteryChargeCycles: EntityAccessor<BatteryChargeCycle, false>;
+
+  entity<E extends EntityName>(entity: E): EntityAccessor<EntityMap[E], E extends ReadOnlyEntityName ? false : true>;
+  use(fn: Middleware): this;
+  setApiKey(apiKey: string | null): void;
+  watch(options?: WatchOptions): GrocyWatcher;
+  scanSession(options?: ScanSessionOptions): ScanSession;
+  bulk(options?: BulkOptions): BulkOperations;
+  request(
+    endpoint: string,
+    method?: string,
+    data?: unknown,
+    queryParams?: Record<string, unknown> | null,
+    requestOptions?: RequestOptions,
+  ): Promise<any>;
+
+  // System
+  getSystemInfo(requestOptions?: RequestOptions): Promise<any>;
+  getDbChangedTime(requestOptions?: RequestOptions): Promise<{ changed_time: DateTimeString }>;
+  getConfig(requestOptions?: RequestOptions): Promise<any>;
+  getTime(offset?: number | null, requestOptions?: RequestOptions): Promise<any>;
+
+  // Stock
+  getStock(requestOptions?: RequestOptions): Promise<any[]>;
+  getStockEntry(entryId: number, requestOptions?: RequestOptions): Promise<StockEntry>;
+  editStockEntry(entryId: number, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  getVolatileStock(dueSoonDays?: number, requestOptions?: RequestOptions): Promise<any>;
+  getProductDetails(productId: number, requestOptions?: RequestOptions): Promise<any>;
+  getProductStockEntries(
+    productId: number,
+    options?: StockListOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<StockEntry[]>;
+  getProductStockLocations(
+    productId: number,
+    options?: StockListOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<any[]>;
+  getProductPriceHistory(productId: number, requestOptions?: RequestOptions): Promise<any[]>;
+  getLocationStockEntries(
+    locationId: number,
+    options?: ListOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<StockEntry[]>;
+  getProductByBarcode(barcode: string, requestOptions?: RequestOptions): Promise<any>;
+  getUnitConverter(options?: { refresh?: boolean }, requestOptions?: RequestOptions): Promise<UnitConverter>;
+  addProductToStock(productId: number, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  addProductToStockByBarcode(barcode: string, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  consumeProduct(productId: number, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  consumeProductByBarcode(barcode: string, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  transferProduct(productId: number, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  transferProductByBarcode(barcode: string, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  inventoryProduct(productId: number, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  inventoryProductByBarcode(barcode: string, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  openProduct(productId: number, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  openProductByBarcode(barcode: string, data: object, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  mergeProducts(
+    productIdToKeep: number,
+    productIdToRemove: number,
+    requestOptions?: RequestOptions,
+  ): Promise<{ success: true }>;
+  getStockTransaction(transactionId: string, requestOptions?: RequestOptions): Promise<StockLogEntry[]>;
+  undoStockTransaction(transactionId: string, requestOptions?: RequestOptions): Promise<{ success: true }>;
+  undoStockBooking(bookingId: number, requestOptions?: RequestOptions): Promise<{ success: true }>;
+  undoLastAction(requestOptions?: RequestOptions): Promise<StockTransaction>;
+
+  // Shopping list
+  addMissingProductsToShoppingList(data?: object, requestOptions?: RequestOptions): Promise<any>;
+  addOverdueProductsToShoppingList(data?: object, requestOptions?: RequestOptions): Promise<any>;
+  addExpiredProductsToShoppingList(data?: object, requestOptions?: RequestOptions): Promise<any>;
+  clearShoppingList(data?: object, requestOptions?: RequestOptions): Promise<any>;
+  addProductToShoppingList(data: object, requestOptions?: RequestOptions): Promise<any>;
+  removeProductFromShoppingList(data: object, requestOptions?: RequestOptions): Promise<any>;
+  getShoppingLists(requestOptions?: RequestOptions): Promise<ShoppingList[]>;
+  getShoppingListItems(listId?: number, requestOptions?: RequestOptions): Promise<ShoppingListItemDetails[]>;
+  setShoppingListItemDone(itemId: number, done?: boolean, requestOptions?: RequestOptions): Promise<boolean>;
+  moveShoppingListItems(
+    itemIds: number | number[],
+    listId: number,
+    requestOptions?: RequestOptions,
+  ): Promise<{ success: true }>;
+  purchaseShoppingList(
+    listId?: number,
+    options?: PurchaseShoppingListOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<PurchasedShoppingListItem[]>;
+
+  // Generic entity interactions
+  getObjects<E extends EntityName>(entity: E, options?: ListOptions, requestOptions?: RequestOptions): Promise<EntityMap[E][]>;
+  getObjects(entity: string, options?: ListOptions, requestOptions?: RequestOptions): Promise<any[]>;
+  iterateObjects<E extends EntityName>(
+    entity: E,
+    options?: IterateOptions,
+    requestOptions?: RequestOptions,
+  ): AsyncGenerator<EntityMap[E]>;
+  iterateObjects(entity: string, options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<any>;
+  addObject(entity: string, data: object, requestOptions?: RequestOptions): Promise<CreatedObject>;
+  getObject<E extends EntityName>(entity: E, objectId: number, requestOptions?: RequestOptions): Promise<EntityMap[E]>;
+  getObject(entity: string, objectId: number, requestOptions?: RequestOptions): Promise<any>;
+  editObject(entity: string, objectId: number, data: object, requestOptions?: RequestOptions): Promise<any>;
+  deleteObject(entity: string, objectId: number, requestOptions?: RequestOptions): Promise<any>;
+
+  // Userfields
+  getUserfields(entity: string, objectId: number | string, requestOptions?: RequestOptions): Promise<Record<string, unknown>>;
+  setUserfields(entity: string, objectId: number | string, data: object, requestOptions?: RequestOptions): Promise<any>;
+
+  // Catalog import and export
+  exportCatalog(options?: { format?: 'json' }, requestOptions?: RequestOptions): Promise<string>;
+  exportCatalog(options: { format: 'csv' }, requestOptions?: RequestOptions): Promise<Record<CatalogTable, string>>;
+  importCatalog(
+    catalog: string | CatalogInput,
+    options?: { dryRun?: boolean },
+    requestOptions?: RequestOptions,
+  ): Promise<CatalogImportResult>;
+
+  // Backup and restore
+  backup(directory: string, options?: { files?: boolean }, requestOptions?: RequestOptions): Promise<BackupSummary>;
+  restore(
+    directory: string,
+    options?: { files?: boolean; ignoreVersion?: boolean },
+    requestOptions?: RequestOptions,
+  ): Promise<RestoreSummary>;
+
+  // Files
+  getFile(group: string, fileName: string, options?: Record<string, unknown>, requestOptions?: RequestOptions): Promise<any>;
+  uploadFile(
+    group: string,
+    fileName: string,
+    fileData: Blob | ArrayBuffer | ArrayBufferView | ReadableStream,
+    requestOptions?: RequestOptions,
+  ): Promise<{ success: true }>;
+  deleteFile(group: string, fileName: string, requestOptions?: RequestOptions): Promise<any>;
+  downloadFile(
+    group: string,
+    fileName: string,
+    options?: DownloadFileOptions & { as?: 'buffer' },
+    requestOptions?: RequestOptions,
+  ): Promise<DownloadedFile<Buffer>>;
+  downloadFile(
+    group: string,
+    fileName: string,
+    options: DownloadFileOptions & { as: 'blob' },
+    requestOptions?: RequestOptions,
+  ): Promise<DownloadedFile<Blob>>;
+  downloadFile(
+    group: string,
+    fileName: string,
+    options: DownloadFileOptions & { as: 'stream' },
+    requestOptions?: RequestOptions,
+  ): Promise<DownloadedFile<ReadableStream<Uint8Array>>>;
+  putFile(
+    group: string,
+    fileName: string,
+    fileData: FileData,
+    requestOptions?: RequestOptions,
+  ): Promise<{ success: true }>;
+  removeFile(group: string, fileName: string, requestOptions?: RequestOptions): Promise<any>;
+  uploadProductPicture(
+    productId: number,
+    file: FileData,
+    options?: { fileName?: string },
+    requestOptions?: RequestOptions,
+  ): Promise<{ fileName: string }>;
+
+  // Users
+  getUsers(options?: ListOptions, requestOptions?: RequestOptions): Promise<any[]>;
+  iterateUsers(options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<any>;
+  createUser(data: object, requestOptions?: RequestOptions): Promise<any>;
+  editUser(userId: number, data: object, requestOptions?: RequestOptions): Promise<any>;
+  deleteUser(userId: number, requestOptions?: RequestOptions): Promise<any>;
+  getCurrentUser(requestOptions?: RequestOptions): Promise<any>;
+  getUserSettings(requestOptions?: RequestOptions): Promise<any>;
+  getUserSetting(settingKey: string, requestOptions?: RequestOptions): Promise<any>;
+  setUserSetting(settingKey: string, data: object, requestOptions?: RequestOptions): Promise<any>;
+
+  // Recipes
+  addRecipeProductsToShoppingList(recipeId: number, data?: object, requestOptions?: RequestOptions): Promise<any>;
+  getRecipeFulfillment(recipeId: number, requestOptions?: RequestOptions): Promise<any>;
+  consumeRecipe(recipeId: number, requestOptions?: RequestOptions): Promise<any>;
+  consumeRecipePartially(
+    recipeId: number,
+    options?: ConsumeRecipeOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<ConsumedIngredient[]>;
+  buildRecipe(recipe?: RecipeInput): RecipeBuilder;
+  loadRecipe(recipeId: number, requestOptions?: RequestOptions): Promise<RecipeBuilder>;
+  getScaledRecipe(recipeId: number, servings?: number, requestOptions?: RequestOptions): Promise<ScaledRecipe>;
+  getAllRecipesFulfillment(options?: ListOptions, requestOptions?: RequestOptions): Promise<any[]>;
+  iterateRecipesFulfillment(options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<any>;
+
+  // Meal plan
+  getMealPlan(from: DayInput, to: DayInput, requestOptions?: RequestOptions): Promise<MealPlanEntry[]>;
+  getMealPlanWeek(date?: DayInput, options?: WeekOptions, requestOptions?: RequestOptions): Promise<MealPlanWeek>;
+  addRecipeToMealPlan(
+    day: DayInput,
+    recipeId: number,
+    options?: { servings?: number; sectionId?: number },
+    requestOptions?: RequestOptions,
+  ): Promise<{ created_object_id: number }>;
+  addProductToMealPlan(
+    day: DayInput,
+    productId: number,
+    options?: { amount?: number; quId?: number; sectionId?: number },
+    requestOptions?: RequestOptions,
+  ): Promise<{ created_object_id: number }>;
+  addNoteToMealPlan(
+    day: DayInput,
+    note: string,
+    options?: { sectionId?: number },
+    requestOptions?: RequestOptions,
+  ): Promise<{ created_object_id: number }>;
+  getMealPlanFulfillment(
+    date?: DayInput,
+    options?: WeekOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<MealPlanFulfillment>;
+  addMealPlanToShoppingList(
+    date?: DayInput,
+    options?: WeekOptions & { listId?: number },
+    requestOptions?: RequestOptions,
+  ): Promise<{ products: { product_id: number; amount: number }[] }>;
+
+  // Chores
+  getChores(options?: ListOptions, requestOptions?: RequestOptions): Promise<any[]>;
+  iterateChores(options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<any>;
+  getChoreDetails(choreId: number, requestOptions?: RequestOptions): Promise<any>;
+  executeChore(choreId: number, data?: ChoreExecutionData, requestOptions?: RequestOptions): Promise<ChoreLogEntry>;
+  undoChoreExecution(executionId: number, requestOptions?: RequestOptions): Promise<{ success: true }>;
+  calculateNextChoreAssignments(
+    data?: { chore_id?: number },
+    requestOptions?: RequestOptions,
+  ): Promise<{ success: true }>;
+
+  // Batteries
+  getBatteries(options?: ListOptions, requestOptions?: RequestOptions): Promise<any[]>;
+  iterateBatteries(options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<any>;
+  getBatteryDetails(batteryId: number, requestOptions?: RequestOptions): Promise<any>;
+  chargeBattery(
+    batteryId: number,
+    data?: BatteryChargeData,
+    requestOptions?: RequestOptions,
+  ): Promise<BatteryChargeCycle>;
+  undoBatteryChargeCycle(chargeCycleId: number, requestOptions?: RequestOptions): Promise<{ success: true }>;
+
+  // Chore and battery planning
+  getDueSchedule(options?: DueScheduleOptions, requestOptions?: RequestOptions): Promise<DueSchedule>;
+
+  // Tasks
+  getTasks(options?: ListOptions, requestOptions?: RequestOptions): Promise<any[]>;
+  iterateTasks(options?: IterateOptions, requestOptions?: RequestOptions): AsyncGenerator<any>;
+  completeTask(taskId: number, data?: object, requestOptions?: RequestOptions): Promise<any>;
+  undoTask(taskId: number, requestOptions?: RequestOptions): Promise<any>;
+
+  // Calendar
+  getCalendar(requestOptions?: RequestOptions): Promise<{ calendar: string }>;
+  getCalendarEvents(
+    options?: CalendarEventsOptions,
+    requestOptions?: RequestOptions,
+  ): Promise<{ calendar: string; properties: Record<string, string>; events: CalendarEvent[] }>;
+  getCalendarSharingLink(requestOptions?: RequestOptions): Promise<{ url: string }>;
+}
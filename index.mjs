@@ -3,14 +3,3557 @@
  *
  * Authentication is done via API keys (header *GROCY-API-KEY* or same named query parameter)
  */
+
+import { EventEmitter } from 'node:events';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+/**
+ * Base class for all errors thrown by the Grocy client
+ */
+export class GrocyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.endpoint - API endpoint of the failed request
+   * @param {string} details.method - HTTP method of the failed request
+   * @param {number} details.status - HTTP status code, if a response was received
+   * @param {*} details.body - Parsed response body, if a response was received
+   * @param {Headers} details.headers - Response headers, if a response was received
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, { endpoint = null, method = null, status = null, body = null, headers = null, cause } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = new.target.name;
+    this.endpoint = endpoint;
+    this.method = method;
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * The server answered with a non-2xx status code
+ */
+export class GrocyHttpError extends GrocyError {}
+
+/**
+ * The server answered with 400 or 422 (invalid request data)
+ */
+export class GrocyValidationError extends GrocyHttpError {}
+
+/**
+ * The server answered with 401 or 403 (missing or invalid API key, insufficient permissions)
+ */
+export class GrocyAuthError extends GrocyHttpError {}
+
+/**
+ * The server answered with 404 (the requested object does not exist)
+ */
+export class GrocyNotFoundError extends GrocyHttpError {}
+
+/**
+ * The request never received a response (DNS failure, connection refused, ...)
+ */
+export class GrocyNetworkError extends GrocyError {}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+export class GrocyTimeoutError extends GrocyNetworkError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details, see GrocyError
+   * @param {number} details.timeout - Timeout in ms that was exceeded
+   */
+  constructor(message, { timeout = null, ...details } = {}) {
+    super(message, details);
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The data passed to a client method was rejected by local validation, before any request was sent
+ */
+export class GrocyInputError extends GrocyError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details, see GrocyError
+   * @param {string[]} details.problems - Every problem found in the data
+   */
+  constructor(message, { problems = [], ...details } = {}) {
+    super(message, details);
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} endpoint - API endpoint as passed to Grocy.request()
+ * @property {string} method - HTTP method
+ * @property {URL} url - Full request URL including query parameters
+ * @property {Object} headers - Request headers
+ * @property {*} body - Request data, JSON encoded when sent (strings included) unless it is binary or form data; the
+ *   Content-Type header follows the body the middleware leaves, unless one is set in `headers`
+ * @property {boolean} rawBody - Send a string body as it is, as already encoded JSON
+ * @property {number} attempt - Attempt number, starting at 1
+ * @property {AbortSignal} signal - Caller's abort signal, if any
+ * @property {Response|null} response - Raw fetch response, set once it has been received
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} signal - Signal to cancel the request
+ * @property {number} timeout - Timeout in ms, overrides the client default (0 disables it)
+ * @property {boolean} cache - Set to false to bypass the response cache
+ * @property {boolean} raw - Resolve with `{ success: true, response }` instead of parsing the response body
+ * @property {boolean} rawBody - Send a string body as it is, as already encoded JSON
+ */
+
+const DEFAULT_TIMEOUT = 30000;
+
+const DEFAULT_UNDO_HISTORY = 10;
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  minDelay: 250,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [408, 425, 429, 500, 502, 503, 504],
+  networkErrors: true,
+  methods: ['GET', 'PUT', 'DELETE'],
+  stockActions: false,
+  respectRetryAfter: true,
+  shouldRetry: null,
+  onRetry: null,
+};
+
+// POST endpoints that book stock; not idempotent, so only retried on request
+const STOCK_ACTION_PATTERN = /^\/stock\/products\/(by-barcode\/)?[^/]+\/(add|consume|transfer|inventory|open)$/;
+
+// Endpoints whose changes can change the factors of the unit converter
+const UNIT_CONVERSION_ENDPOINT_PATTERN = /^\/objects\/(products|quantity_units|quantity_unit_conversions)(\/|$)/;
+
+const HTTP_ERROR_CLASSES = {
+  400: GrocyValidationError,
+  401: GrocyAuthError,
+  403: GrocyAuthError,
+  404: GrocyNotFoundError,
+  422: GrocyValidationError,
+};
+
+/**
+ * Check whether request data has to be sent as-is instead of JSON encoded
+ * @param {*} data - Request data
+ * @returns {boolean} - True for binary bodies (Blob, ArrayBuffer, typed arrays, streams)
+ */
+function isBinaryBody(data) {
+  return (
+    data instanceof Blob || data instanceof ArrayBuffer || ArrayBuffer.isView(data) || data instanceof ReadableStream
+  );
+}
+
+/**
+ * Encode a request body for fetch
+ *
+ * Binary data and form data are sent as they are, and fetch sets their type. Anything else is JSON encoded, strings
+ * included, unless the string is marked as encoded JSON already.
+ * @param {*} body - Request data
+ * @param {boolean} rawBody - Send a string body as it is
+ * @returns {Object} - `{ body, contentType }`, the content type null if fetch should set it
+ */
+function encodeBody(body, rawBody = false) {
+  if (isBinaryBody(body) || body instanceof FormData || body instanceof URLSearchParams) {
+    return { body, contentType: null };
+  }
+  if (body === null || body === undefined || (rawBody && typeof body === 'string')) {
+    return { body, contentType: 'application/json' };
+  }
+  return { body: JSON.stringify(body), contentType: 'application/json' };
+}
+
+// Ways downloadFile() can return a file's content, with the function reading it from the response
+const FILE_READERS = {
+  buffer: async (response) => Buffer.from(await response.arrayBuffer()),
+  blob: (response) => response.blob(),
+  stream: (response) => response.body,
+};
+
+/**
+ * Encode a file name for the files API, which takes them BASE64 encoded
+ * @param {string} fileName - Plain file name
+ * @returns {string} - Encoded file name, safe to use in a URL path
+ */
+function encodeFileName(fileName) {
+  return encodeURIComponent(Buffer.from(String(fileName), 'utf8').toString('base64'));
+}
+
+/**
+ * Read the body of an error response, preferring JSON
+ * @param {Response} response - Fetch response
+ * @returns {Promise<*>} - Parsed body, or null if it could not be read
+ */
+async function readErrorBody(response) {
+  const contentType = response.headers?.get('content-type');
+
+  try {
+    if (!contentType || contentType.includes('application/json')) {
+      return await response.json();
+    }
+    return await response.text();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the matching GrocyHttpError subclass for a non-2xx response
+ * @param {Response} response - Fetch response
+ * @param {*} body - Parsed response body
+ * @param {Object} details - Request details (endpoint, method)
+ * @returns {GrocyHttpError} - Error instance
+ */
+function createHttpError(response, body, details) {
+  const { status } = response;
+  const ErrorClass = HTTP_ERROR_CLASSES[status] || GrocyHttpError;
+  const message = (body && body.error_message) || `HTTP error! status: ${status}`;
+  return new ErrorClass(`Grocy API request failed: ${message}`, {
+    ...details,
+    status,
+    body,
+    headers: response.headers || null,
+  });
+}
+
+/**
+ * Convert a fetch response into the value returned by Grocy.request()
+ * @param {Response} response - Fetch response
+ * @param {Object} details - Request details (endpoint, method)
+ * @param {boolean} raw - Leave the body unread, e.g. for file downloads
+ * @returns {Promise<Object>} - Response data
+ */
+async function parseResponse(response, details, raw = false) {
+  if (!response.ok) {
+    throw createHttpError(response, await readErrorBody(response), details);
+  }
+  if (raw) {
+    return { success: true, response };
+  }
+
+  // Handle non-JSON responses (like file downloads or no content)
+  if (response.status === 204) {
+    return { success: true };
+  }
+
+  const contentType = response.headers?.get('content-type');
+
+  try {
+    if (contentType && contentType.includes('application/json')) {
+      return await response.json();
+    } else if (contentType && contentType.includes('text/calendar')) {
+      return { calendar: await response.text() };
+    }
+  } catch (error) {
+    throw new GrocyError(`Grocy API request failed: ${error.message}`, {
+      ...details,
+      status: response.status,
+      cause: error,
+    });
+  }
+
+  // Handle binary responses or other non-JSON responses
+  return { success: true, response };
+}
+
+/**
+ * Wrap a response body stream so a cleanup runs once the stream has been read, failed or been cancelled
+ * @param {ReadableStream} stream - Response body
+ * @param {Function} release - Cleanup
+ * @param {AbortSignal} signal - Request signal, whose reason replaces the read error after an abort
+ * @returns {ReadableStream} - Stream with the same content
+ */
+function releaseWhenRead(stream, release, signal) {
+  const reader = stream.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        release();
+        controller.error(signal.aborted ? signal.reason : error);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    },
+  });
+}
+
+/**
+ * Send a single request and parse its response
+ * @param {RequestContext} ctx - Request context, `ctx.response` is set once a response arrives
+ * @param {Object} control - Transport and cancellation settings
+ * @param {Function} control.fetch - Fetch implementation
+ * @param {AbortSignal} control.signal - Caller's abort signal
+ * @param {number} control.timeout - Timeout in ms (0 or null disables it)
+ * @param {boolean} control.raw - Return the unparsed response
+ * @param {Function} control.read - Read the content of a successful response instead, while the timeout and the
+ *   caller's signal still apply; a returned stream keeps them active until it has been read
+ * @returns {Promise<Object>} - Response data
+ */
+async function send(ctx, { fetch, signal, timeout, raw, read }) {
+  const details = { endpoint: ctx.endpoint, method: ctx.method };
+  const options = { method: ctx.method, headers: { ...ctx.headers } };
+
+  // The body may have been replaced by middleware, so its type is only known now
+  const { body, contentType } = encodeBody(ctx.body, ctx.rawBody);
+  if (contentType && !Object.keys(options.headers).some((name) => name.toLowerCase() === 'content-type')) {
+    options.headers['Content-Type'] = contentType;
+  }
+  if (body !== null && body !== undefined) {
+    options.body = body;
+    if (body instanceof ReadableStream) {
+      options.duplex = 'half';
+    }
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  let timer;
+  if (timeout > 0) {
+    timer = setTimeout(() => {
+      controller.abort(
+        new GrocyTimeoutError(`Grocy API request failed: Timeout of ${timeout}ms exceeded`, { ...details, timeout }),
+      );
+    }, timeout);
+  }
+  let release = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  };
+
+  try {
+    let response;
+    try {
+      response = await fetch(ctx.url, { ...options, signal: controller.signal });
+    } catch (error) {
+      throw new GrocyNetworkError(`Grocy API request failed: ${error.message}`, { ...details, cause: error });
+    }
+
+    ctx.response = response;
+    const result = await parseResponse(response, details, raw || Boolean(read));
+    if (!read) {
+      return result;
+    }
+
+    const content = await read(response);
+    if (!(content instanceof ReadableStream)) {
+      return content;
+    }
+    const cleanup = release;
+    release = () => {};
+    return releaseWhenRead(content, cleanup, controller.signal);
+  } catch (error) {
+    // Report the abort reason (timeout or the caller's own reason) instead of the resulting fetch error
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Wait for a promise shared with other callers, giving up early if this caller's signal is aborted
+ * @param {Promise} promise - Shared promise, which keeps running after an abort
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {Promise<*>} - Result of the promise
+ */
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Tell data that survives a JSON round trip, which is what the response cache can copy and store
+ * @param {*} value - Value
+ * @returns {boolean} - True for JSON data
+ */
+function isJsonData(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.every(isJsonData);
+  }
+  return typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+    ? Object.values(value).every(isJsonData)
+    : false;
+}
+
+/**
+ * Run a request context through the middleware chain
+ * @param {Function[]} middleware - Middleware functions `(ctx, next) => Promise<*>`
+ * @param {RequestContext} ctx - Request context
+ * @param {Function} handler - Innermost handler performing the request
+ * @returns {Promise<*>} - Result of the outermost middleware
+ */
+function runMiddleware(middleware, ctx, handler) {
+  const dispatch = async (index) => {
+    if (index === middleware.length) {
+      return handler(ctx);
+    }
+    return middleware[index](ctx, () => dispatch(index + 1));
+  };
+
+  return dispatch(0);
+}
+
+/**
+ * Wait for the given time, stopping early if the signal is aborted
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Merge a user supplied retry policy with the defaults
+ * @param {boolean|Object} retry - Retry policy, `true` for the defaults
+ * @returns {Object|null} - Retry policy, or null if retries are disabled
+ */
+function normalizeRetryOptions(retry) {
+  if (!retry) {
+    return null;
+  }
+  return { ...DEFAULT_RETRY_OPTIONS, ...(retry === true ? {} : retry) };
+}
+
+/**
+ * Check whether a failed request may be sent again
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - Error of the failed attempt
+ * @param {Object} details - Request details (endpoint, method)
+ * @returns {boolean} - True if the request can be retried
+ */
+function isRetryable(policy, error, { endpoint, method }) {
+  const stockAction = method === 'POST' && STOCK_ACTION_PATTERN.test(endpoint);
+  if (!policy.methods.includes(method) && !(policy.stockActions && stockAction)) {
+    return false;
+  }
+
+  if (policy.shouldRetry) {
+    return Boolean(policy.shouldRetry(error));
+  }
+  if (error instanceof GrocyNetworkError) {
+    return policy.networkErrors;
+  }
+  if (error instanceof GrocyHttpError) {
+    return policy.statusCodes.includes(error.status);
+  }
+  return false;
+}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (delay in seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute how long to wait before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt (starting at 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(policy, error, attempt) {
+  if (policy.respectRetryAfter) {
+    const retryAfter = parseRetryAfter(error.headers?.get('retry-after'));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxDelay);
+    }
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** (attempt - 1));
+  // "Equal jitter": keep at least half of the delay, randomize the rest
+  return policy.jitter ? delay / 2 + (Math.random() * delay) / 2 : delay;
+}
+
+/**
+ * Build a field definition map from field names grouped by type
+ * @param {Object<string, string[]>} groups - Field names keyed by type (number, string, boolean, date, datetime)
+ * @returns {Object<string, string>} - Field types keyed by field name
+ */
+function defineFields(groups) {
+  const fields = { id: 'number', row_created_timestamp: 'datetime' };
+  Object.entries(groups).forEach(([type, names]) => {
+    names.forEach((name) => {
+      fields[name] = type;
+    });
+  });
+  return fields;
+}
+
+// Entities exposed by the generic /objects API, keyed by entity name
+const ENTITIES = {
+  products: {
+    accessor: 'products',
+    fields: defineFields({
+      string: ['name', 'description', 'picture_file_name'],
+      number: [
+        'product_group_id',
+        'location_id',
+        'shopping_location_id',
+        'qu_id_purchase',
+        'qu_id_stock',
+        'qu_id_consume',
+        'qu_id_price',
+        'qu_factor_purchase_to_stock',
+        'min_stock_amount',
+        'default_best_before_days',
+        'default_best_before_days_after_open',
+        'default_best_before_days_after_freezing',
+        'default_best_before_days_after_thawing',
+        'tare_weight',
+        'parent_product_id',
+        'calories',
+        'due_type',
+        'quick_consume_amount',
+        'quick_open_amount',
+        'default_stock_label_type',
+        'default_consume_location_id',
+      ],
+      boolean: [
+        'active',
+        'enable_tare_weight_handling',
+        'not_check_stock_fulfillment_for_recipes',
+        'cumulate_min_stock_amount_of_sub_products',
+        'hide_on_stock_overview',
+        'should_not_be_frozen',
+        'treat_opened_as_out_of_stock',
+        'no_own_stock',
+        'move_on_open',
+        'auto_reprint_stock_label',
+      ],
+    }),
+  },
+  product_barcodes: {
+    accessor: 'productBarcodes',
+    fields: defineFields({
+      string: ['barcode', 'note'],
+      number: ['product_id', 'qu_id', 'amount', 'shopping_location_id', 'last_price'],
+    }),
+  },
+  product_groups: {
+    accessor: 'productGroups',
+    fields: defineFields({ string: ['name', 'description'], boolean: ['active'] }),
+  },
+  locations: {
+    accessor: 'locations',
+    fields: defineFields({ string: ['name', 'description'], boolean: ['is_freezer', 'active'] }),
+  },
+  shopping_locations: {
+    accessor: 'shoppingLocations',
+    fields: defineFields({ string: ['name', 'description'], boolean: ['active'] }),
+  },
+  quantity_units: {
+    accessor: 'quantityUnits',
+    fields: defineFields({ string: ['name', 'name_plural', 'description', 'plural_forms'], boolean: ['active'] }),
+  },
+  quantity_unit_conversions: {
+    accessor: 'quantityUnitConversions',
+    fields: defineFields({ number: ['from_qu_id', 'to_qu_id', 'factor', 'product_id'] }),
+  },
+  shopping_list: {
+    accessor: 'shoppingList',
+    fields: defineFields({
+      string: ['note'],
+      number: ['product_id', 'amount', 'shopping_list_id', 'qu_id'],
+      boolean: ['done'],
+    }),
+  },
+  shopping_lists: {
+    accessor: 'shoppingLists',
+    fields: defineFields({ string: ['name', 'description'] }),
+  },
+  recipes: {
+    accessor: 'recipes',
+    fields: defineFields({
+      string: ['name', 'description', 'picture_file_name', 'type'],
+      number: ['base_servings', 'desired_servings', 'product_id'],
+      boolean: ['not_check_shoppinglist'],
+    }),
+  },
+  recipes_pos: {
+    accessor: 'recipesPos',
+    fields: defineFields({
+      string: ['note', 'ingredient_group', 'variable_amount'],
+      number: ['recipe_id', 'product_id', 'amount', 'qu_id', 'price_factor'],
+      boolean: ['only_check_single_unit_in_stock', 'not_check_stock_fulfillment', 'round_up'],
+    }),
+  },
+  recipes_nestings: {
+    accessor: 'recipesNestings',
+    fields: defineFields({ number: ['recipe_id', 'includes_recipe_id', 'servings'] }),
+  },
+  meal_plan: {
+    accessor: 'mealPlan',
+    fields: defineFields({
+      date: ['day'],
+      string: ['type', 'note'],
+      number: ['recipe_id', 'recipe_servings', 'product_id', 'product_amount', 'product_qu_id', 'section_id'],
+      boolean: ['done'],
+    }),
+  },
+  meal_plan_sections: {
+    accessor: 'mealPlanSections',
+    fields: defineFields({ string: ['name', 'time_info'], number: ['sort_number'] }),
+  },
+  chores: {
+    accessor: 'choresEntity',
+    fields: defineFields({
+      string: ['name', 'description', 'period_type', 'period_config', 'assignment_type', 'assignment_config'],
+      number: [
+        'period_days',
+        'period_interval',
+        'next_execution_assigned_to_user_id',
+        'product_id',
+        'product_amount',
+        'rescheduled_next_execution_assigned_to_user_id',
+      ],
+      boolean: ['track_date_only', 'rollover', 'consume_product_on_execution', 'active'],
+      datetime: ['start_date', 'rescheduled_date'],
+    }),
+  },
+  batteries: {
+    accessor: 'batteriesEntity',
+    fields: defineFields({
+      string: ['name', 'description', 'used_in'],
+      number: ['charge_interval_days'],
+      boolean: ['active'],
+    }),
+  },
+  tasks: {
+    accessor: 'tasksEntity',
+    fields: defineFields({
+      string: ['name', 'description'],
+      number: ['category_id', 'assigned_to_user_id'],
+      boolean: ['done'],
+      date: ['due_date'],
+      datetime: ['done_timestamp'],
+    }),
+  },
+  task_categories: {
+    accessor: 'taskCategories',
+    fields: defineFields({ string: ['name', 'description'], boolean: ['active'] }),
+  },
+  equipment: {
+    accessor: 'equipment',
+    fields: defineFields({ string: ['name', 'description', 'instruction_manual_file_name'] }),
+  },
+  userfields: {
+    accessor: 'userfieldsEntity',
+    fields: defineFields({
+      string: ['entity', 'name', 'caption', 'type', 'config', 'default_value'],
+      number: ['sort_number'],
+      boolean: ['show_as_column_in_tables', 'input_required'],
+    }),
+  },
+  userentities: {
+    accessor: 'userentities',
+    fields: defineFields({
+      string: ['name', 'caption', 'description', 'icon_css_class'],
+      boolean: ['show_in_sidebar_menu'],
+    }),
+  },
+  userobjects: {
+    accessor: 'userobjects',
+    fields: defineFields({ number: ['userentity_id'] }),
+  },
+  stock: {
+    accessor: 'stockEntity',
+    readOnly: true,
+    fields: defineFields({
+      string: ['stock_id', 'note'],
+      number: ['product_id', 'amount', 'price', 'location_id', 'shopping_location_id'],
+      boolean: ['open'],
+      date: ['best_before_date', 'purchased_date', 'opened_date'],
+    }),
+  },
+  stock_log: {
+    accessor: 'stockLog',
+    readOnly: true,
+    fields: defineFields({
+      string: ['stock_id', 'transaction_type', 'correlation_id', 'transaction_id', 'note'],
+      number: [
+        'product_id',
+        'amount',
+        'price',
+        'location_id',
+        'recipe_id',
+        'stock_row_id',
+        'shopping_location_id',
+        'user_id',
+      ],
+      boolean: ['spoiled', 'undone'],
+      date: ['best_before_date', 'purchased_date', 'used_date', 'opened_date'],
+      datetime: ['undone_timestamp'],
+    }),
+  },
+  stock_current_locations: {
+    accessor: 'stockCurrentLocations',
+    readOnly: true,
+    fields: defineFields({
+      string: ['location_name'],
+      number: ['product_id', 'amount', 'location_id'],
+      boolean: ['location_is_freezer'],
+    }),
+  },
+  products_last_purchased: {
+    accessor: 'productsLastPurchased',
+    readOnly: true,
+    fields: defineFields({
+      number: ['product_id', 'amount', 'price', 'location_id', 'shopping_location_id'],
+      date: ['best_before_date', 'purchased_date'],
+    }),
+  },
+  products_average_price: {
+    accessor: 'productsAveragePrice',
+    readOnly: true,
+    fields: defineFields({ number: ['product_id', 'price'] }),
+  },
+  quantity_unit_conversions_resolved: {
+    accessor: 'quantityUnitConversionsResolved',
+    readOnly: true,
+    fields: defineFields({
+      string: ['from_qu_name', 'from_qu_name_plural', 'to_qu_name', 'to_qu_name_plural', 'path'],
+      number: ['product_id', 'from_qu_id', 'to_qu_id', 'factor'],
+    }),
+  },
+  chores_log: {
+    accessor: 'choresLog',
+    readOnly: true,
+    fields: defineFields({
+      number: ['chore_id', 'done_by_user_id'],
+      boolean: ['undone', 'skipped'],
+      datetime: ['tracked_time', 'undone_timestamp', 'scheduled_execution_time'],
+    }),
+  },
+  battery_charge_cycles: {
+    accessor: 'batteryChargeCycles',
+    readOnly: true,
+    fields: defineFields({
+      number: ['battery_id'],
+      boolean: ['undone'],
+      datetime: ['tracked_time', 'undone_timestamp'],
+    }),
+  },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/;
+
+/**
+ * Format a date as used by Grocy (YYYY-MM-DD, or YYYY-MM-DD HH:MM:SS with time), in local time
+ * @param {Date} date - Date to format
+ * @param {boolean} withTime - Include the time of day
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, withTime = false) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return withTime ? `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` : day;
+}
+
+/**
+ * Parse a day given as Date or YYYY-MM-DD string into a Date at local midnight
+ * @param {Date|string} value - Day
+ * @returns {Date} - Local midnight of the day
+ */
+function parseDay(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+  throw new TypeError(`Expected a Date or a YYYY-MM-DD string, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Parse a point in time given as Date or Grocy date string (YYYY-MM-DD[ HH:MM[:SS]], local time)
+ * @param {Date|string} value - Date and time
+ * @returns {Date} - Parsed date
+ */
+function parseDateTime(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return new Date(value);
+  }
+  if (typeof value === 'string' && DATETIME_PATTERN.test(value)) {
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = value.split(/[-: ]/).map(Number);
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+  throw new TypeError(`Expected a Date or a YYYY-MM-DD HH:MM:SS string, got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Format a Date `tracked_time` of chore executions and battery charges as Grocy expects it
+ * @param {Object} data - Execution or charge data
+ * @returns {Object} - Data with a string `tracked_time`
+ */
+function formatTrackedTime(data) {
+  return data?.tracked_time instanceof Date ? { ...data, tracked_time: formatDate(data.tracked_time, true) } : data;
+}
+
+/**
+ * Get the first and last day of the week containing a day
+ * @param {Date|string} date - Day within the week
+ * @param {number} weekStart - First day of the week (0 = Sunday, 1 = Monday, ...)
+ * @returns {{ from: string, to: string, days: string[] }} - First and last day, and all days as YYYY-MM-DD
+ */
+function getWeekRange(date, weekStart = 1) {
+  const start = parseDay(date);
+  start.setDate(start.getDate() - ((start.getDay() - weekStart + 7) % 7));
+  const days = Array.from({ length: 7 }, (_, i) =>
+    formatDate(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)),
+  );
+  return { from: days[0], to: days[6], days };
+}
+
+/**
+ * Check a single field value against its declared type and convert it to what Grocy stores
+ * @param {string} type - Field type (number, string, boolean, date, datetime)
+ * @param {*} value - Field value
+ * @returns {{ value: *, error: string|null }} - Converted value, or a description of the expected type
+ */
+function normalizeFieldValue(type, value) {
+  if (value === null) {
+    return { value, error: null };
+  }
+
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value))
+        ? { value, error: null }
+        : { value, error: 'a number' };
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return { value: value ? 1 : 0, error: null };
+      }
+      return [0, 1, '0', '1'].includes(value) ? { value, error: null } : { value, error: 'a boolean or 0/1' };
+    case 'date':
+    case 'datetime':
+      if (value instanceof Date) {
+        return { value: formatDate(value, type === 'datetime'), error: null };
+      }
+      return typeof value === 'string' && (type === 'date' ? DATE_PATTERN : DATETIME_PATTERN).test(value)
+        ? { value, error: null }
+        : { value, error: type === 'date' ? 'a date (YYYY-MM-DD)' : 'a date/time (YYYY-MM-DD HH:MM:SS)' };
+    default:
+      return typeof value === 'string' ? { value, error: null } : { value, error: 'a string' };
+  }
+}
+
+// Condition operators understood by Grocy's query[] filter, see QueryBuilder
+const QUERY_OPERATORS = ['=', '!=', '~', '!~', '<', '>', '<=', '>=', '§'];
+
+// Grocy splits a condition at the first operator, so fields must not contain operator characters; values may
+const QUERY_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Regular expression flags that have an inline modifier in Grocy's (PCRE) regular expressions
+const QUERY_REGEXP_FLAGS = ['i', 'm', 's'];
+
+/**
+ * Check that a text can be sent as a query[] value
+ * @param {string} text - Value text
+ * @returns {string} - The text
+ */
+function checkQueryText(text) {
+  // Control characters would end up inside the query string and cannot be matched by Grocy
+  if (/[\u0000-\u001f\u007f]/.test(text)) {
+    throw new TypeError('Query values must not contain control characters');
+  }
+  return text;
+}
+
+/**
+ * Convert a condition value into its query[] representation
+ * @param {*} value - Condition value
+ * @returns {string} - Serialized value
+ */
+function serializeQueryValue(value) {
+  if (value instanceof RegExp) {
+    // The global flag makes no difference for a single match, the others are written as inline modifiers
+    const flags = [...value.flags].filter((flag) => flag !== 'g');
+    const unsupported = flags.filter((flag) => !QUERY_REGEXP_FLAGS.includes(flag));
+    if (unsupported.length > 0) {
+      throw new TypeError(`Unsupported regular expression flags "${unsupported.join('')}"`);
+    }
+    return checkQueryText(flags.length > 0 ? `(?${flags.join('')})${value.source}` : value.source);
+  }
+  if (value instanceof Date) {
+    const midnight = value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0;
+    return formatDate(value, !midnight);
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new TypeError(`Query values must be finite numbers, got ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    return checkQueryText(value);
+  }
+  throw new TypeError(`Unsupported query value: ${value}`);
+}
+
+/**
+ * Fluent builder for the query[] filter and order parameters of the list endpoints
+ *
+ * All conditions are combined with AND, as Grocy does not support OR:
+ * `where('name').contains('milk').and('location_id').eq(3).orderBy('name', 'desc')`
+ */
+export class QueryBuilder {
+  constructor() {
+    this.conditions = [];
+    this.pendingField = null;
+    this.order = null;
+    this.limitValue = null;
+    this.offsetValue = null;
+  }
+
+  /**
+   * Start a condition on a field
+   * @param {string} field - Field name
+   * @param {string} operator - Operator, to add the condition right away
+   * @param {*} value - Value, to add the condition right away
+   * @returns {QueryBuilder} - The builder, call a condition method next unless operator and value were given
+   */
+  where(field, operator, value) {
+    if (this.pendingField !== null) {
+      throw new TypeError(`Missing condition for field "${this.pendingField}"`);
+    }
+    if (typeof field !== 'string' || !QUERY_FIELD_PATTERN.test(field)) {
+      throw new TypeError(`Invalid query field "${field}"`);
+    }
+
+    this.pendingField = field;
+    return operator === undefined ? this : this.condition(operator, value);
+  }
+
+  /**
+   * Start another condition; alias of where(), reads better when chaining
+   * @param {string} field - Field name
+   * @param {string} operator - Operator, to add the condition right away
+   * @param {*} value - Value, to add the condition right away
+   * @returns {QueryBuilder} - The builder
+   */
+  and(field, operator, value) {
+    return this.where(field, operator, value);
+  }
+
+  /**
+   * Complete the pending condition
+   * @param {string} operator - One of =, !=, ~, !~, <, >, <=, >=, §
+   * @param {*} value - Value (string, number, boolean, Date, or RegExp for §)
+   * @returns {QueryBuilder} - The builder
+   */
+  condition(operator, value) {
+    if (this.pendingField === null) {
+      throw new TypeError('Call where() before adding a condition');
+    }
+    if (!QUERY_OPERATORS.includes(operator)) {
+      throw new TypeError(`Invalid query operator "${operator}", expected one of ${QUERY_OPERATORS.join(' ')}`);
+    }
+
+    this.conditions.push(`${this.pendingField}${operator}${serializeQueryValue(value)}`);
+    this.pendingField = null;
+    return this;
+  }
+
+  /**
+   * Field equals value
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  eq(value) {
+    return this.condition('=', value);
+  }
+
+  /**
+   * Field does not equal value
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  ne(value) {
+    return this.condition('!=', value);
+  }
+
+  /**
+   * Field contains value (case insensitive)
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  contains(value) {
+    return this.condition('~', value);
+  }
+
+  /**
+   * Field does not contain value (case insensitive)
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  notContains(value) {
+    return this.condition('!~', value);
+  }
+
+  /**
+   * Field is less than value
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  lt(value) {
+    return this.condition('<', value);
+  }
+
+  /**
+   * Field is greater than value
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  gt(value) {
+    return this.condition('>', value);
+  }
+
+  /**
+   * Field is less than or equal to value
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  lte(value) {
+    return this.condition('<=', value);
+  }
+
+  /**
+   * Field is greater than or equal to value
+   * @param {*} value - Value
+   * @returns {QueryBuilder} - The builder
+   */
+  gte(value) {
+    return this.condition('>=', value);
+  }
+
+  /**
+   * Field matches a regular expression
+   * @param {RegExp|string} pattern - Regular expression
+   * @returns {QueryBuilder} - The builder
+   */
+  matches(pattern) {
+    return this.condition('§', pattern);
+  }
+
+  /**
+   * Sort the results
+   * @param {string} field - Field name
+   * @param {string} direction - asc or desc
+   * @returns {QueryBuilder} - The builder
+   */
+  orderBy(field, direction = 'asc') {
+    if (typeof field !== 'string' || !QUERY_FIELD_PATTERN.test(field)) {
+      throw new TypeError(`Invalid order field "${field}"`);
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new TypeError(`Invalid order direction "${direction}", expected asc or desc`);
+    }
+
+    this.order = `${field}:${direction}`;
+    return this;
+  }
+
+  /**
+   * Limit the number of results
+   * @param {number} limit - Maximum number of results
+   * @returns {QueryBuilder} - The builder
+   */
+  limit(limit) {
+    this.limitValue = limit;
+    return this;
+  }
+
+  /**
+   * Skip a number of results
+   * @param {number} offset - Number of results to skip
+   * @returns {QueryBuilder} - The builder
+   */
+  offset(offset) {
+    this.offsetValue = offset;
+    return this;
+  }
+
+  /**
+   * Convert the builder into the query options accepted by the list methods
+   * @returns {Object} - Query options (query, order, limit, offset)
+   */
+  toOptions() {
+    if (this.pendingField !== null) {
+      throw new TypeError(`Missing condition for field "${this.pendingField}"`);
+    }
+
+    const options = {};
+    if (this.conditions.length > 0) options.query = [...this.conditions];
+    if (this.order !== null) options.order = this.order;
+    if (this.limitValue !== null) options.limit = this.limitValue;
+    if (this.offsetValue !== null) options.offset = this.offsetValue;
+    return options;
+  }
+}
+
+/**
+ * Start a query builder with a condition on a field
+ * @param {string} field - Field name
+ * @param {string} operator - Operator, to add the condition right away
+ * @param {*} value - Value, to add the condition right away
+ * @returns {QueryBuilder} - Query builder
+ */
+export function where(field, operator, value) {
+  return new QueryBuilder().where(field, operator, value);
+}
+
+/**
+ * Unwrap a query builder into plain query options
+ * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+ * @returns {Object} - Query options
+ */
+function normalizeQueryOptions(options) {
+  if (options instanceof QueryBuilder) {
+    return options.toOptions();
+  }
+  if (options.query instanceof QueryBuilder) {
+    const { query, ...rest } = options;
+    return { ...query.toOptions(), ...rest };
+  }
+  return options;
+}
+
+/**
+ * Build the query parameters of the list endpoints
+ * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+ * @returns {Object} - Query parameters for Grocy.request()
+ */
+function buildQueryParams(options) {
+  const { query, order, limit, offset } = normalizeQueryOptions(options);
+  const params = {};
+
+  // Compare against null/undefined so that `limit: 0` and `offset: 0` are sent as well
+  if (query !== undefined && query !== null) params.query = query;
+  if (order !== undefined && order !== null) params.order = order;
+  if (limit !== undefined && limit !== null) params.limit = limit;
+  if (offset !== undefined && offset !== null) params.offset = offset;
+
+  return params;
+}
+
+/**
+ * Build query parameters for stock endpoints that can include the stock of sub products
+ * @param {Object|QueryBuilder} options - Query options, plus `includeSubProducts`
+ * @returns {Object} - Query parameters
+ */
+function buildStockQueryParams(options) {
+  const params = buildQueryParams(options);
+  if (options?.includeSubProducts !== undefined && options?.includeSubProducts !== null) {
+    params.include_sub_products = Boolean(options.includeSubProducts);
+  }
+  return params;
+}
+
+/**
+ * Iterate over all results of a list endpoint, fetching one page at a time
+ * @param {Function} fetchPage - Fetches one page, called with query options including limit and offset
+ * @param {Object|QueryBuilder} options - Query options; `pageSize` sets the page size (default 100), `limit`
+ *   caps the total number of results and `offset` sets where to start
+ * @returns {AsyncGenerator<Object>} - Results
+ */
+async function* paginate(fetchPage, options = {}) {
+  const { pageSize = 100, limit = null, offset = 0, ...rest } = normalizeQueryOptions(options);
+
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new RangeError(`pageSize must be a positive integer, got ${pageSize}`);
+  }
+
+  let position = offset;
+  let remaining = limit === null ? Infinity : limit;
+  let previousFirst = null;
+
+  while (remaining > 0) {
+    const size = Math.min(pageSize, remaining);
+    const page = await fetchPage({ ...rest, limit: size, offset: position });
+
+    if (!Array.isArray(page)) {
+      throw new GrocyError('Expected a list response while paginating');
+    }
+
+    // A page starting like the previous one means the endpoint ignored offset; everything was returned already
+    const first = page.length > 0 ? (page[0]?.id ?? JSON.stringify(page[0])) : null;
+    if (previousFirst !== null && first === previousFirst) {
+      return;
+    }
+    previousFirst = first;
+
+    for (const item of page) {
+      yield item;
+    }
+
+    // A short page is the last one; a long page means the endpoint ignored limit/offset and returned everything
+    if (page.length !== size) {
+      return;
+    }
+
+    position += page.length;
+    remaining -= page.length;
+  }
+}
+
+/**
+ * A typed accessor for one entity of the generic /objects API
+ */
+export class EntityAccessor {
+  /**
+   * @param {Grocy} client - Grocy client
+   * @param {string} entity - Entity name, e.g. `products`
+   */
+  constructor(client, entity) {
+    if (!Object.hasOwn(ENTITIES, entity)) {
+      throw new TypeError(`Unknown Grocy entity "${entity}"`);
+    }
+
+    this.client = client;
+    this.entity = entity;
+    this.fields = ENTITIES[entity].fields;
+    this.readOnly = Boolean(ENTITIES[entity].readOnly);
+  }
+
+  /**
+   * Check data against the field definitions and convert booleans and dates to what Grocy stores
+   *
+   * Fields that are not defined are passed through unchanged, as newer Grocy versions may add columns.
+   * @param {Object} data - Entity data
+   * @returns {Object} - Converted entity data
+   */
+  validate(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new GrocyInputError(`Invalid ${this.entity} data: expected an object`, {
+        endpoint: `/objects/${this.entity}`,
+      });
+    }
+
+    const result = {};
+    const problems = [];
+    Object.entries(data).forEach(([field, value]) => {
+      const type = this.fields[field];
+      if (!type) {
+        result[field] = value;
+        return;
+      }
+
+      const normalized = normalizeFieldValue(type, value);
+      if (normalized.error) {
+        problems.push(`${field} must be ${normalized.error}`);
+      }
+      result[field] = normalized.value;
+    });
+
+    if (problems.length > 0) {
+      throw new GrocyInputError(`Invalid ${this.entity} data: ${problems.join(', ')}`, {
+        endpoint: `/objects/${this.entity}`,
+        problems,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * List all objects
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Entity objects
+   */
+  async list(options = {}, requestOptions = {}) {
+    return this.client.getObjects(this.entity, options, requestOptions);
+  }
+
+  /**
+   * Iterate over all objects, fetching them page by page
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Entity objects
+   */
+  iterate(options = {}, requestOptions = {}) {
+    return this.client.iterateObjects(this.entity, options, requestOptions);
+  }
+
+  /**
+   * Get a single object
+   * @param {number} objectId - Object ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Entity object
+   */
+  async get(objectId, requestOptions = {}) {
+    return this.client.getObject(this.entity, objectId, requestOptions);
+  }
+
+  /**
+   * Create an object
+   * @param {Object} data - Entity data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Created object info
+   */
+  async create(data, requestOptions = {}) {
+    this.assertWritable();
+    return this.client.addObject(this.entity, this.validate(data), requestOptions);
+  }
+
+  /**
+   * Update an object
+   * @param {number} objectId - Object ID
+   * @param {Object} data - Entity data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async update(objectId, data, requestOptions = {}) {
+    this.assertWritable();
+    return this.client.editObject(this.entity, objectId, this.validate(data), requestOptions);
+  }
+
+  /**
+   * Delete an object
+   * @param {number} objectId - Object ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async delete(objectId, requestOptions = {}) {
+    this.assertWritable();
+    return this.client.deleteObject(this.entity, objectId, requestOptions);
+  }
+
+  /**
+   * Reject write access to views like `stock` or `stock_log`
+   */
+  assertWritable() {
+    if (this.readOnly) {
+      throw new GrocyError(`The ${this.entity} entity is read-only`, { endpoint: `/objects/${this.entity}` });
+    }
+  }
+}
+
+/**
+ * In-memory least-recently-used store, the default storage of the response cache
+ *
+ * Any object with the same `get`, `set`, `delete` and `clear` methods can be used instead; they may return
+ * promises, e.g. to keep the cache in Redis.
+ */
+export class MemoryCache {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Maximum number of entries before the least recently used are evicted
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} - Cached entry, or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones if the store is full
+   * @param {string} key - Cache key
+   * @param {*} entry - Entry to store
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Endpoints that are never cached: the invalidation check itself, the clock, and binary file downloads
+const UNCACHED_ENDPOINT_PATTERN = /^\/(system\/db-changed-time|system\/time|files\/)/;
+
+/**
+ * Cache for GET responses, invalidated whenever Grocy's database changes
+ *
+ * Before a cached response is used, `/system/db-changed-time` is compared with its value when the response was
+ * stored. The check itself is shared between concurrent requests and repeated at most every `checkInterval` ms.
+ */
+class ResponseCache {
+  /**
+   * @param {Grocy} client - Grocy client
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - Storage with get/set/delete/clear methods (default: a MemoryCache)
+   * @param {number} options.ttl - Maximum age of an entry in ms (default 60000)
+   * @param {Object<string, number>} options.ttls - Maximum age per endpoint, keyed by endpoint prefix
+   *   (e.g. `{ '/stock': 5000 }`); the longest matching prefix wins, 0 disables caching
+   * @param {number} options.checkInterval - Minimum time between two db-changed-time checks in ms (default 1000)
+   */
+  constructor(client, { store = new MemoryCache(), ttl = 60000, ttls = {}, checkInterval = 1000 } = {}) {
+    this.client = client;
+    this.store = store;
+    this.ttl = ttl;
+    this.ttls = ttls;
+    this.checkInterval = checkInterval;
+    this.lastCheck = null;
+    this.pendingCheck = null;
+  }
+
+  /**
+   * Get the maximum age of cached responses of an endpoint
+   * @param {string} endpoint - API endpoint
+   * @returns {number} - Maximum age in ms, 0 if the endpoint is not cached
+   */
+  getTtl(endpoint) {
+    if (UNCACHED_ENDPOINT_PATTERN.test(endpoint)) {
+      return 0;
+    }
+
+    const prefix = Object.keys(this.ttls)
+      .filter((key) => endpoint === key || endpoint.startsWith(key.endsWith('/') ? key : `${key}/`))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix === undefined ? this.ttl : this.ttls[prefix];
+  }
+
+  /**
+   * Get the time the database was last changed, reusing a recent or pending check
+   *
+   * The check is shared, so it runs without the caller's signal; an aborted caller only stops waiting for it.
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<string>} - Database last changed time
+   */
+  async getChangedTime(signal) {
+    if (this.lastCheck && Date.now() - this.lastCheck.checkedAt < this.checkInterval) {
+      return this.lastCheck.changedTime;
+    }
+
+    if (!this.pendingCheck) {
+      this.pendingCheck = this.client
+        .getDbChangedTime()
+        .then(({ changed_time: changedTime }) => {
+          this.lastCheck = { changedTime, checkedAt: Date.now() };
+          return changedTime;
+        })
+        .finally(() => {
+          this.pendingCheck = null;
+        });
+    }
+    return abortable(this.pendingCheck, signal);
+  }
+
+  /**
+   * Return a cached response if it is still valid, otherwise load and store it
+   * @param {string} key - Cache key (the request URL)
+   * @param {string} endpoint - API endpoint
+   * @param {Function} load - Performs the request
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {Promise<*>} - Response data
+   */
+  async fetch(key, endpoint, load, signal) {
+    const ttl = this.getTtl(endpoint);
+    if (!(ttl > 0)) {
+      return load();
+    }
+
+    const changedTime = await this.getChangedTime(signal);
+    const entry = await this.store.get(key);
+    if (entry && entry.changedTime === changedTime && Date.now() - entry.storedAt < ttl) {
+      // Hand out copies, so callers cannot modify the cached data
+      return structuredClone(entry.value);
+    }
+
+    const value = await load();
+    // Only JSON data can be copied; other results, like unread responses, are not cached
+    if (isJsonData(value)) {
+      await this.store.set(key, { value: structuredClone(value), changedTime, storedAt: Date.now() });
+    }
+    return value;
+  }
+
+  /**
+   * Drop all cached responses, e.g. after a write request
+   *
+   * A store that fails to clear is reported as a process warning, so it doesn't change the outcome of the request.
+   * Its entries still go once the database changed, as the next read checks db-changed-time first.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.lastCheck = null;
+    try {
+      await this.store.clear();
+    } catch (error) {
+      process.emitWarning(error);
+    }
+  }
+}
+
+// Snapshots the watcher loads after every database change, and the events diffed from them
+const WATCH_SOURCES = {
+  stock: {
+    events: ['stock-changed'],
+    load: (client, requestOptions) => client.getStock(requestOptions),
+    key: (entry) => entry.product_id,
+  },
+  shoppingList: {
+    events: ['shopping-list-changed'],
+    load: (client, requestOptions) => client.shoppingList.list({}, requestOptions),
+    key: (item) => item.id,
+  },
+  chores: {
+    events: ['chore-executed'],
+    load: (client, requestOptions) => client.getChores({}, requestOptions),
+    key: (chore) => chore.chore_id,
+  },
+  tasks: {
+    events: ['task-completed'],
+    load: (client, requestOptions) => client.tasksEntity.list({}, requestOptions),
+    key: (task) => task.id,
+  },
+};
+
+const WATCH_EVENTS = Object.values(WATCH_SOURCES).flatMap((source) => source.events);
+
+/**
+ * Index a snapshot by its key
+ * @param {Object} source - Watch source
+ * @param {Array} rows - Snapshot rows
+ * @returns {Map} - Rows by key
+ */
+function indexSnapshot(source, rows) {
+  return new Map((Array.isArray(rows) ? rows : []).map((row) => [String(source.key(row)), row]));
+}
+
+/**
+ * Compare two snapshots of a source and get the events to emit
+ * @param {string} name - Source name
+ * @param {Map} previous - Previous snapshot
+ * @param {Map} current - Current snapshot
+ * @returns {Array<[string, Object]>} - Event names and payloads
+ */
+function diffSnapshots(name, previous, current) {
+  const events = [];
+
+  if (name === 'stock') {
+    for (const productId of new Set([...previous.keys(), ...current.keys()])) {
+      const before = previous.get(productId) ?? null;
+      const after = current.get(productId) ?? null;
+      const previousAmount = Number(before?.amount ?? 0);
+      const amount = Number(after?.amount ?? 0);
+      if (previousAmount !== amount || Number(before?.amount_opened ?? 0) !== Number(after?.amount_opened ?? 0)) {
+        const product = (after ?? before).product ?? null;
+        events.push([
+          'stock-changed',
+          { productId: Number(productId), product, previousAmount, amount, previous: before, current: after },
+        ]);
+      }
+    }
+  } else if (name === 'shoppingList') {
+    const added = [...current.keys()].filter((id) => !previous.has(id)).map((id) => current.get(id));
+    const removed = [...previous.keys()].filter((id) => !current.has(id)).map((id) => previous.get(id));
+    const updated = [...current.keys()]
+      .filter((id) => previous.has(id) && JSON.stringify(previous.get(id)) !== JSON.stringify(current.get(id)))
+      .map((id) => ({ previous: previous.get(id), current: current.get(id) }));
+    if (added.length || removed.length || updated.length) {
+      events.push(['shopping-list-changed', { added, removed, updated }]);
+    }
+  } else if (name === 'chores') {
+    for (const [choreId, chore] of current) {
+      const before = previous.get(choreId);
+      if (before && chore.last_tracked_time && chore.last_tracked_time !== before.last_tracked_time) {
+        events.push(['chore-executed', { choreId: Number(choreId), chore, previous: before }]);
+      }
+    }
+  } else if (name === 'tasks') {
+    for (const [taskId, task] of current) {
+      const before = previous.get(taskId);
+      if (before && Number(task.done) === 1 && Number(before.done) !== 1) {
+        events.push(['task-completed', { taskId: Number(taskId), task }]);
+      }
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Polls `/system/db-changed-time` and emits events describing what changed
+ *
+ * Whenever the database changed, the watched snapshots (stock, shopping list, chores, tasks) are reloaded and
+ * compared with the previous ones. Events:
+ * - `stock-changed`: `{ productId, product, previousAmount, amount, previous, current }` per product
+ * - `shopping-list-changed`: `{ added, removed, updated }`
+ * - `chore-executed`: `{ choreId, chore, previous }` per chore
+ * - `task-completed`: `{ taskId, task }` per task
+ * - `change`: `{ changedTime, previousChangedTime }` on every database change
+ * - `error`: a failed poll; polling continues. Without an `error` listener, failed polls are reported as process
+ *   warnings.
+ *
+ * Every listener is called on its own: one that throws does not keep the others or later events from running, and its
+ * error is reported as a process warning.
+ */
+export class GrocyWatcher extends EventEmitter {
+  /**
+   * @param {Grocy} client - Grocy client
+   * @param {Object} options - Watch options
+   * @param {number} options.interval - Time between two polls in ms (default 10000)
+   * @param {string[]} options.events - Events to watch, only their snapshots are loaded (default: all)
+   */
+  constructor(client, { interval = 10000, events = WATCH_EVENTS } = {}) {
+    super();
+    if (!(interval > 0)) {
+      throw new RangeError('The watch interval must be a positive number');
+    }
+    const unknown = events.filter((event) => !WATCH_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown watch event "${unknown[0]}"`);
+    }
+
+    this.client = client;
+    this.interval = interval;
+    this.sources = Object.keys(WATCH_SOURCES).filter((name) =>
+      WATCH_SOURCES[name].events.some((event) => events.includes(event)),
+    );
+    this.running = false;
+    // Counts the starts, so a poll still running from before a stop() doesn't continue or reschedule itself
+    this.generation = 0;
+    this.changedTime = null;
+    this.snapshots = null;
+    this.timer = null;
+    this.controller = null;
+    this.polling = null;
+  }
+
+  /**
+   * Start polling; the first poll only records the current state
+   * @returns {GrocyWatcher} - The watcher
+   */
+  start() {
+    if (!this.running) {
+      this.running = true;
+      this.generation++;
+      this.schedule(0);
+    }
+    return this;
+  }
+
+  /**
+   * Stop polling and abort a poll in progress
+   * @returns {Promise<void>} - Resolves once the watcher is idle
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    await this.polling;
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delay - Delay in ms
+   */
+  schedule(delay) {
+    const { generation } = this;
+    this.timer = setTimeout(() => {
+      const polling = this.poll().finally(() => {
+        if (this.polling === polling) {
+          this.polling = null;
+        }
+        if (this.running && generation === this.generation) {
+          this.schedule(this.interval);
+        }
+      });
+      this.polling = polling;
+    }, delay);
+  }
+
+  /**
+   * Call every listener of an event on its own, reporting the errors they throw as process warnings
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  dispatch(event, payload) {
+    for (const listener of this.rawListeners(event)) {
+      try {
+        listener.call(this, payload);
+      } catch (error) {
+        process.emitWarning(error);
+      }
+    }
+  }
+
+  /**
+   * Check for a database change and emit the resulting events
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const { generation } = this;
+    const controller = new AbortController();
+    this.controller = controller;
+    const requestOptions = { signal: controller.signal, cache: false };
+
+    let events;
+    try {
+      const { changed_time: changedTime } = await this.client.getDbChangedTime(requestOptions);
+      if (this.snapshots && changedTime === this.changedTime) {
+        return;
+      }
+
+      const snapshots = {};
+      for (const name of this.sources) {
+        const source = WATCH_SOURCES[name];
+        snapshots[name] = indexSnapshot(source, await source.load(this.client, requestOptions));
+      }
+      if (!this.running || generation !== this.generation) {
+        return;
+      }
+
+      const previousSnapshots = this.snapshots;
+      const previousChangedTime = this.changedTime;
+      this.snapshots = snapshots;
+      this.changedTime = changedTime;
+      if (!previousSnapshots) {
+        return;
+      }
+
+      events = [['change', { changedTime, previousChangedTime }]];
+      for (const name of this.sources) {
+        events.push(...diffSnapshots(name, previousSnapshots[name], snapshots[name]));
+      }
+    } catch (error) {
+      if (!this.running || generation !== this.generation) {
+        return;
+      }
+      if (this.listenerCount('error') > 0) {
+        this.dispatch('error', error);
+      } else {
+        process.emitWarning(error);
+      }
+      return;
+    } finally {
+      if (this.controller === controller) {
+        this.controller = null;
+      }
+    }
+
+    for (const [event, payload] of events) {
+      this.dispatch(event, payload);
+    }
+  }
+}
+
+const SCAN_MODES = ['purchase', 'consume', 'open', 'transfer', 'inventory'];
+
+const DEFAULT_MODE_BARCODES = Object.fromEntries(SCAN_MODES.map((mode) => [`MODE:${mode.toUpperCase()}`, mode]));
+
+/**
+ * Processes barcodes from a scanner: books stock according to the current mode and switches modes on mode barcodes
+ *
+ * In inventory mode the scans of each product are counted, and the counts are booked as the new stock amounts when
+ * the mode changes, on `flush()` or at the end of `process()`.
+ */
+export class ScanSession {
+  /**
+   * @param {Grocy} client - Grocy client
+   * @param {Object} options - Session options
+   * @param {string} options.mode - Initial mode: purchase, consume, open, transfer or inventory (default purchase)
+   * @param {Object<string, string>} options.modeBarcodes - Barcodes that switch the mode, mapped to the mode
+   *   (default MODE:PURCHASE, MODE:CONSUME, MODE:OPEN, MODE:TRANSFER and MODE:INVENTORY)
+   * @param {Object<string, Object>} options.data - Extra request data per mode, e.g.
+   *   `{ transfer: { location_id_from: 1, location_id_to: 2 }, purchase: { price: 1.5 } }`
+   * @param {Function} options.onUnknownBarcode - Called with `{ barcode, mode, client }` for barcodes without a
+   *   product; return a product ID to add the barcode to that product, product data to create a new product, or
+   *   null to skip the scan
+   */
+  constructor(client, { mode = 'purchase', modeBarcodes = DEFAULT_MODE_BARCODES, data = {}, onUnknownBarcode } = {}) {
+    if (!SCAN_MODES.includes(mode)) {
+      throw new TypeError(`Unknown scan mode "${mode}"`);
+    }
+    const invalid = Object.values(modeBarcodes).find((target) => !SCAN_MODES.includes(target));
+    if (invalid !== undefined) {
+      throw new TypeError(`Unknown scan mode "${invalid}"`);
+    }
+
+    this.client = client;
+    this.mode = mode;
+    this.modeBarcodes = modeBarcodes;
+    this.data = data;
+    this.onUnknownBarcode = onUnknownBarcode ?? null;
+    this.inventory = new Map();
+  }
+
+  /**
+   * Find the product of a barcode, asking onUnknownBarcode for unknown ones
+   * @param {string} barcode - Scanned barcode
+   * @returns {Promise<Object|null>} - Product and the amount one scan stands for in the product's stock unit, or
+   *   null to skip the scan
+   */
+  async resolveProduct(barcode) {
+    try {
+      const details = await this.client.getProductByBarcode(barcode);
+      const match = details.product_barcodes?.find((entry) => entry.barcode === barcode);
+      const { product } = details;
+      const amount = Number(match?.amount) || 1;
+      // Pack barcodes give their amount in their own unit
+      const unitId = match?.qu_id === undefined || match.qu_id === null ? null : Number(match.qu_id);
+      if (unitId === null || unitId === Number(product.qu_id_stock)) {
+        return { product, amount };
+      }
+      const [stockAmount] = await convertToStockUnit(this.client, product.id, [amount], unitId);
+      return { product, amount: stockAmount };
+    } catch (error) {
+      // Grocy answers 400 for unknown barcodes
+      if (!(error instanceof GrocyValidationError || error instanceof GrocyNotFoundError) || !this.onUnknownBarcode) {
+        throw error;
+      }
+    }
+
+    const resolved = await this.onUnknownBarcode({ barcode, mode: this.mode, client: this.client });
+    if (resolved === null || resolved === undefined) {
+      return null;
+    }
+
+    let productId = resolved;
+    if (typeof resolved === 'object') {
+      ({ created_object_id: productId } = await this.client.products.create(resolved));
+    }
+    await this.client.productBarcodes.create({ product_id: productId, barcode });
+    return { product: await this.client.products.get(productId), amount: 1 };
+  }
+
+  /**
+   * Process one scanned barcode
+   * @param {string} code - Scanned barcode
+   * @returns {Promise<Array<Object>>} - Reports: `{ type: 'mode', code, mode, previousMode }` for mode barcodes,
+   *   `{ type: 'booking', code, mode, product, amount, entries }` for stock bookings (entries are the resulting
+   *   stock log entries), `{ type: 'counted', code, mode, product, count }` for inventory scans and
+   *   `{ type: 'skipped', code, mode }` for unknown barcodes
+   */
+  async scan(code) {
+    const barcode = String(code).trim();
+    if (barcode === '') {
+      return [];
+    }
+
+    const nextMode = this.modeBarcodes[barcode];
+    if (nextMode) {
+      const reports = nextMode === this.mode ? [] : await this.flush();
+      reports.push({ type: 'mode', code: barcode, mode: nextMode, previousMode: this.mode });
+      this.mode = nextMode;
+      return reports;
+    }
+
+    const mode = this.mode;
+    const resolved = await this.resolveProduct(barcode);
+    if (!resolved) {
+      return [{ type: 'skipped', code: barcode, mode }];
+    }
+    const { product, amount } = resolved;
+
+    if (mode === 'inventory') {
+      const counted = this.inventory.get(product.id) ?? { code: barcode, product, count: 0 };
+      counted.count += amount;
+      this.inventory.set(product.id, counted);
+      return [{ type: 'counted', code: barcode, mode, product, count: counted.count }];
+    }
+
+    const actions = {
+      purchase: (data) => this.client.addProductToStock(product.id, data),
+      consume: (data) => this.client.consumeProduct(product.id, data),
+      open: (data) => this.client.openProduct(product.id, data),
+      transfer: (data) => this.client.transferProduct(product.id, data),
+    };
+    const entries = await actions[mode]({ amount, ...this.data[mode] });
+    return [{ type: 'booking', code: barcode, mode, product, amount, entries }];
+  }
+
+  /**
+   * Book the counted inventory amounts
+   * @returns {Promise<Array<Object>>} - Booking reports, one per counted product
+   */
+  async flush() {
+    const reports = [];
+    for (const [productId, { code, product, count }] of this.inventory) {
+      const entries = await this.client.inventoryProduct(productId, { new_amount: count, ...this.data.inventory });
+      this.inventory.delete(productId);
+      reports.push({ type: 'booking', code, mode: 'inventory', product, amount: count, entries });
+    }
+    return reports;
+  }
+
+  /**
+   * Process a stream of scanned barcodes, e.g. the lines of a readline interface
+   *
+   * A failing scan is reported as `{ type: 'error', code, mode, error }` and processing continues. The counted
+   * inventory is booked at the end.
+   * @param {Iterable<string>|AsyncIterable<string>} codes - Scanned barcodes
+   * @returns {AsyncGenerator<Object>} - Reports, see scan()
+   */
+  async *process(codes) {
+    for await (const code of codes) {
+      try {
+        yield* await this.scan(code);
+      } catch (error) {
+        yield { type: 'error', code: String(code).trim(), mode: this.mode, error };
+      }
+    }
+
+    try {
+      yield* await this.flush();
+    } catch (error) {
+      yield { type: 'error', code: null, mode: this.mode, error };
+    }
+  }
+}
+
+/**
+ * Remember the transaction of a stock action, so undoLastAction() can reverse it
+ * @param {Grocy} client - Grocy client
+ * @param {string} endpoint - Stock action endpoint
+ * @param {Array} entries - Stock log entries returned by the action
+ */
+function rememberTransaction(client, endpoint, entries) {
+  const transactionId = Array.isArray(entries) ? entries.find((entry) => entry?.transaction_id)?.transaction_id : null;
+  if (!transactionId || client.undoHistory <= 0) {
+    return;
+  }
+
+  client.transactions.push({ transactionId, endpoint, entries });
+  client.transactions.splice(0, client.transactions.length - client.undoHistory);
+}
+
+/**
+ * Undo the stock transactions of earlier bookings, newest first
+ *
+ * The undo requests don't use the caller's signal, as the bookings have to be undone even when an abort made the
+ * operation fail. A failing undo doesn't stop the others.
+ * @param {Grocy} client - Grocy client
+ * @param {Array} bookings - Stock log entries per booking
+ * @param {RequestOptions} requestOptions - Request options, only the timeout is used
+ * @returns {Promise<Array<Object>>} - `{ undone, error }` per booking, in the order of the bookings
+ */
+async function undoBookings(client, bookings, { timeout } = {}) {
+  const outcomes = bookings.map(() => ({ undone: false }));
+  for (let i = bookings.length - 1; i >= 0; i--) {
+    const entries = Array.isArray(bookings[i]) ? bookings[i] : [];
+    const transactionId = entries.find((entry) => entry?.transaction_id)?.transaction_id;
+    if (!transactionId) continue;
+    try {
+      await client.undoStockTransaction(transactionId, { timeout });
+      outcomes[i].undone = true;
+    } catch (error) {
+      outcomes[i].error = error;
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Run stock bookings one after another; if one fails, undo the ones made before it and rethrow
+ *
+ * Undo failures are attached to the rethrown error as `undoErrors`.
+ * @param {Grocy} client - Grocy client
+ * @param {Array<Function>} bookings - Functions making one booking each, resolving to its stock log entries
+ * @param {RequestOptions} requestOptions - Request options for the undo requests
+ * @returns {Promise<Array>} - Stock log entries per booking
+ */
+async function bookAllOrNothing(client, bookings, requestOptions) {
+  const booked = [];
+  try {
+    for (const booking of bookings) {
+      booked.push(await booking());
+    }
+  } catch (error) {
+    const undoErrors = (await undoBookings(client, booked, requestOptions))
+      .filter((outcome) => outcome.error !== undefined)
+      .map((outcome) => outcome.error);
+    if (undoErrors.length > 0 && error instanceof Error) {
+      error.undoErrors = undoErrors;
+    }
+    throw error;
+  }
+  return booked;
+}
+
+// Stock actions of BulkOperations, with the client methods making them by product ID and by barcode
+const BULK_STOCK_ACTIONS = {
+  add: ['addProductToStock', 'addProductToStockByBarcode'],
+  consume: ['consumeProduct', 'consumeProductByBarcode'],
+  transfer: ['transferProduct', 'transferProductByBarcode'],
+};
+
+/**
+ * Runs many stock actions or object changes with a limited number of requests at a time, and reports the outcome of
+ * every item instead of stopping at the first failure
+ *
+ * In all-or-nothing mode no more items are started once one fails, and the stock transactions of the items that
+ * succeeded are undone. Object changes can't be undone, so that mode is only available for stock actions.
+ */
+export class BulkOperations {
+  /**
+   * @param {Grocy} client - Grocy client
+   * @param {Object} options - Bulk options
+   * @param {number} options.concurrency - Maximum number of items processed at the same time (default 4)
+   * @param {boolean} options.allOrNothing - Undo the stock actions made if any item fails (default false)
+   */
+  constructor(client, { concurrency = 4, allOrNothing = false } = {}) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new RangeError('The bulk concurrency must be a positive integer');
+    }
+
+    this.client = client;
+    this.concurrency = concurrency;
+    this.allOrNothing = allOrNothing;
+  }
+
+  /**
+   * Process items with at most `concurrency` of them at a time
+   * @param {Array} items - Items
+   * @param {Function} operation - Function processing one item, resolving to its result
+   * @param {RequestOptions} requestOptions - Request options for the undo requests
+   * @returns {Promise<Object>} - Results, see add()
+   */
+  async run(items, operation, requestOptions) {
+    const results = items.map((item) => ({ item, status: 'skipped' }));
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+      while (next < items.length && !(failed && this.allOrNothing)) {
+        const index = next++;
+        try {
+          results[index] = { item: items[index], status: 'fulfilled', value: await operation(items[index]) };
+        } catch (error) {
+          results[index] = { item: items[index], status: 'rejected', error };
+          failed = true;
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+
+    if (failed && this.allOrNothing) {
+      const fulfilled = results.filter(({ status }) => status === 'fulfilled');
+      const outcomes = await undoBookings(this.client, fulfilled.map((result) => result.value), requestOptions);
+      fulfilled.forEach((result, i) => {
+        if (outcomes[i].undone) result.undone = true;
+        if (outcomes[i].error !== undefined) result.undoError = outcomes[i].error;
+      });
+    }
+
+    const count = (test) => results.filter(test).length;
+    return {
+      ok: !failed,
+      results,
+      succeeded: count(({ status }) => status === 'fulfilled'),
+      failed: count(({ status }) => status === 'rejected'),
+      skipped: count(({ status }) => status === 'skipped'),
+      undone: count(({ undone }) => undone),
+    };
+  }
+
+  /**
+   * Make a stock action for every item
+   * @param {string} action - Stock action (add, consume or transfer)
+   * @param {Array<Object>} items - Items, see add()
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Results, see add()
+   */
+  async stockAction(action, items, requestOptions) {
+    const [byId, byBarcode] = BULK_STOCK_ACTIONS[action];
+    return this.run(
+      items,
+      async ({ productId, barcode, data = {} }) => {
+        if (barcode !== undefined && barcode !== null) {
+          return this.client[byBarcode](barcode, data, requestOptions);
+        }
+        if (productId === undefined || productId === null) {
+          throw new TypeError(`A productId or barcode is required to ${action} stock`);
+        }
+        return this.client[byId](productId, data, requestOptions);
+      },
+      requestOptions,
+    );
+  }
+
+  /**
+   * Add products to stock
+   * @param {Array<Object>} items - Items as `{ productId, data }` or `{ barcode, data }`, data as for
+   *   addProductToStock()
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ ok, results, succeeded, failed, skipped, undone }`, results in the order of the
+   *   items as `{ item, status, value, error, undone, undoError }` with status fulfilled, rejected or skipped (not
+   *   started in all-or-nothing mode after a failure), the stock log entries as value of fulfilled items
+   */
+  async add(items, requestOptions = {}) {
+    return this.stockAction('add', items, requestOptions);
+  }
+
+  /**
+   * Consume products from stock
+   * @param {Array<Object>} items - Items as `{ productId, data }` or `{ barcode, data }`, data as for consumeProduct()
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Results, see add()
+   */
+  async consume(items, requestOptions = {}) {
+    return this.stockAction('consume', items, requestOptions);
+  }
+
+  /**
+   * Transfer products between locations
+   * @param {Array<Object>} items - Items as `{ productId, data }` or `{ barcode, data }`, data as for
+   *   transferProduct()
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Results, see add()
+   */
+  async transfer(items, requestOptions = {}) {
+    return this.stockAction('transfer', items, requestOptions);
+  }
+
+  /**
+   * Edit objects of an entity
+   * @param {string} entity - Entity name
+   * @param {Array<Object>} items - Items as `{ id, data }`
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Results, see add()
+   */
+  async editObjects(entity, items, requestOptions = {}) {
+    this.checkUndoable();
+    return this.run(items, ({ id, data }) => this.client.editObject(entity, id, data, requestOptions), requestOptions);
+  }
+
+  /**
+   * Delete objects of an entity
+   * @param {string} entity - Entity name
+   * @param {Array<number>} ids - Object IDs
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Results, see add(), with the IDs as items
+   */
+  async deleteObjects(entity, ids, requestOptions = {}) {
+    this.checkUndoable();
+    return this.run(ids, (id) => this.client.deleteObject(entity, id, requestOptions), requestOptions);
+  }
+
+  /**
+   * Reject all-or-nothing mode for changes that can't be undone
+   */
+  checkUndoable() {
+    if (this.allOrNothing) {
+      throw new TypeError('All-or-nothing mode is only available for stock actions');
+    }
+  }
+}
+
+/**
+ * Converts amounts between quantity units, following chains of conversions (e.g. pack -> piece -> gram)
+ *
+ * Product-specific conversions, including the product's `qu_factor_purchase_to_stock`, take precedence over general
+ * ones for the same pair of units. Every conversion can also be used in reverse.
+ */
+export class UnitConverter {
+  /**
+   * @param {Object} data - Conversion data, as loaded from the objects API
+   * @param {Array} data.units - Quantity units (`quantity_units`)
+   * @param {Array} data.conversions - Conversions (`quantity_unit_conversions`)
+   * @param {Array} data.products - Products, for their stock unit and purchase factor
+   */
+  constructor({ units = [], conversions = [], products = [] } = {}) {
+    this.units = units;
+    this.conversions = conversions;
+    this.products = new Map(products.map((product) => [Number(product.id), product]));
+  }
+
+  /**
+   * Load the conversion data of a Grocy instance
+   * @param {Grocy} client - Grocy client
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<UnitConverter>} - Converter
+   */
+  static async load(client, requestOptions = {}) {
+    const [units, conversions, products] = await Promise.all([
+      client.getObjects('quantity_units', {}, requestOptions),
+      client.getObjects('quantity_unit_conversions', {}, requestOptions),
+      client.getObjects('products', {}, requestOptions),
+    ]);
+    return new UnitConverter({ units, conversions, products });
+  }
+
+  /**
+   * Find a quantity unit by ID, name or plural name (case-insensitive)
+   * @param {number|string} unit - Unit ID (also as a string like "3") or name
+   * @returns {number} - Unit ID
+   */
+  getUnitId(unit) {
+    if (typeof unit === 'number') {
+      return unit;
+    }
+
+    const name = String(unit).trim().toLowerCase();
+    if (/^\d+$/.test(name)) {
+      return Number(name);
+    }
+    const match = this.units.find(
+      (candidate) => candidate.name?.toLowerCase() === name || candidate.name_plural?.toLowerCase() === name,
+    );
+    if (!match) {
+      throw new GrocyInputError(`Unknown quantity unit "${unit}"`);
+    }
+    return Number(match.id);
+  }
+
+  /**
+   * Get the conversion factors from each unit to its directly convertible units, for a product
+   * @param {number} productId - Product ID, or null for general conversions only
+   * @returns {Map<number, Map<number, number>>} - Factors by source and target unit
+   */
+  getEdges(productId) {
+    const edges = new Map();
+    const add = (from, to, factor, override) => {
+      if (!edges.has(from)) edges.set(from, new Map());
+      if (override || !edges.get(from).has(to)) edges.get(from).set(to, factor);
+    };
+    const link = (from, to, factor, override) => {
+      if (!(factor > 0) || from === to) return;
+      add(from, to, factor, override);
+      add(to, from, 1 / factor, override);
+    };
+
+    for (const conversion of this.conversions) {
+      const isGeneral = conversion.product_id === null || conversion.product_id === undefined;
+      if (isGeneral || Number(conversion.product_id) === Number(productId)) {
+        link(Number(conversion.from_qu_id), Number(conversion.to_qu_id), Number(conversion.factor), !isGeneral);
+      }
+    }
+
+    const product = this.products.get(Number(productId));
+    if (product?.qu_factor_purchase_to_stock) {
+      const factor = Number(product.qu_factor_purchase_to_stock);
+      link(Number(product.qu_id_purchase), Number(product.qu_id_stock), factor, true);
+    }
+    return edges;
+  }
+
+  /**
+   * Get the factor to convert from one unit to another, using the shortest chain of conversions
+   * @param {number|string} from - Source unit ID or name
+   * @param {number|string} to - Target unit ID or name
+   * @param {number} productId - Product ID, to include its own conversions
+   * @returns {number|null} - Factor, or null if the units cannot be converted
+   */
+  getFactor(from, to, productId = null) {
+    const fromId = this.getUnitId(from);
+    const toId = this.getUnitId(to);
+    const edges = this.getEdges(productId);
+
+    const factors = new Map([[fromId, 1]]);
+    const queue = [fromId];
+    while (queue.length > 0) {
+      const unitId = queue.shift();
+      if (unitId === toId) {
+        return factors.get(unitId);
+      }
+      for (const [nextId, factor] of edges.get(unitId) ?? []) {
+        if (!factors.has(nextId)) {
+          factors.set(nextId, factors.get(unitId) * factor);
+          queue.push(nextId);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert an amount between two units
+   * @param {number} amount - Amount in the source unit
+   * @param {number|string} from - Source unit ID or name
+   * @param {number|string} to - Target unit ID or name
+   * @param {number} productId - Product ID, to include its own conversions
+   * @returns {number} - Amount in the target unit
+   */
+  convert(amount, from, to, productId = null) {
+    const factor = this.getFactor(from, to, productId);
+    if (factor === null) {
+      const forProduct = productId === null ? '' : ` for product ${productId}`;
+      throw new GrocyInputError(`No conversion from quantity unit "${from}" to "${to}"${forProduct}`);
+    }
+    return amount * factor;
+  }
+
+  /**
+   * Convert an amount of a product to its stock unit
+   * @param {number} productId - Product ID
+   * @param {number} amount - Amount in the given unit
+   * @param {number|string} unit - Unit ID or name
+   * @returns {number} - Amount in the product's stock unit
+   */
+  toStockAmount(productId, amount, unit) {
+    const product = this.products.get(Number(productId));
+    if (!product) {
+      throw new GrocyInputError(`Unknown product ${productId}`);
+    }
+    return this.convert(amount, unit, Number(product.qu_id_stock), productId);
+  }
+}
+
+// Transaction types Grocy records in the stock log
+const STOCK_TRANSACTION_TYPES = [
+  'purchase',
+  'consume',
+  'inventory-correction',
+  'product-opened',
+  'self-production',
+  'stock-edit-old',
+  'stock-edit-new',
+  'transfer_from',
+  'transfer_to',
+];
+
+// Request data of the stock actions by action: field types, or the allowed values, and the required fields. Types
+// are those of entity fields plus `amount` (above 0), `quantity` (0 or more), `id` (positive integer), `key` (stock
+// entry IDs, a string or number) and `unit` (quantity unit name or ID).
+const STOCK_ACTION_FIELDS = {
+  add: {
+    required: ['amount'],
+    fields: {
+      amount: 'amount',
+      unit: 'unit',
+      best_before_date: 'date',
+      purchased_date: 'date',
+      price: 'quantity',
+      location_id: 'id',
+      shopping_location_id: 'id',
+      transaction_type: STOCK_TRANSACTION_TYPES,
+      stock_label_type: [0, 1, 2],
+      note: 'string',
+    },
+  },
+  consume: {
+    required: ['amount'],
+    fields: {
+      amount: 'amount',
+      unit: 'unit',
+      transaction_type: STOCK_TRANSACTION_TYPES,
+      spoiled: 'boolean',
+      stock_entry_id: 'key',
+      recipe_id: 'id',
+      location_id: 'id',
+      exact_amount: 'boolean',
+      allow_subproduct_substitution: 'boolean',
+    },
+  },
+  transfer: {
+    required: ['amount', 'location_id_from', 'location_id_to'],
+    fields: {
+      amount: 'amount',
+      unit: 'unit',
+      location_id_from: 'id',
+      location_id_to: 'id',
+      stock_entry_id: 'key',
+    },
+  },
+  inventory: {
+    required: ['new_amount'],
+    fields: {
+      new_amount: 'quantity',
+      unit: 'unit',
+      best_before_date: 'date',
+      purchased_date: 'date',
+      price: 'quantity',
+      location_id: 'id',
+      shopping_location_id: 'id',
+      stock_label_type: [0, 1, 2],
+      note: 'string',
+    },
+  },
+  open: {
+    required: ['amount'],
+    fields: {
+      amount: 'amount',
+      unit: 'unit',
+      stock_entry_id: 'key',
+      allow_subproduct_substitution: 'boolean',
+    },
+  },
+  entry: {
+    required: ['amount'],
+    fields: {
+      amount: 'amount',
+      best_before_date: 'date',
+      purchased_date: 'date',
+      price: 'quantity',
+      open: 'boolean',
+      location_id: 'id',
+      shopping_location_id: 'id',
+      note: 'string',
+    },
+  },
+};
+
+/**
+ * Check a value of stock action data against its type
+ * @param {string|Array} type - Field type, or the allowed values
+ * @param {*} value - Field value (not null)
+ * @returns {string|null} - What the value must be, or null if it's valid
+ */
+function checkStockField(type, value) {
+  const number = normalizeFieldValue('number', value).error ? NaN : Number(value);
+  if (Array.isArray(type)) {
+    // Numeric codes may be given as strings too, like the other numbers
+    const allowed = typeof type[0] === 'number' ? type.includes(number) : type.includes(value);
+    return allowed ? null : `one of ${type.join(', ')}`;
+  }
+
+  switch (type) {
+    case 'amount':
+      return number > 0 ? null : 'a positive number';
+    case 'quantity':
+      return number >= 0 ? null : 'a number of 0 or more';
+    case 'id':
+      return Number.isInteger(number) && number > 0 ? null : 'an ID';
+    case 'key':
+      return typeof value === 'number' || (typeof value === 'string' && value !== '') ? null : 'a stock entry ID';
+    case 'unit':
+      return typeof value === 'number' || (typeof value === 'string' && value !== '') ? null : 'a unit name or ID';
+    default:
+      return normalizeFieldValue(type, value).error;
+  }
+}
+
+/**
+ * Check the request data of a stock action before it is sent, unless the client's `validateStockData` is off
+ *
+ * Fields that are not defined are passed through unchanged, as newer Grocy versions may add some.
+ * @param {Grocy} client - Grocy client
+ * @param {string} action - Stock action, see STOCK_ACTION_FIELDS
+ * @param {Object} data - Stock request data
+ * @returns {Object} - The data, with dates given as Date formatted as Grocy expects them
+ */
+function checkStockData(client, action, data) {
+  if (!client.validateStockData) {
+    return data;
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new GrocyInputError(`Invalid stock ${action} data: expected an object`);
+  }
+
+  const { required, fields } = STOCK_ACTION_FIELDS[action];
+  const problems = required
+    .filter((field) => data[field] === undefined || data[field] === null)
+    .map((field) => `${field} is required`);
+  const result = { ...data };
+  Object.entries(data).forEach(([field, value]) => {
+    if (!fields[field] || value === null || value === undefined) {
+      return;
+    }
+
+    const error = checkStockField(fields[field], value);
+    if (error) {
+      problems.push(`${field} must be ${error}`);
+    } else if (value instanceof Date) {
+      result[field] = formatDate(value);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new GrocyInputError(`Invalid stock ${action} data: ${problems.join(', ')}`, { problems });
+  }
+  return result;
+}
+
+/**
+ * Convert an amount of a product to its stock unit with the client's unit converter
+ *
+ * Products, units and conversions created after the converter was loaded are unknown to it, so a failed conversion
+ * reloads the converter once and tries again.
+ * @param {Grocy} client - Grocy client
+ * @param {number} productId - Product ID
+ * @param {Array<number>} amounts - Amounts in the given unit
+ * @param {number|string} unit - Unit ID or name
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Array<number>>} - Amounts in the product's stock unit
+ */
+async function convertToStockUnit(client, productId, amounts, unit, requestOptions) {
+  const convert = (converter) => amounts.map((amount) => converter.toStockAmount(productId, amount, unit));
+  try {
+    return convert(await client.getUnitConverter({}, requestOptions));
+  } catch (error) {
+    if (!(error instanceof GrocyInputError)) {
+      throw error;
+    }
+    return convert(await client.getUnitConverter({ refresh: true }, requestOptions));
+  }
+}
+
+/**
+ * Translate the amounts of stock request data given in another unit (`{ amount, unit }`) to the product's stock unit
+ * @param {Grocy} client - Grocy client
+ * @param {number|Function} productId - Product ID, or a function resolving to it (only called if needed)
+ * @param {Object} data - Stock request data
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Object>} - Data with amounts in the stock unit and without `unit`
+ */
+async function toStockUnits(client, productId, data, requestOptions) {
+  if (data?.unit === undefined || data.unit === null) {
+    return data;
+  }
+
+  const { unit, ...stockData } = data;
+  const id = typeof productId === 'function' ? await productId() : productId;
+  const fields = ['amount', 'new_amount'].filter(
+    (field) => stockData[field] !== undefined && stockData[field] !== null,
+  );
+  const amounts = fields.map((field) => Number(stockData[field]));
+  const converted = await convertToStockUnit(client, id, amounts, unit, requestOptions);
+  fields.forEach((field, i) => (stockData[field] = converted[i]));
+  return stockData;
+}
+
+/**
+ * Scale a recipe's ingredient amounts and nested servings to a number of servings, see Grocy.getScaledRecipe()
+ * @param {Grocy} client - Grocy client
+ * @param {UnitConverter} converter - Unit converter, also providing the products
+ * @param {number} recipeId - Recipe ID
+ * @param {number} servings - Servings (default: the recipe's desired servings)
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Object>} - `{ recipe, servings, factor, ingredients, nestings }`
+ */
+async function scaleRecipe(client, converter, recipeId, servings, requestOptions) {
+  const [recipe, positions, nestings] = await Promise.all([
+    client.recipes.get(recipeId, requestOptions),
+    client.recipesPos.list(where('recipe_id').eq(recipeId), requestOptions),
+    client.recipesNestings.list(where('recipe_id').eq(recipeId), requestOptions),
+  ]);
+  const targetServings = Number(servings ?? recipe.desired_servings ?? recipe.base_servings ?? 1);
+  const factor = targetServings / (Number(recipe.base_servings) || 1);
+
+  const ingredients = positions.map((position) => {
+    const product = converter.products.get(Number(position.product_id)) ?? null;
+    let amount = Number(position.amount) * factor;
+    if (Number(position.round_up) === 1) {
+      amount = Math.ceil(amount);
+    }
+
+    const stockQuId = product ? Number(product.qu_id_stock) : null;
+    const quId = position.qu_id === null || position.qu_id === undefined ? stockQuId : Number(position.qu_id);
+    const conversionFactor = product ? converter.getFactor(stockQuId, quId, product.id) : null;
+    return {
+      ...position,
+      product,
+      amount,
+      display_amount: conversionFactor === null ? amount : amount * conversionFactor,
+      display_qu_id: conversionFactor === null ? stockQuId : quId,
+    };
+  });
+
+  return {
+    recipe,
+    servings: targetServings,
+    factor,
+    ingredients,
+    nestings: nestings.map((nesting) => ({ ...nesting, servings: Number(nesting.servings) * factor })),
+  };
+}
+
+/**
+ * Collect the scaled ingredients of a recipe and of the recipes nested in it
+ * @param {Grocy} client - Grocy client
+ * @param {UnitConverter} converter - Unit converter, also providing the products
+ * @param {number} recipeId - Recipe ID
+ * @param {number} servings - Servings (default: the recipe's desired servings)
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Array>} - Scaled ingredients, those of nested recipes after the recipe's own
+ */
+async function getScaledIngredients(client, converter, recipeId, servings, requestOptions) {
+  const scaled = await scaleRecipe(client, converter, recipeId, servings, requestOptions);
+  const ingredients = [...scaled.ingredients];
+  for (const nesting of scaled.nestings) {
+    ingredients.push(
+      ...(await getScaledIngredients(client, converter, nesting.includes_recipe_id, nesting.servings, requestOptions)),
+    );
+  }
+  return ingredients;
+}
+
+/**
+ * Builds a recipe with its ingredients (`recipes_pos`) and included recipes (`recipes_nestings`), and saves them in
+ * one call
+ *
+ * Saving a loaded recipe updates the rows that still exist, creates new ones and deletes the removed ones.
+ */
+export class RecipeBuilder {
+  /**
+   * @param {Grocy} client - Grocy client
+   * @param {Object} recipe - Recipe fields, with an `id` to update an existing recipe, plus optional `ingredients`
+   *   (`recipes_pos` fields) and `nestings` (`recipes_nestings` fields) arrays
+   */
+  constructor(client, { ingredients = [], nestings = [], ...recipe } = {}) {
+    this.client = client;
+    this.recipe = recipe;
+    this.ingredients = ingredients.map((ingredient) => ({ ...ingredient }));
+    this.nestings = nestings.map((nesting) => ({ ...nesting }));
+  }
+
+  /**
+   * Set recipe fields
+   * @param {Object} fields - Recipe fields (name, description, base_servings, ...)
+   * @returns {RecipeBuilder} - The builder
+   */
+  set(fields) {
+    Object.assign(this.recipe, fields);
+    return this;
+  }
+
+  /**
+   * Add an ingredient
+   * @param {number} productId - Product ID
+   * @param {number} amount - Amount in the product's stock quantity unit
+   * @param {Object} fields - Further `recipes_pos` fields (qu_id, note, ingredient_group, ...)
+   * @returns {RecipeBuilder} - The builder
+   */
+  ingredient(productId, amount, fields = {}) {
+    this.ingredients.push({ ...fields, product_id: productId, amount });
+    return this;
+  }
+
+  /**
+   * Include another recipe
+   * @param {number} recipeId - ID of the included recipe
+   * @param {number} servings - Servings of the included recipe (default 1)
+   * @returns {RecipeBuilder} - The builder
+   */
+  nest(recipeId, servings = 1) {
+    this.nestings.push({ includes_recipe_id: recipeId, servings });
+    return this;
+  }
+
+  /**
+   * Create or update the recipe, its ingredients and its nestings
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ id, ingredientIds, nestingIds }`
+   */
+  async save(requestOptions = {}) {
+    const { client } = this;
+    const { id, ...fields } = this.recipe;
+
+    // Validate everything up front, so nothing is half-saved because of a typo in the last ingredient
+    client.recipes.validate(this.recipe);
+    this.ingredients.forEach((row) => client.recipesPos.validate(row));
+    this.nestings.forEach((row) => client.recipesNestings.validate(row));
+
+    const isNew = id === undefined || id === null;
+    let recipeId = id;
+    if (isNew) {
+      ({ created_object_id: recipeId } = await client.recipes.create(fields, requestOptions));
+      this.recipe.id = recipeId;
+    } else if (Object.keys(fields).length > 0) {
+      await client.recipes.update(recipeId, fields, requestOptions);
+    }
+
+    const ingredientIds = await this.syncRows(client.recipesPos, recipeId, this.ingredients, isNew, requestOptions);
+    const nestingIds = await this.syncRows(client.recipesNestings, recipeId, this.nestings, isNew, requestOptions);
+    return { id: recipeId, ingredientIds, nestingIds };
+  }
+
+  /**
+   * Bring the rows of a recipe in line with the builder
+   * @param {EntityAccessor} accessor - recipes_pos or recipes_nestings accessor
+   * @param {number} recipeId - Recipe ID
+   * @param {Array} rows - Rows of the builder, existing ones with their `id`
+   * @param {boolean} isNew - Whether the recipe was just created, so it has no rows yet
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<number[]>} - Row IDs
+   */
+  async syncRows(accessor, recipeId, rows, isNew, requestOptions) {
+    if (!isNew) {
+      const keep = new Set(rows.filter((row) => row.id !== undefined).map((row) => Number(row.id)));
+      for (const row of await accessor.list(where('recipe_id').eq(recipeId), requestOptions)) {
+        if (!keep.has(Number(row.id))) {
+          await accessor.delete(row.id, requestOptions);
+        }
+      }
+    }
+
+    for (const row of rows) {
+      const { id, ...fields } = row;
+      if (id === undefined) {
+        // Remember the new ID, so saving again updates the row instead of adding it twice
+        ({ created_object_id: row.id } = await accessor.create({ ...fields, recipe_id: recipeId }, requestOptions));
+      } else {
+        await accessor.update(id, { ...fields, recipe_id: recipeId }, requestOptions);
+      }
+    }
+    return rows.map((row) => row.id);
+  }
+}
+
+// Summary prefixes of the events in Grocy's calendar, by event type (English; pass `typePatterns` for other languages)
+const CALENDAR_EVENT_TYPES = {
+  chore: /^Chore due: /,
+  battery: /^Battery charge cycle due: /,
+  task: /^Task due: /,
+  'meal-plan': /^Meal plan (?:recipe|note|product): /,
+  'product-due': /^Product (?:due|expires): /,
+};
+
+// NAME;PARAM=VALUE;PARAM="QUOTED:VALUE",OTHER:value
+const ICAL_LINE_PATTERN = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/;
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped value
+ * @returns {string} - Text
+ */
+function unescapeICalText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value; times without a `Z` (UTC) suffix are read as local time
+ * @param {string} value - Value (YYYYMMDD or YYYYMMDDTHHMMSS[Z])
+ * @returns {{ date: Date, allDay: boolean }|null} - Parsed date, or null if the value is not a date
+ */
+function parseICalDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const parts = [year, month - 1, day, hours ?? 0, minutes ?? 0, seconds ?? 0].map(Number);
+  return { date: utc ? new Date(Date.UTC(...parts)) : new Date(...parts), allDay: hours === undefined };
+}
+
+/**
+ * Parse an iCalendar recurrence rule (RRULE)
+ * @param {string} value - Rule, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+ * @returns {Object} - Rule parts with lower case keys: numbers for COUNT/INTERVAL, a Date for UNTIL and arrays for
+ *   the BY* lists
+ */
+function parseRecurrenceRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, partValue = ''] = part.split('=');
+    const name = key.toLowerCase();
+    if (name === 'count' || name === 'interval') {
+      rule[name] = Number(partValue);
+    } else if (name === 'until') {
+      rule[name] = parseICalDate(partValue)?.date ?? partValue;
+    } else if (name.startsWith('by')) {
+      rule[name] = partValue.split(',');
+    } else {
+      rule[name] = partValue;
+    }
+  }
+  return rule;
+}
+
+/**
+ * Parse iCalendar (RFC 5545) text into its calendar properties and events
+ *
+ * Only what Grocy's calendar uses is interpreted: events get their text, dates and recurrence rule parsed, all other
+ * properties are kept as text in `properties`. Time zones (TZID) are not converted, such times are read as local time.
+ * @param {string} text - iCalendar text
+ * @returns {{ properties: Object, events: Object[] }} - Calendar properties and events (`uid`, `summary`,
+ *   `description`, `location`, `url`, `start`, `end`, `allDay`, `recurrence` and `properties`)
+ */
+export function parseICalendar(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('The iCalendar data must be a string');
+  }
+
+  const calendar = { properties: {}, events: [] };
+  const stack = [];
+  let event = null;
+
+  // Long lines are folded by a line break followed by a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  for (const line of lines) {
+    if (line.trim() === '') continue;
+
+    const match = line.match(ICAL_LINE_PATTERN);
+    if (!match) {
+      throw new SyntaxError(`Invalid iCalendar line: ${JSON.stringify(line)}`);
+    }
+    const [, rawName, rawParams, value] = match;
+    const name = rawName.toUpperCase();
+    const params = Object.fromEntries(
+      [...rawParams.matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^;]*)/g)].map(([, key, paramValue]) => [
+        key.toUpperCase(),
+        paramValue.replace(/^"|"$/g, ''),
+      ]),
+    );
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { properties: {} };
+      }
+      continue;
+    }
+    if (name === 'END') {
+      if (stack.pop() !== value.toUpperCase()) {
+        throw new SyntaxError(`Unexpected END:${value}`);
+      }
+      if (value.toUpperCase() === 'VEVENT') {
+        calendar.events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    const component = stack.at(-1);
+    if (component === 'VCALENDAR') {
+      calendar.properties[name] = unescapeICalText(value);
+    } else if (component === 'VEVENT') {
+      event.properties[name] = name === 'RRULE' ? value : unescapeICalText(value);
+      if (name === 'DTSTART' || name === 'DTEND') {
+        const parsed = parseICalDate(value);
+        if (!parsed) {
+          throw new SyntaxError(`Invalid ${name} value ${JSON.stringify(value)}`);
+        }
+        event[name === 'DTSTART' ? 'start' : 'end'] = parsed.date;
+        if (name === 'DTSTART') event.allDay = parsed.allDay || params.VALUE === 'DATE';
+      }
+    }
+  }
+  if (stack.length > 0) {
+    throw new SyntaxError(`Missing END:${stack.at(-1)}`);
+  }
+
+  calendar.events = calendar.events.map(({ properties, start = null, end, allDay = false }) => {
+    // Without an end, all-day events last the whole day and others are instants
+    let eventEnd = end ?? start;
+    if (!end && start && allDay) {
+      eventEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    }
+    return {
+      uid: properties.UID ?? null,
+      summary: properties.SUMMARY ?? '',
+      description: properties.DESCRIPTION ?? null,
+      location: properties.LOCATION ?? null,
+      url: properties.URL ?? null,
+      start,
+      end: eventEnd,
+      allDay,
+      recurrence: properties.RRULE ? parseRecurrenceRule(properties.RRULE) : null,
+      properties,
+    };
+  });
+  return calendar;
+}
+
+// Catalog tables in the order they are imported, so products can refer to the others by name
+const CATALOG_TABLES = ['locations', 'quantity_units', 'product_groups', 'shopping_locations', 'products'];
+
+// Product fields exported and imported as the name of the referenced object
+const CATALOG_REFERENCES = {
+  location_id: 'locations',
+  default_consume_location_id: 'locations',
+  qu_id_purchase: 'quantity_units',
+  qu_id_stock: 'quantity_units',
+  qu_id_consume: 'quantity_units',
+  qu_id_price: 'quantity_units',
+  product_group_id: 'product_groups',
+  shopping_location_id: 'shopping_locations',
+  parent_product_id: 'products',
+};
+
+// Fields maintained by Grocy, left out of exports and ignored on import and restore
+const MANAGED_FIELDS = ['id', 'row_created_timestamp', 'userfields'];
+
+const CATALOG_FORMATS = ['json', 'csv'];
+
+/**
+ * Format rows as CSV (RFC 4180)
+ * @param {Object[]} rows - Rows
+ * @param {Array<string|Array>} columns - Columns as field names or `[header, field name or getter]` pairs (default
+ *   the union of the rows' fields)
+ * @returns {string} - CSV text
+ */
+export function formatCsv(rows, columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]) {
+  const definitions = columns.map((column) => (Array.isArray(column) ? column : [column, column]));
+  const quote = (value) => {
+    const cell = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell;
+  };
+  const getCells = (row) => definitions.map(([, key]) => (typeof key === 'function' ? key(row) : row[key]));
+  return [definitions.map(([header]) => header), ...rows.map(getCells)]
+    .map((cells) => cells.map(quote).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Parse CSV text (RFC 4180) with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Object[]} - Rows keyed by the header names, all values as strings
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      records.push([...record, field]);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new SyntaxError('Invalid CSV: unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    records.push([...record, field]);
+  }
+
+  const [header = [], ...rows] = records.filter((cells) => cells.length > 1 || cells[0] !== '');
+  return rows.map((cells) => Object.fromEntries(header.map((name, i) => [name, cells[i] ?? ''])));
+}
+
+/**
+ * Read catalog import data: JSON text or an object of tables, each an array of rows or CSV text
+ * @param {string|Object} input - Catalog data
+ * @returns {Object} - Rows by table
+ */
+function readCatalogInput(input) {
+  let catalog = input;
+  if (typeof input === 'string') {
+    try {
+      catalog = JSON.parse(input);
+    } catch (error) {
+      throw new GrocyInputError(`Invalid catalog JSON: ${error.message}`, { cause: error });
+    }
+  }
+  if (catalog === null || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    throw new TypeError('The catalog must be JSON text or an object of tables');
+  }
+
+  return Object.fromEntries(
+    CATALOG_TABLES.map((table) => {
+      const rows = catalog[table] ?? [];
+      if (typeof rows === 'string') {
+        return [table, parseCsv(rows)];
+      }
+      if (!Array.isArray(rows)) {
+        throw new TypeError(`The catalog ${table} must be an array of rows or CSV text`);
+      }
+      return [table, rows];
+    }),
+  );
+}
+
+/**
+ * Compare a stored value with an imported one, treating numbers and numeric strings alike
+ * @param {*} stored - Value stored in Grocy
+ * @param {*} imported - Imported value
+ * @returns {boolean} - True if the values are the same
+ */
+function isSameValue(stored, imported) {
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  if (isEmpty(stored) || isEmpty(imported)) {
+    return isEmpty(stored) && isEmpty(imported);
+  }
+  const isNumeric = (value) => typeof value === 'number' || (typeof value === 'string' && !isNaN(value));
+  return isNumeric(stored) && isNumeric(imported)
+    ? Number(stored) === Number(imported)
+    : String(stored) === String(imported);
+}
+
+/**
+ * Normalize a name for matching
+ * @param {*} name - Name
+ * @returns {string} - Trimmed, lower case name
+ */
+function getNameKey(name) {
+  return String(name ?? '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Load the catalog tables and the product barcodes
+ * @param {Grocy} client - Grocy client
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Object>} - Rows by table
+ */
+async function loadCatalog(client, requestOptions) {
+  const tables = [...CATALOG_TABLES, 'product_barcodes'];
+  const rows = await Promise.all(tables.map((table) => client.getObjects(table, {}, requestOptions)));
+  return Object.fromEntries(tables.map((table, i) => [table, rows[i]]));
+}
+
+const BACKUP_FORMAT = 'node-grocy-backup';
+
+const BACKUP_VERSION = 1;
+
+const BACKUP_MANIFEST = 'backup.json';
+
+// Entities restored from a backup, in dependency order, with the entities their ID fields refer to
+const BACKUP_ENTITIES = {
+  quantity_units: {},
+  locations: {},
+  shopping_locations: {},
+  product_groups: {},
+  products: {
+    product_group_id: 'product_groups',
+    location_id: 'locations',
+    default_consume_location_id: 'locations',
+    shopping_location_id: 'shopping_locations',
+    qu_id_purchase: 'quantity_units',
+    qu_id_stock: 'quantity_units',
+    qu_id_consume: 'quantity_units',
+    qu_id_price: 'quantity_units',
+    parent_product_id: 'products',
+  },
+  product_barcodes: { product_id: 'products', qu_id: 'quantity_units', shopping_location_id: 'shopping_locations' },
+  quantity_unit_conversions: { from_qu_id: 'quantity_units', to_qu_id: 'quantity_units', product_id: 'products' },
+  shopping_lists: {},
+  shopping_list: { product_id: 'products', shopping_list_id: 'shopping_lists', qu_id: 'quantity_units' },
+  recipes: { product_id: 'products' },
+  recipes_pos: { recipe_id: 'recipes', product_id: 'products', qu_id: 'quantity_units' },
+  recipes_nestings: { recipe_id: 'recipes', includes_recipe_id: 'recipes' },
+  meal_plan_sections: {},
+  meal_plan: {
+    recipe_id: 'recipes',
+    product_id: 'products',
+    product_qu_id: 'quantity_units',
+    section_id: 'meal_plan_sections',
+  },
+  chores: { product_id: 'products', next_execution_assigned_to_user_id: 'users' },
+  batteries: {},
+  task_categories: {},
+  tasks: { category_id: 'task_categories', assigned_to_user_id: 'users' },
+  equipment: {},
+  userentities: {},
+  userobjects: { userentity_id: 'userentities' },
+  userfields: {},
+};
+
+// Fields holding a comma separated list of IDs, with the entity the IDs refer to
+const BACKUP_ID_LIST_FIELDS = {
+  chores: { assignment_config: 'users' },
+};
+
+// Entities that can't be written through the API, kept in backups for reference; stock is restored by booking it
+const BACKUP_LOG_ENTITIES = ['stock', 'stock_log', 'chores_log', 'battery_charge_cycles'];
+
+// Objects a new Grocy instance is set up with, updated in place when the backup has them too
+const BACKUP_DEFAULT_OBJECTS = {
+  shopping_lists: [1],
+};
+
+// Fields naming files, with their file group
+const BACKUP_FILE_FIELDS = {
+  products: { picture_file_name: 'productpictures' },
+  recipes: { picture_file_name: 'recipepictures' },
+  equipment: { instruction_manual_file_name: 'equipmentmanuals' },
+};
+
+/**
+ * Tell objects Grocy maintains itself, like the recipes behind meal plan days, which are neither conflicts nor restored
+ * @param {string} entity - Entity name
+ * @param {Object} row - Object
+ * @returns {boolean} - True for internal objects
+ */
+function isInternalObject(entity, row) {
+  return entity === 'recipes' && row.type !== undefined && row.type !== null && row.type !== 'normal';
+}
+
+/**
+ * Get the path of a backed up file relative to the backup directory, checking that it belongs to one of the file
+ * groups objects refer to
+ * @param {string} group - File group
+ * @param {string} fileName - File name
+ * @returns {string} - Path
+ */
+function getBackupFilePath(group, fileName) {
+  const groups = Object.values(BACKUP_FILE_FIELDS).flatMap((fields) => Object.values(fields));
+  if (!groups.includes(group) || typeof fileName !== 'string' || ['', '.', '..'].includes(fileName)) {
+    throw new GrocyInputError(`Invalid backup file ${group}/${fileName}`);
+  }
+  return join('files', group, encodeURIComponent(fileName));
+}
+
+/**
+ * Get the IDs of the objects a userfield entity applies to
+ * @param {Object} entities - Backed up objects by entity
+ * @param {string} entity - Userfield entity, an entity name or userentity-<name> for user entities
+ * @returns {number[]} - Object IDs
+ */
+function getUserfieldObjectIds(entities, entity) {
+  if (entity.startsWith('userentity-')) {
+    const userentity = entities.userentities.find((row) => `userentity-${row.name}` === entity);
+    return entities.userobjects
+      .filter((row) => userentity && Number(row.userentity_id) === Number(userentity.id))
+      .map((row) => Number(row.id));
+  }
+  return (entities[entity] ?? []).map((row) => Number(row.id));
+}
+
+/**
+ * Write a backup of a Grocy instance to a directory
+ * @param {Grocy} client - Grocy client
+ * @param {string} directory - Backup directory, created if needed
+ * @param {Object} options - Backup options
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Object>} - Summary
+ */
+async function createBackup(client, directory, { files = true }, requestOptions) {
+  const info = await client.getSystemInfo(requestOptions);
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created: new Date().toISOString(),
+    grocyVersion: info?.grocy_version?.Version ?? null,
+    entities: {},
+    users: [],
+    userfields: {},
+    files: [],
+    missingFiles: [],
+  };
+
+  for (const entity of [...Object.keys(BACKUP_ENTITIES), ...BACKUP_LOG_ENTITIES]) {
+    backup.entities[entity] = await client.getObjects(entity, {}, requestOptions);
+  }
+  // Users can't be restored, only matched by name so the objects assigned to them can be assigned again
+  backup.users = (await client.getUsers({}, requestOptions)).map(({ id, username }) => ({ id, username }));
+
+  for (const entity of new Set(backup.entities.userfields.map((userfield) => userfield.entity))) {
+    for (const objectId of getUserfieldObjectIds(backup.entities, entity)) {
+      const values = await client.getUserfields(entity, objectId, requestOptions);
+      if (Object.values(values ?? {}).some((value) => value !== null && value !== '')) {
+        backup.userfields[entity] ??= {};
+        backup.userfields[entity][objectId] = values;
+      }
+    }
+  }
+
+  await mkdir(directory, { recursive: true });
+  if (files) {
+    const seen = new Set();
+    for (const [entity, fields] of Object.entries(BACKUP_FILE_FIELDS)) {
+      for (const row of backup.entities[entity]) {
+        for (const [field, group] of Object.entries(fields)) {
+          const fileName = row[field];
+          if (!fileName || seen.has(`${group}/${fileName}`)) continue;
+          seen.add(`${group}/${fileName}`);
+
+          const path = getBackupFilePath(group, fileName);
+          try {
+            const { data } = await client.downloadFile(group, fileName, { as: 'stream' }, requestOptions);
+            await mkdir(join(directory, 'files', group), { recursive: true });
+            await pipeline(Readable.fromWeb(data), createWriteStream(join(directory, path)));
+            backup.files.push({ group, fileName, path });
+          } catch (error) {
+            // Objects can name files that were deleted since
+            if (!(error instanceof GrocyNotFoundError)) throw error;
+            backup.missingFiles.push({ group, fileName });
+          }
+        }
+      }
+    }
+  }
+
+  await writeFile(join(directory, BACKUP_MANIFEST), JSON.stringify(backup, null, 2));
+  return {
+    directory,
+    grocyVersion: backup.grocyVersion,
+    entities: Object.fromEntries(Object.entries(backup.entities).map(([entity, rows]) => [entity, rows.length])),
+    userfields: Object.values(backup.userfields).reduce((sum, objects) => sum + Object.keys(objects).length, 0),
+    files: backup.files.length,
+    missingFiles: backup.missingFiles,
+  };
+}
+
+/**
+ * Restore a backup written by createBackup() into an empty Grocy instance
+ * @param {Grocy} client - Grocy client
+ * @param {string} directory - Backup directory
+ * @param {Object} options - Restore options
+ * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+ * @returns {Promise<Object>} - Summary with the new IDs of the restored objects
+ */
+async function restoreBackup(client, directory, { files = true, ignoreVersion = false }, requestOptions) {
+  let backup;
+  try {
+    backup = JSON.parse(await readFile(join(directory, BACKUP_MANIFEST), 'utf8'));
+  } catch (error) {
+    throw new GrocyError(`Could not read the backup in ${directory}: ${error.message}`, { cause: error });
+  }
+  if (backup?.format !== BACKUP_FORMAT || !(backup.version <= BACKUP_VERSION)) {
+    throw new GrocyInputError(`Unsupported backup format in ${directory}`);
+  }
+  // Missing files are found before anything is written
+  const backupFiles = [];
+  for (const { group, fileName } of files ? (backup.files ?? []) : []) {
+    const path = join(directory, getBackupFilePath(group, fileName));
+    try {
+      await stat(path);
+    } catch (error) {
+      throw new GrocyError(`Could not read the backup in ${directory}: ${error.message}`, { cause: error });
+    }
+    backupFiles.push({ group, fileName, path });
+  }
+
+  const info = await client.getSystemInfo(requestOptions);
+  const grocyVersion = info?.grocy_version?.Version ?? null;
+  if (!ignoreVersion && backup.grocyVersion !== grocyVersion) {
+    throw new GrocyError(
+      `The backup was made with Grocy ${backup.grocyVersion}, this instance runs ${grocyVersion} ` +
+        '(pass ignoreVersion to restore anyway)',
+    );
+  }
+
+  // Only the objects a new instance is set up with (like the default shopping list) may exist
+  const existing = {};
+  const conflicts = [];
+  for (const entity of Object.keys(BACKUP_ENTITIES)) {
+    const defaultIds = BACKUP_DEFAULT_OBJECTS[entity] ?? [];
+    existing[entity] = new Set();
+    for (const row of await client.getObjects(entity, {}, requestOptions)) {
+      if (isInternalObject(entity, row)) continue;
+      if (defaultIds.includes(Number(row.id))) {
+        existing[entity].add(Number(row.id));
+      } else {
+        conflicts.push(`${entity} ${row.id}`);
+      }
+    }
+  }
+  if (conflicts.length > 0) {
+    const found = conflicts.slice(0, 5).join(', ') + (conflicts.length > 5 ? ` and ${conflicts.length - 5} more` : '');
+    throw new GrocyError(`Backups can only be restored into an empty instance, found ${found}`);
+  }
+
+  // Users are matched by name
+  const userIds = new Map((await client.getUsers({}, requestOptions)).map((user) => [user.username, Number(user.id)]));
+  const ids = {
+    users: new Map(
+      (backup.users ?? [])
+        .filter((user) => userIds.has(user.username))
+        .map((user) => [Number(user.id), userIds.get(user.username)]),
+    ),
+  };
+  const skipped = { users: new Set() };
+  // References to objects missing from the backup or the instance, which are cleared
+  const unresolved = [];
+  let stockEntries = 0;
+  let userfields = 0;
+  let restoredFiles = 0;
+  const isEmpty = (value) => value === null || value === undefined || value === '';
+  const getSummary = () => ({
+    grocyVersion: backup.grocyVersion,
+    entities: Object.fromEntries(
+      Object.keys(BACKUP_ENTITIES)
+        .filter((entity) => ids[entity])
+        .map((entity) => [entity, ids[entity].size]),
+    ),
+    stock: stockEntries,
+    userfields,
+    files: restoredFiles,
+    ids: Object.fromEntries(Object.entries(ids).map(([entity, mapping]) => [entity, Object.fromEntries(mapping)])),
+    unresolved,
+  });
+
+  try {
+    for (const [entity, references] of Object.entries(BACKUP_ENTITIES)) {
+      ids[entity] = new Map();
+      skipped[entity] = new Set();
+      const selfReferences = [];
+
+      for (const row of backup.entities[entity] ?? []) {
+        const id = Number(row.id);
+        const refersToSkipped = Object.entries(references).some(
+          ([field, target]) => target !== entity && skipped[target].has(Number(row[field])),
+        );
+        if (isInternalObject(entity, row) || refersToSkipped) {
+          skipped[entity].add(id);
+          continue;
+        }
+
+        const data = Object.fromEntries(Object.entries(row).filter(([field]) => !MANAGED_FIELDS.includes(field)));
+        const ownReferences = {};
+        Object.entries(references).forEach(([field, target]) => {
+          if (isEmpty(data[field])) return;
+          if (target === entity) {
+            // Set once all objects of the entity exist
+            ownReferences[field] = Number(data[field]);
+            data[field] = null;
+            return;
+          }
+          const newId = ids[target].get(Number(data[field]));
+          if (newId === undefined) unresolved.push({ entity, id, field, value: data[field] });
+          data[field] = newId ?? null;
+        });
+        Object.entries(BACKUP_ID_LIST_FIELDS[entity] ?? {}).forEach(([field, target]) => {
+          if (isEmpty(data[field])) return;
+          const oldIds = String(data[field]).split(',');
+          const newIds = oldIds.map((oldId) => ids[target].get(Number(oldId))).filter((newId) => newId !== undefined);
+          if (newIds.length < oldIds.length) unresolved.push({ entity, id, field, value: data[field] });
+          data[field] = newIds.join(',');
+        });
+
+        if (existing[entity].has(id)) {
+          await client.editObject(entity, id, data, requestOptions);
+          ids[entity].set(id, id);
+        } else {
+          const { created_object_id: newId } = await client.addObject(entity, data, requestOptions);
+          ids[entity].set(id, Number(newId));
+        }
+        if (Object.keys(ownReferences).length > 0) {
+          selfReferences.push([id, ownReferences]);
+        }
+      }
+
+      for (const [id, ownReferences] of selfReferences) {
+        const data = {};
+        Object.entries(ownReferences).forEach(([field, oldId]) => {
+          data[field] = ids[entity].get(oldId) ?? null;
+          if (data[field] === null) unresolved.push({ entity, id, field, value: oldId });
+        });
+        await client.editObject(entity, ids[entity].get(id), data, requestOptions);
+      }
+    }
+
+    for (const entry of backup.entities.stock ?? []) {
+      const productId = ids.products.get(Number(entry.product_id));
+      if (!productId) continue;
+
+      const data = {
+        amount: entry.amount,
+        best_before_date: entry.best_before_date,
+        purchased_date: entry.purchased_date,
+        price: entry.price,
+        location_id: ids.locations.get(Number(entry.location_id)),
+        shopping_location_id: ids.shopping_locations.get(Number(entry.shopping_location_id)),
+        note: entry.note,
+      };
+      const bookings = await client.addProductToStock(
+        productId,
+        Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null && value !== undefined)),
+        requestOptions,
+      );
+      if (Number(entry.open) === 1) {
+        const stockEntryId = bookings?.[0]?.stock_id;
+        await client.openProduct(productId, { amount: entry.amount, stock_entry_id: stockEntryId }, requestOptions);
+      }
+      stockEntries++;
+    }
+
+    for (const [entity, objects] of Object.entries(backup.userfields ?? {})) {
+      const objectIds = entity.startsWith('userentity-') ? ids.userobjects : ids[entity];
+      for (const [objectId, values] of Object.entries(objects)) {
+        const newId = objectIds?.get(Number(objectId));
+        if (!newId) continue;
+        await client.setUserfields(entity, newId, values, requestOptions);
+        userfields++;
+      }
+    }
+
+    for (const { group, fileName, path } of backupFiles) {
+      await client.putFile(group, fileName, Readable.toWeb(createReadStream(path)), requestOptions);
+      restoredFiles++;
+    }
+  } catch (error) {
+    // Nothing is rolled back, so tell what the instance holds now
+    if (error instanceof Error) error.restored = getSummary();
+    throw error;
+  }
+
+  return getSummary();
+}
+
 export default class Grocy {
   /**
-   * @param {string} baseUrl - The base URL of your Grocy instance
+   * Create a client, either as `new Grocy(baseUrl, apiKey, options)` or `new Grocy({ baseUrl, apiKey, ...options })`
+   * @param {string|Object} baseUrl - The base URL of your Grocy instance, or an options object including it
    * @param {string} apiKey - Your Grocy API key
+   * @param {Object} options - Client options
+   * @param {Function} options.fetch - Fetch implementation to use instead of the global `fetch`
+   * @param {Object} options.headers - Headers sent with every request
+   * @param {boolean|Object} options.retry - Retry policy, `true` for the defaults (disabled if omitted)
+   * @param {number} options.retry.maxAttempts - Maximum number of attempts including the first one (default 3)
+   * @param {number} options.retry.minDelay - Delay before the first retry in ms (default 250)
+   * @param {number} options.retry.maxDelay - Upper bound for any delay in ms (default 30000)
+   * @param {number} options.retry.factor - Multiplier applied to the delay after each attempt (default 2)
+   * @param {boolean} options.retry.jitter - Randomize delays to spread out concurrent clients (default true)
+   * @param {number[]} options.retry.statusCodes - HTTP status codes that are retried
+   * @param {boolean} options.retry.networkErrors - Retry requests that did not receive a response (default true)
+   * @param {string[]} options.retry.methods - HTTP methods that are retried (default GET, PUT, DELETE)
+   * @param {boolean} options.retry.stockActions - Also retry POST stock actions like add or consume (default false)
+   * @param {boolean} options.retry.respectRetryAfter - Wait as long as the Retry-After header says (default true)
+   * @param {Function} options.retry.shouldRetry - Custom predicate `(error) => boolean` replacing the checks above
+   * @param {Function} options.retry.onRetry - Called with `{ attempt, delay, error, endpoint, method }` before waiting
+   * @param {number} options.timeout - Timeout per attempt in ms (default 30000, 0 disables it)
+   * @param {boolean|Object} options.cache - Cache GET responses, `true` for the defaults (disabled if omitted),
+   *   see ResponseCache for the options (store, ttl, ttls, checkInterval)
+   * @param {number} options.undoHistory - Number of stock transactions remembered for undoLastAction() (default 10)
+   * @param {boolean} options.validateStockData - Check the data of stock actions before sending it (default true)
    */
-  constructor(baseUrl, apiKey = null) {
+  constructor(baseUrl, apiKey = null, options = {}) {
+    if (baseUrl !== null && typeof baseUrl === 'object') {
+      options = baseUrl;
+      ({ baseUrl, apiKey = null } = options);
+    }
+
+    if (typeof baseUrl !== 'string' || baseUrl === '') {
+      throw new TypeError('A base URL is required');
+    }
+
+    if (options.fetch !== undefined && typeof options.fetch !== 'function') {
+      throw new TypeError('The fetch option must be a function');
+    }
+
     this.baseUrl = baseUrl.endsWith('/api') ? baseUrl : `${baseUrl}/api`;
     this.apiKey = apiKey;
+    this.fetch = options.fetch || null;
+    this.headers = { ...options.headers };
+    this.retry = normalizeRetryOptions(options.retry);
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.cache = options.cache ? new ResponseCache(this, options.cache === true ? {} : options.cache) : null;
+    this.undoHistory = options.undoHistory ?? DEFAULT_UNDO_HISTORY;
+    this.validateStockData = options.validateStockData ?? true;
+    this.transactions = [];
+    this.unitConverter = null;
+    this.unitConverterChangedTime = null;
+    this.middleware = [];
+
+    // Typed accessors for the generic /objects API, e.g. `client.products.list()`
+    Object.entries(ENTITIES).forEach(([entity, { accessor }]) => {
+      this[accessor] = new EntityAccessor(this, entity);
+    });
+  }
+
+  /**
+   * Get the typed accessor for an entity of the generic /objects API
+   * @param {string} entity - Entity name, e.g. `products`
+   * @returns {EntityAccessor} - Entity accessor
+   */
+  entity(entity) {
+    if (!Object.hasOwn(ENTITIES, entity)) {
+      throw new TypeError(`Unknown Grocy entity "${entity}"`);
+    }
+    return this[ENTITIES[entity].accessor];
+  }
+
+  /**
+   * Add a middleware to the request pipeline
+   *
+   * Middleware is called as `fn(ctx, next)` for every attempt of every request, in the order it was added.
+   * It may change `ctx.url`, `ctx.method`, `ctx.headers` and `ctx.body` before calling `next()`, which
+   * resolves to the parsed response (the raw response is available as `ctx.response`) or rejects with the
+   * request error. Whatever the middleware returns or throws replaces the result.
+   * @param {Function} fn - Middleware function `(ctx, next) => Promise<*>`
+   * @returns {Grocy} - The client, for chaining
+   */
+  use(fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    this.middleware.push(fn);
+    return this;
   }
 
   /**
@@ -19,6 +3562,38 @@ export default class Grocy {
    */
   setApiKey(apiKey) {
     this.apiKey = apiKey;
+    // Responses cached for another key must not leak to this one
+    this.cache?.clear();
+    this.unitConverter = null;
+  }
+
+  /**
+   * Watch the database for changes and emit events for them, see GrocyWatcher
+   * @param {Object} options - Watch options
+   * @param {number} options.interval - Time between two polls in ms (default 10000)
+   * @param {string[]} options.events - Events to watch (default: all)
+   * @returns {GrocyWatcher} - Started watcher, call `stop()` to end it
+   */
+  watch(options = {}) {
+    return new GrocyWatcher(this, options).start();
+  }
+
+  /**
+   * Start a barcode scanner session, see ScanSession
+   * @param {Object} options - Session options (mode, modeBarcodes, data, onUnknownBarcode)
+   * @returns {ScanSession} - Scan session
+   */
+  scanSession(options = {}) {
+    return new ScanSession(this, options);
+  }
+
+  /**
+   * Run many stock actions or object changes at once, see BulkOperations
+   * @param {Object} options - Bulk options (concurrency, allOrNothing)
+   * @returns {BulkOperations} - Bulk operations
+   */
+  bulk(options = {}) {
+    return new BulkOperations(this, options);
   }
 
   /**
@@ -27,13 +3602,17 @@ export default class Grocy {
    * @param {string} method - HTTP method
    * @param {Object} data - Request data for POST/PUT requests
    * @param {Object} queryParams - URL query parameters
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout, cache)
    * @returns {Promise<Object>} - Response data
    */
-  async request(endpoint, method = 'GET', data = null, queryParams = {}) {
+  async request(endpoint, method = 'GET', data = null, queryParams = {}, requestOptions = {}) {
     if (!this.apiKey) {
       throw new Error('API key is required. Use setApiKey() to set it.');
     }
 
+    const { signal, timeout = this.timeout, cache = true, raw = false, rawBody = false, read } = requestOptions;
+    signal?.throwIfAborted();
+
     const url = new URL(`${this.baseUrl}${endpoint}`);
 
     // Add query parameters if provided
@@ -47,209 +3626,454 @@ export default class Grocy {
       });
     }
 
-    const options = {
-      method,
-      headers: {
-        'GROCY-API-KEY': this.apiKey,
-        'Content-Type': 'application/json',
-      },
+    const headers = {
+      ...this.headers,
+      'GROCY-API-KEY': this.apiKey,
     };
 
-    if (data && (method === 'POST' || method === 'PUT')) {
-      options.body = JSON.stringify(data);
-    }
-
-    try {
-      const response = await fetch(url, options);
+    const body = data && (method === 'POST' || method === 'PUT') ? data : null;
+    const details = { endpoint, method };
+    // A stream body is consumed by the first attempt and cannot be sent again
+    const replayable = !(body instanceof ReadableStream);
 
-      // Handle non-JSON responses (like file downloads or no content)
-      if (response.status === 204) {
-        return { success: true };
-      }
+    const perform = async () => {
+      for (let attempt = 1; ; attempt++) {
+        // Every attempt gets a fresh context, so middleware changes do not pile up across retries
+        const ctx = {
+          endpoint,
+          method,
+          url: new URL(url),
+          headers: { ...headers },
+          body,
+          rawBody,
+          attempt,
+          signal,
+          response: null,
+        };
 
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        const jsonData = await response.json();
+        try {
+          return await runMiddleware(this.middleware, ctx, (context) =>
+            send(context, { fetch: this.fetch || fetch, signal, timeout, raw, read }),
+          );
+        } catch (error) {
+          const policy = this.retry;
+          if (
+            !policy ||
+            !replayable ||
+            signal?.aborted ||
+            attempt >= policy.maxAttempts ||
+            !isRetryable(policy, error, details)
+          ) {
+            throw error;
+          }
 
-        if (!response.ok) {
-          throw new Error(jsonData.error_message || `HTTP error! status: ${response.status}`);
+          const delay = getRetryDelay(policy, error, attempt);
+          if (policy.onRetry) {
+            policy.onRetry({ attempt, delay, error, endpoint, method });
+          }
+          await sleep(delay, signal);
         }
+      }
+    };
+
+    if (method === 'GET') {
+      const cached = this.cache && cache && !raw && !read;
+      return cached ? this.cache.fetch(url.toString(), endpoint, perform, signal) : perform();
+    }
 
-        return jsonData;
-      } else if (contentType && contentType.includes('text/calendar')) {
-        const textData = await response.text();
-        return { calendar: textData };
-      } else if (response.ok) {
-        // Handle binary responses or other non-JSON responses
-        return { success: true, response };
+    let result;
+    try {
+      result = await perform();
+    } finally {
+      // Anything but a GET may have changed data, whether it succeeded or not
+      await this.cache?.clear();
+      if (UNIT_CONVERSION_ENDPOINT_PATTERN.test(endpoint)) {
+        this.unitConverter = null;
       }
+    }
 
-      throw new Error(`HTTP error! status: ${response.status}`);
-    } catch (error) {
-      throw new Error(`Grocy API request failed: ${error.message}`);
+    if (method === 'POST' && STOCK_ACTION_PATTERN.test(endpoint)) {
+      rememberTransaction(this, endpoint, result);
     }
+    return result;
   }
 
   // System endpoints
 
   /**
    * Get information about the installed Grocy version
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - System information
    */
-  async getSystemInfo() {
-    return this.request('/system/info');
+  async getSystemInfo(requestOptions = {}) {
+    return this.request('/system/info', 'GET', null, {}, requestOptions);
   }
 
   /**
    * Get the time when the database was last changed
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Database last changed time
    */
-  async getDbChangedTime() {
-    return this.request('/system/db-changed-time');
+  async getDbChangedTime(requestOptions = {}) {
+    return this.request('/system/db-changed-time', 'GET', null, {}, requestOptions);
   }
 
   /**
    * Get all config settings
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Config settings
    */
-  async getConfig() {
-    return this.request('/system/config');
+  async getConfig(requestOptions = {}) {
+    return this.request('/system/config', 'GET', null, {}, requestOptions);
   }
 
   /**
    * Get the current server time
    * @param {number} offset - Offset of timestamp in seconds
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Server time information
    */
-  async getTime(offset = null) {
+  async getTime(offset = null, requestOptions = {}) {
     const params = offset !== null ? { offset } : {};
-    return this.request('/system/time', 'GET', null, params);
+    return this.request('/system/time', 'GET', null, params, requestOptions);
   }
 
   // Stock endpoints
 
   /**
    * Get all products currently in stock
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Products in stock
    */
-  async getStock() {
-    return this.request('/stock');
+  async getStock(requestOptions = {}) {
+    return this.request('/stock', 'GET', null, {}, requestOptions);
   }
 
   /**
    * Get details of a stock entry
    * @param {number} entryId - Stock entry ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Stock entry details
    */
-  async getStockEntry(entryId) {
-    return this.request(`/stock/entry/${entryId}`);
+  async getStockEntry(entryId, requestOptions = {}) {
+    return this.request(`/stock/entry/${entryId}`, 'GET', null, {}, requestOptions);
   }
 
   /**
    * Edit a stock entry
    * @param {number} entryId - Stock entry ID
    * @param {Object} data - Stock entry data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Stock log entries
    */
-  async editStockEntry(entryId, data) {
-    return this.request(`/stock/entry/${entryId}`, 'PUT', data);
+  async editStockEntry(entryId, data, requestOptions = {}) {
+    return this.request(`/stock/entry/${entryId}`, 'PUT', checkStockData(this, 'entry', data), {}, requestOptions);
   }
 
   /**
    * Get volatile stock (due soon, overdue, expired, missing)
    * @param {number} dueSoonDays - Days for due soon products
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Volatile stock information
    */
-  async getVolatileStock(dueSoonDays = 5) {
-    return this.request('/stock/volatile', 'GET', null, { due_soon_days: dueSoonDays });
+  async getVolatileStock(dueSoonDays = 5, requestOptions = {}) {
+    return this.request('/stock/volatile', 'GET', null, { due_soon_days: dueSoonDays }, requestOptions);
   }
 
   /**
    * Get product details
    * @param {number} productId - Product ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Product details
    */
-  async getProductDetails(productId) {
-    return this.request(`/stock/products/${productId}`);
+  async getProductDetails(productId, requestOptions = {}) {
+    return this.request(`/stock/products/${productId}`, 'GET', null, {}, requestOptions);
+  }
+
+  /**
+   * Get the stock entries of a product
+   * @param {number} productId - Product ID
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, includeSubProducts)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock entries
+   */
+  async getProductStockEntries(productId, options = {}, requestOptions = {}) {
+    const params = buildStockQueryParams(options);
+
+    return this.request(`/stock/products/${productId}/entries`, 'GET', null, params, requestOptions);
+  }
+
+  /**
+   * Get the locations where a product is in stock, with the amount per location
+   * @param {number} productId - Product ID
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, includeSubProducts)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock amounts per location
+   */
+  async getProductStockLocations(productId, options = {}, requestOptions = {}) {
+    const params = buildStockQueryParams(options);
+
+    return this.request(`/stock/products/${productId}/locations`, 'GET', null, params, requestOptions);
+  }
+
+  /**
+   * Get the price history of a product
+   * @param {number} productId - Product ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Prices with date and shopping location
+   */
+  async getProductPriceHistory(productId, requestOptions = {}) {
+    return this.request(`/stock/products/${productId}/price-history`, 'GET', null, {}, requestOptions);
+  }
+
+  /**
+   * Get the stock entries at a location
+   * @param {number} locationId - Location ID
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock entries
+   */
+  async getLocationStockEntries(locationId, options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
+
+    return this.request(`/stock/locations/${locationId}/entries`, 'GET', null, params, requestOptions);
   }
 
   /**
    * Get product by barcode
    * @param {string} barcode - Product barcode
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Product details
    */
-  async getProductByBarcode(barcode) {
-    return this.request(`/stock/products/by-barcode/${barcode}`);
+  async getProductByBarcode(barcode, requestOptions = {}) {
+    return this.request(`/stock/products/by-barcode/${barcode}`, 'GET', null, {}, requestOptions);
+  }
+
+  /**
+   * Get the quantity unit converter, loading the units and conversions on first use
+   *
+   * The converter is loaded again after this client changed products, units or conversions, and with the response
+   * cache enabled also once the database changed (checked along with the cache). The load is shared by all callers,
+   * so it doesn't use the caller's signal and timeout; the signal only stops waiting for it.
+   * @param {Object} options - Converter options
+   * @param {boolean} options.refresh - Reload the units and conversions (default false)
+   * @param {RequestOptions} requestOptions - Request options (signal)
+   * @returns {Promise<UnitConverter>} - Unit converter
+   */
+  async getUnitConverter({ refresh = false } = {}, requestOptions = {}) {
+    const changedTime = this.cache ? await this.cache.getChangedTime(requestOptions.signal) : null;
+    if (refresh || !this.unitConverter || changedTime !== this.unitConverterChangedTime) {
+      const loading = UnitConverter.load(this, { cache: !refresh });
+      // Don't keep a failed load around, the next call retries
+      loading.catch(() => {
+        if (this.unitConverter === loading) this.unitConverter = null;
+      });
+      this.unitConverter = loading;
+      this.unitConverterChangedTime = changedTime;
+    }
+    return abortable(this.unitConverter, requestOptions.signal);
   }
 
   /**
    * Add product to stock
    * @param {number} productId - Product ID
-   * @param {Object} data - Stock data
+   * @param {Object} data - Stock data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Stock log entries
    */
-  async addProductToStock(productId, data) {
-    return this.request(`/stock/products/${productId}/add`, 'POST', data);
+  async addProductToStock(productId, data, requestOptions = {}) {
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'add', data), requestOptions);
+
+    return this.request(`/stock/products/${productId}/add`, 'POST', stockData, {}, requestOptions);
   }
 
   /**
    * Add product to stock by barcode
    * @param {string} barcode - Product barcode
-   * @param {Object} data - Stock data
+   * @param {Object} data - Stock data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Stock log entries
    */
-  async addProductToStockByBarcode(barcode, data) {
-    return this.request(`/stock/products/by-barcode/${barcode}/add`, 'POST', data);
+  async addProductToStockByBarcode(barcode, data, requestOptions = {}) {
+    const productId = async () => (await this.getProductByBarcode(barcode, requestOptions)).product.id;
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'add', data), requestOptions);
+
+    return this.request(`/stock/products/by-barcode/${barcode}/add`, 'POST', stockData, {}, requestOptions);
   }
 
   /**
    * Consume product from stock
    * @param {number} productId - Product ID
-   * @param {Object} data - Consumption data
+   * @param {Object} data - Consumption data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Stock log entries
    */
-  async consumeProduct(productId, data) {
-    return this.request(`/stock/products/${productId}/consume`, 'POST', data);
+  async consumeProduct(productId, data, requestOptions = {}) {
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'consume', data), requestOptions);
+
+    return this.request(`/stock/products/${productId}/consume`, 'POST', stockData, {}, requestOptions);
   }
 
   /**
    * Consume product from stock by barcode
    * @param {string} barcode - Product barcode
-   * @param {Object} data - Consumption data
+   * @param {Object} data - Consumption data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Stock log entries
    */
-  async consumeProductByBarcode(barcode, data) {
-    return this.request(`/stock/products/by-barcode/${barcode}/consume`, 'POST', data);
+  async consumeProductByBarcode(barcode, data, requestOptions = {}) {
+    const productId = async () => (await this.getProductByBarcode(barcode, requestOptions)).product.id;
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'consume', data), requestOptions);
+
+    return this.request(`/stock/products/by-barcode/${barcode}/consume`, 'POST', stockData, {}, requestOptions);
   }
 
   /**
    * Transfer product between locations
    * @param {number} productId - Product ID
-   * @param {Object} data - Transfer data
+   * @param {Object} data - Transfer data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock log entries
+   */
+  async transferProduct(productId, data, requestOptions = {}) {
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'transfer', data), requestOptions);
+
+    return this.request(`/stock/products/${productId}/transfer`, 'POST', stockData, {}, requestOptions);
+  }
+
+  /**
+   * Transfer product between locations by barcode
+   * @param {string} barcode - Product barcode
+   * @param {Object} data - Transfer data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock log entries
+   */
+  async transferProductByBarcode(barcode, data, requestOptions = {}) {
+    const productId = async () => (await this.getProductByBarcode(barcode, requestOptions)).product.id;
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'transfer', data), requestOptions);
+
+    return this.request(`/stock/products/by-barcode/${barcode}/transfer`, 'POST', stockData, {}, requestOptions);
+  }
+
+  /**
+   * Inventory product (set new amount)
+   * @param {number} productId - Product ID
+   * @param {Object} data - Inventory data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock log entries
+   */
+  async inventoryProduct(productId, data, requestOptions = {}) {
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'inventory', data), requestOptions);
+
+    return this.request(`/stock/products/${productId}/inventory`, 'POST', stockData, {}, requestOptions);
+  }
+
+  /**
+   * Inventory product (set new amount) by barcode
+   * @param {string} barcode - Product barcode
+   * @param {Object} data - Inventory data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock log entries
+   */
+  async inventoryProductByBarcode(barcode, data, requestOptions = {}) {
+    const productId = async () => (await this.getProductByBarcode(barcode, requestOptions)).product.id;
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'inventory', data), requestOptions);
+
+    return this.request(`/stock/products/by-barcode/${barcode}/inventory`, 'POST', stockData, {}, requestOptions);
+  }
+
+  /**
+   * Mark product as opened
+   * @param {number} productId - Product ID
+   * @param {Object} data - Open data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock log entries
+   */
+  async openProduct(productId, data, requestOptions = {}) {
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'open', data), requestOptions);
+
+    return this.request(`/stock/products/${productId}/open`, 'POST', stockData, {}, requestOptions);
+  }
+
+  /**
+   * Mark product as opened by barcode
+   * @param {string} barcode - Product barcode
+   * @param {Object} data - Open data, amounts in the product's stock unit or in `unit` (name or ID)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Stock log entries
    */
-  async transferProduct(productId, data) {
-    return this.request(`/stock/products/${productId}/transfer`, 'POST', data);
+  async openProductByBarcode(barcode, data, requestOptions = {}) {
+    const productId = async () => (await this.getProductByBarcode(barcode, requestOptions)).product.id;
+    const stockData = await toStockUnits(this, productId, checkStockData(this, 'open', data), requestOptions);
+
+    return this.request(`/stock/products/by-barcode/${barcode}/open`, 'POST', stockData, {}, requestOptions);
+  }
+
+  /**
+   * Merge two products: the stock, barcodes and references of the removed product move to the kept one
+   * @param {number} productIdToKeep - ID of the product to keep
+   * @param {number} productIdToRemove - ID of the product to merge into it and delete
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async mergeProducts(productIdToKeep, productIdToRemove, requestOptions = {}) {
+    const endpoint = `/stock/products/${productIdToKeep}/merge/${productIdToRemove}`;
+
+    return this.request(endpoint, 'POST', null, {}, requestOptions);
+  }
+
+  /**
+   * Get the bookings of a stock transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Stock log entries
+   */
+  async getStockTransaction(transactionId, requestOptions = {}) {
+    return this.request(`/stock/transactions/${transactionId}`, 'GET', null, {}, requestOptions);
+  }
+
+  /**
+   * Undo a stock transaction (all bookings of a stock action)
+   * @param {string} transactionId - Transaction ID, as found in the stock log entries of the action
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async undoStockTransaction(transactionId, requestOptions = {}) {
+    const result = await this.request(`/stock/transactions/${transactionId}/undo`, 'POST', null, {}, requestOptions);
+    this.transactions = this.transactions.filter((transaction) => transaction.transactionId !== transactionId);
+    return result;
   }
 
   /**
-   * Inventory product (set new amount)
-   * @param {number} productId - Product ID
-   * @param {Object} data - Inventory data
-   * @returns {Promise<Array>} - Stock log entries
+   * Undo a single stock booking
+   * @param {number} bookingId - Booking ID (the ID of the stock log entry)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
    */
-  async inventoryProduct(productId, data) {
-    return this.request(`/stock/products/${productId}/inventory`, 'POST', data);
+  async undoStockBooking(bookingId, requestOptions = {}) {
+    const result = await this.request(`/stock/bookings/${bookingId}/undo`, 'POST', null, {}, requestOptions);
+    this.transactions = this.transactions
+      .map((transaction) => ({
+        ...transaction,
+        entries: transaction.entries.filter((entry) => Number(entry.id) !== Number(bookingId)),
+      }))
+      .filter((transaction) => transaction.entries.length > 0);
+    return result;
   }
 
   /**
-   * Mark product as opened
-   * @param {number} productId - Product ID
-   * @param {Object} data - Open data
-   * @returns {Promise<Array>} - Stock log entries
+   * Undo the most recent stock action made through this client that was not undone yet
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - The undone transaction ({ transactionId, endpoint, entries })
    */
-  async openProduct(productId, data) {
-    return this.request(`/stock/products/${productId}/open`, 'POST', data);
+  async undoLastAction(requestOptions = {}) {
+    const transaction = this.transactions.at(-1);
+    if (!transaction) {
+      throw new GrocyError('There is no stock action to undo');
+    }
+
+    await this.undoStockTransaction(transaction.transactionId, requestOptions);
+    return transaction;
   }
 
   // Shopping list endpoints
@@ -257,55 +4081,188 @@ export default class Grocy {
   /**
    * Add missing products to shopping list
    * @param {Object} data - Shopping list data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async addMissingProductsToShoppingList(data = {}) {
-    return this.request('/stock/shoppinglist/add-missing-products', 'POST', data);
+  async addMissingProductsToShoppingList(data = {}, requestOptions = {}) {
+    return this.request('/stock/shoppinglist/add-missing-products', 'POST', data, {}, requestOptions);
   }
 
   /**
    * Add overdue products to shopping list
    * @param {Object} data - Shopping list data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async addOverdueProductsToShoppingList(data = {}) {
-    return this.request('/stock/shoppinglist/add-overdue-products', 'POST', data);
+  async addOverdueProductsToShoppingList(data = {}, requestOptions = {}) {
+    return this.request('/stock/shoppinglist/add-overdue-products', 'POST', data, {}, requestOptions);
   }
 
   /**
    * Add expired products to shopping list
    * @param {Object} data - Shopping list data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async addExpiredProductsToShoppingList(data = {}) {
-    return this.request('/stock/shoppinglist/add-expired-products', 'POST', data);
+  async addExpiredProductsToShoppingList(data = {}, requestOptions = {}) {
+    return this.request('/stock/shoppinglist/add-expired-products', 'POST', data, {}, requestOptions);
   }
 
   /**
    * Clear shopping list
    * @param {Object} data - Shopping list data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async clearShoppingList(data = {}) {
-    return this.request('/stock/shoppinglist/clear', 'POST', data);
+  async clearShoppingList(data = {}, requestOptions = {}) {
+    return this.request('/stock/shoppinglist/clear', 'POST', data, {}, requestOptions);
   }
 
   /**
    * Add product to shopping list
    * @param {Object} data - Shopping list item data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async addProductToShoppingList(data) {
-    return this.request('/stock/shoppinglist/add-product', 'POST', data);
+  async addProductToShoppingList(data, requestOptions = {}) {
+    return this.request('/stock/shoppinglist/add-product', 'POST', data, {}, requestOptions);
   }
 
   /**
    * Remove product from shopping list
    * @param {Object} data - Shopping list item data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async removeProductFromShoppingList(data, requestOptions = {}) {
+    return this.request('/stock/shoppinglist/remove-product', 'POST', data, {}, requestOptions);
+  }
+
+  /**
+   * Get all shopping lists
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Shopping lists
+   */
+  async getShoppingLists(requestOptions = {}) {
+    return this.shoppingLists.list({}, requestOptions);
+  }
+
+  /**
+   * Get the items of a shopping list, each with its `product` and `quantity_unit` objects (null if not set)
+   * @param {number} listId - Shopping list ID (default 1)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Shopping list items
+   */
+  async getShoppingListItems(listId = 1, requestOptions = {}) {
+    const [items, products, quantityUnits] = await Promise.all([
+      this.shoppingList.list(where('shopping_list_id').eq(listId), requestOptions),
+      this.products.list({}, requestOptions),
+      this.quantityUnits.list({}, requestOptions),
+    ]);
+    const productsById = new Map(products.map((product) => [Number(product.id), product]));
+    const quantityUnitsById = new Map(quantityUnits.map((unit) => [Number(unit.id), unit]));
+
+    return items.map((item) => {
+      const product = productsById.get(Number(item.product_id)) ?? null;
+      const quantityUnitId = item.qu_id ?? product?.qu_id_purchase;
+      return { ...item, product, quantity_unit: quantityUnitsById.get(Number(quantityUnitId)) ?? null };
+    });
+  }
+
+  /**
+   * Mark a shopping list item as done or not done
+   * @param {number} itemId - Shopping list item ID
+   * @param {boolean} done - New state, toggles the current state if omitted
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<boolean>} - The new state
+   */
+  async setShoppingListItemDone(itemId, done, requestOptions = {}) {
+    const nextDone = done ?? Number((await this.shoppingList.get(itemId, requestOptions)).done) !== 1;
+    await this.shoppingList.update(itemId, { done: nextDone }, requestOptions);
+    return nextDone;
+  }
+
+  /**
+   * Move shopping list items to another shopping list
+   *
+   * If an item can't be moved, the items moved before it are moved back to their lists and the error is rethrown,
+   * with the failures to move an item back attached as `undoErrors`.
+   * @param {number|number[]} itemIds - Shopping list item ID(s)
+   * @param {number} listId - Target shopping list ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async removeProductFromShoppingList(data) {
-    return this.request('/stock/shoppinglist/remove-product', 'POST', data);
+  async moveShoppingListItems(itemIds, listId, requestOptions = {}) {
+    const lists = new Map(
+      (await this.shoppingList.list({}, requestOptions)).map((item) => [Number(item.id), item.shopping_list_id]),
+    );
+    const moved = [];
+    try {
+      for (const itemId of [itemIds].flat()) {
+        await this.shoppingList.update(itemId, { shopping_list_id: listId }, requestOptions);
+        moved.push(itemId);
+      }
+    } catch (error) {
+      // Without the caller's signal, the items have to go back even after an abort
+      const undoErrors = [];
+      for (const itemId of moved.reverse()) {
+        const data = { shopping_list_id: lists.get(Number(itemId)) };
+        await this.shoppingList.update(itemId, data, { timeout: requestOptions.timeout }).catch((undoError) => {
+          undoErrors.push(undoError);
+        });
+      }
+      if (undoErrors.length > 0 && error instanceof Error) {
+        error.undoErrors = undoErrors;
+      }
+      throw error;
+    }
+    return { success: true };
+  }
+
+  /**
+   * Add the products bought from a shopping list to stock as one purchase
+   *
+   * If a booking fails, the bookings made before it are undone, so either all items are purchased or none. If removing
+   * an item fails once everything is booked, the error is rethrown with the purchased items as `purchased` and the IDs
+   * of the items removed until then as `removed`, so the bookings can be undone or left out of a retry.
+   * @param {number} listId - Shopping list ID (default 1)
+   * @param {Object} options - Purchase options
+   * @param {boolean} options.doneOnly - Only purchase the items marked as done (default true)
+   * @param {boolean} options.remove - Remove the purchased items from the list (default true)
+   * @param {Object} options.data - Extra stock data for every booking (e.g. best_before_date, location_id)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Purchased items, each with the resulting stock log `entries`
+   */
+  async purchaseShoppingList(listId = 1, { doneOnly = true, remove = true, data = {} } = {}, requestOptions = {}) {
+    const items = (await this.shoppingList.list(where('shopping_list_id').eq(listId), requestOptions)).filter(
+      (item) => item.product_id && (!doneOnly || Number(item.done) === 1),
+    );
+
+    const bookings = items.map((item) => () => {
+      const stockData = { amount: Number(item.amount), transaction_type: 'purchase', ...data };
+      return this.addProductToStock(item.product_id, stockData, requestOptions);
+    });
+    const purchased = (await bookAllOrNothing(this, bookings, requestOptions)).map((entries, i) => ({
+      ...items[i],
+      entries,
+    }));
+
+    if (remove) {
+      const removed = [];
+      try {
+        for (const item of purchased) {
+          await this.shoppingList.delete(item.id, requestOptions);
+          removed.push(item.id);
+        }
+      } catch (error) {
+        if (error instanceof Error) {
+          error.purchased = purchased;
+          error.removed = removed;
+        }
+        throw error;
+      }
+    }
+    return purchased;
   }
 
   // Generic entity interactions
@@ -313,39 +4270,47 @@ export default class Grocy {
   /**
    * Get all objects of a given entity
    * @param {string} entity - Entity name
-   * @param {Object} options - Query options
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Entity objects
    */
-  async getObjects(entity, options = {}) {
-    const { query, order, limit, offset } = options;
-    const params = {};
+  async getObjects(entity, options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
 
-    if (query) params.query = query;
-    if (order) params.order = order;
-    if (limit) params.limit = limit;
-    if (offset) params.offset = offset;
+    return this.request(`/objects/${entity}`, 'GET', null, params, requestOptions);
+  }
 
-    return this.request(`/objects/${entity}`, 'GET', null, params);
+  /**
+   * Iterate over all objects of a given entity, fetching them page by page
+   * @param {string} entity - Entity name
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Entity objects
+   */
+  async *iterateObjects(entity, options = {}, requestOptions = {}) {
+    yield* paginate((params) => this.getObjects(entity, params, requestOptions), options);
   }
 
   /**
    * Add an object of a given entity
    * @param {string} entity - Entity name
    * @param {Object} data - Entity data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Created object info
    */
-  async addObject(entity, data) {
-    return this.request(`/objects/${entity}`, 'POST', data);
+  async addObject(entity, data, requestOptions = {}) {
+    return this.request(`/objects/${entity}`, 'POST', data, {}, requestOptions);
   }
 
   /**
    * Get a single object of a given entity
    * @param {string} entity - Entity name
    * @param {number} objectId - Object ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Entity object
    */
-  async getObject(entity, objectId) {
-    return this.request(`/objects/${entity}/${objectId}`);
+  async getObject(entity, objectId, requestOptions = {}) {
+    return this.request(`/objects/${entity}/${objectId}`, 'GET', null, {}, requestOptions);
   }
 
   /**
@@ -353,20 +4318,22 @@ export default class Grocy {
    * @param {string} entity - Entity name
    * @param {number} objectId - Object ID
    * @param {Object} data - Entity data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async editObject(entity, objectId, data) {
-    return this.request(`/objects/${entity}/${objectId}`, 'PUT', data);
+  async editObject(entity, objectId, data, requestOptions = {}) {
+    return this.request(`/objects/${entity}/${objectId}`, 'PUT', data, {}, requestOptions);
   }
 
   /**
    * Delete an object of a given entity
    * @param {string} entity - Entity name
    * @param {number} objectId - Object ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async deleteObject(entity, objectId) {
-    return this.request(`/objects/${entity}/${objectId}`, 'DELETE');
+  async deleteObject(entity, objectId, requestOptions = {}) {
+    return this.request(`/objects/${entity}/${objectId}`, 'DELETE', null, {}, requestOptions);
   }
 
   // Userfields
@@ -375,10 +4342,11 @@ export default class Grocy {
    * Get userfields for an object
    * @param {string} entity - Entity name
    * @param {number|string} objectId - Object ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Userfields
    */
-  async getUserfields(entity, objectId) {
-    return this.request(`/userfields/${entity}/${objectId}`);
+  async getUserfields(entity, objectId, requestOptions = {}) {
+    return this.request(`/userfields/${entity}/${objectId}`, 'GET', null, {}, requestOptions);
   }
 
   /**
@@ -386,10 +4354,257 @@ export default class Grocy {
    * @param {string} entity - Entity name
    * @param {number|string} objectId - Object ID
    * @param {Object} data - Userfields data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async setUserfields(entity, objectId, data) {
-    return this.request(`/userfields/${entity}/${objectId}`, 'PUT', data);
+  async setUserfields(entity, objectId, data, requestOptions = {}) {
+    return this.request(`/userfields/${entity}/${objectId}`, 'PUT', data, {}, requestOptions);
+  }
+
+  // Catalog import and export
+
+  /**
+   * Export the product catalog: locations, quantity units, product groups, stores (`shopping_locations`) and
+   * products with their barcodes
+   *
+   * Product references to locations, quantity units, product groups, stores and parent products are exported as
+   * names, so the catalog can be edited in a spreadsheet and imported into another Grocy instance.
+   * @param {Object} options - Export options
+   * @param {string} options.format - json (default) or csv
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<string|Object>} - JSON text, or an object with the CSV text of each table (barcodes of a
+   *   product comma separated)
+   */
+  async exportCatalog({ format = 'json' } = {}, requestOptions = {}) {
+    if (!CATALOG_FORMATS.includes(format)) {
+      throw new TypeError(`Unknown catalog format "${format}", expected one of ${CATALOG_FORMATS.join(', ')}`);
+    }
+
+    const stored = await loadCatalog(this, requestOptions);
+    const namesById = Object.fromEntries(
+      CATALOG_TABLES.map((table) => [table, new Map(stored[table].map((row) => [Number(row.id), row.name]))]),
+    );
+    const strip = (row) =>
+      Object.fromEntries(Object.entries(row).filter(([field]) => !MANAGED_FIELDS.includes(field)));
+
+    const catalog = Object.fromEntries(CATALOG_TABLES.map((table) => [table, stored[table].map(strip)]));
+    catalog.products = stored.products.map((product) => {
+      const row = strip(product);
+      Object.entries(CATALOG_REFERENCES).forEach(([field, table]) => {
+        if (row[field] !== null && row[field] !== undefined) {
+          row[field] = namesById[table].get(Number(row[field])) ?? row[field];
+        }
+      });
+      const barcodes = stored.product_barcodes
+        .filter((barcode) => Number(barcode.product_id) === Number(product.id))
+        .map((barcode) => barcode.barcode);
+      return { ...row, barcodes: format === 'csv' ? barcodes.join(',') : barcodes };
+    });
+
+    if (format === 'csv') {
+      return Object.fromEntries(CATALOG_TABLES.map((table) => [table, formatCsv(catalog[table])]));
+    }
+    return JSON.stringify(catalog, null, 2);
+  }
+
+  /**
+   * Import a product catalog as exported by exportCatalog(), creating what is missing and updating what changed
+   *
+   * Rows are matched by name (case-insensitive), products by one of their barcodes first. References to locations,
+   * quantity units, product groups, stores and parent products can be given by name or ID. Empty values are left
+   * unchanged. The whole catalog is checked before anything is written; writes that fail later are not rolled back.
+   * @param {string|Object} catalog - JSON text, or an object of tables with arrays of rows or CSV text
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Only compute the changes, don't write them (default false)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ dryRun, changes, summary }`, changes with `entity`, `action` (create, update or
+   *   unchanged), `name`, `id`, the changed fields (`{ from, to }`) and new product `barcodes`
+   */
+  async importCatalog(catalog, { dryRun = false } = {}, requestOptions = {}) {
+    const input = readCatalogInput(catalog);
+    // Parent products are planned before their sub-products, which refer to them (Grocy allows one level)
+    const hasParent = (row) => ![undefined, null, ''].includes(row.parent_product_id);
+    input.products = [...input.products.filter((row) => !hasParent(row)), ...input.products.filter(hasParent)];
+    const stored = await loadCatalog(this, requestOptions);
+    const problems = [];
+    const plans = [];
+
+    // Objects by name, planned ones included once they are seen so later rows can refer to them
+    const byName = Object.fromEntries(
+      CATALOG_TABLES.map((table) => [
+        table,
+        new Map(stored[table].map((row) => [getNameKey(row.name), { id: Number(row.id), name: row.name, row }])),
+      ]),
+    );
+    const productIdsByBarcode = new Map(
+      stored.product_barcodes.map((barcode) => [String(barcode.barcode), Number(barcode.product_id)]),
+    );
+    const importedBarcodes = new Set();
+
+    for (const table of CATALOG_TABLES) {
+      const names = new Set();
+      input[table].forEach((row, index) => {
+        const data = Object.fromEntries(
+          Object.entries(row).filter(
+            ([field, value]) =>
+              !MANAGED_FIELDS.includes(field) && field !== 'barcodes' && value !== undefined && value !== '',
+          ),
+        );
+        const name = String(data.name ?? '').trim();
+        const label = name ? `${table} "${name}"` : `${table} row ${index + 1}`;
+        if (!name) {
+          problems.push(`${label}: name is required`);
+          return;
+        }
+        if (names.has(getNameKey(name))) {
+          problems.push(`${label}: listed more than once`);
+          return;
+        }
+        names.add(getNameKey(name));
+
+        // Resolve references given by name
+        const references = {};
+        const namedFields = new Set();
+        if (table === 'products') {
+          Object.entries(CATALOG_REFERENCES).forEach(([field, target]) => {
+            const value = data[field];
+            if (value === undefined || value === null || /^\d+$/.test(String(value))) return;
+            namedFields.add(field);
+            const match = byName[target].get(getNameKey(value));
+            if (match) {
+              references[field] = match;
+            } else {
+              problems.push(`${label}: unknown ${target} "${value}" for ${field}`);
+            }
+          });
+        }
+
+        try {
+          const fields = Object.fromEntries(Object.entries(data).filter(([field]) => !namedFields.has(field)));
+          Object.assign(data, this.entity(table).validate(fields));
+        } catch (error) {
+          if (!(error instanceof GrocyInputError)) throw error;
+          problems.push(`${label}: ${error.problems.join(', ')}`);
+        }
+
+        // Match existing objects, products by barcode first
+        const barcodes = (Array.isArray(row.barcodes) ? row.barcodes : String(row.barcodes ?? '').split(','))
+          .map((barcode) => String(barcode).trim())
+          .filter(Boolean);
+        let existing = null;
+        const barcodeProductIds = new Set(barcodes.map((barcode) => productIdsByBarcode.get(barcode)).filter(Boolean));
+        if (barcodeProductIds.size > 1) {
+          problems.push(`${label}: barcodes belong to different products`);
+        } else if (barcodeProductIds.size === 1) {
+          const [productId] = barcodeProductIds;
+          existing = stored.products.find((product) => Number(product.id) === productId) ?? null;
+        }
+        existing ??= byName[table].get(getNameKey(name))?.row ?? null;
+
+        const newBarcodes = barcodes.filter((barcode) => !productIdsByBarcode.has(barcode));
+        newBarcodes.forEach((barcode) => {
+          if (importedBarcodes.has(barcode)) {
+            problems.push(`${label}: barcode ${barcode} is listed for another product`);
+          }
+          importedBarcodes.add(barcode);
+        });
+
+        const changes = {};
+        Object.entries(data).forEach(([field, value]) => {
+          // References to objects that are yet to be created have no ID to compare
+          const reference = references[field];
+          const resolved = reference ? reference.id : value;
+          if (!existing || resolved === null || !isSameValue(existing[field], resolved)) {
+            changes[field] = { from: existing?.[field] ?? null, to: resolved ?? reference.name };
+          }
+        });
+
+        let action = 'create';
+        if (existing) {
+          action = Object.keys(changes).length > 0 || newBarcodes.length > 0 ? 'update' : 'unchanged';
+        }
+        const change = { entity: table, action, name, id: existing ? Number(existing.id) : null, changes };
+        if (table === 'products') {
+          change.barcodes = newBarcodes;
+        }
+        if (!existing) {
+          byName[table].set(getNameKey(name), { id: null, name, change });
+        }
+        plans.push({ change, data, references, newBarcodes });
+      });
+    }
+
+    if (problems.length > 0) {
+      throw new GrocyInputError(`Invalid catalog: ${problems.join('; ')}`, { problems });
+    }
+
+    if (!dryRun) {
+      for (const { change, data, references, newBarcodes } of plans) {
+        const values = Object.fromEntries(
+          Object.keys(change.changes).map((field) => {
+            const reference = references[field];
+            return [field, reference ? (reference.id ?? reference.change.id) : data[field]];
+          }),
+        );
+        if (change.action === 'create') {
+          const { created_object_id: id } = await this.addObject(change.entity, values, requestOptions);
+          change.id = Number(id);
+        } else if (Object.keys(values).length > 0) {
+          await this.editObject(change.entity, change.id, values, requestOptions);
+        }
+        for (const barcode of newBarcodes) {
+          await this.addObject('product_barcodes', { product_id: change.id, barcode }, requestOptions);
+        }
+      }
+    }
+
+    const changes = plans.map(({ change }) => change);
+    const count = (action) => changes.filter((change) => change.action === action).length;
+    return {
+      dryRun,
+      changes,
+      summary: { create: count('create'), update: count('update'), unchanged: count('unchanged') },
+    };
+  }
+
+  // Backup and restore
+
+  /**
+   * Back up the whole instance: all objects, userfield values and the files objects refer to (product and recipe
+   * pictures, equipment manuals), with the Grocy version of the instance
+   *
+   * The directory gets a backup.json manifest and the files under files/<group>/, named by their URL encoded file
+   * name. Files are streamed to disk, not held in memory.
+   * @param {string} directory - Backup directory, created if needed
+   * @param {Object} options - Backup options
+   * @param {boolean} options.files - Include files (default true)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ directory, grocyVersion, entities, userfields, files, missingFiles }`, entities
+   *   with the number of objects of each, missingFiles listing files objects refer to that don't exist
+   */
+  async backup(directory, options = {}, requestOptions = {}) {
+    return createBackup(this, directory, options, requestOptions);
+  }
+
+  /**
+   * Restore a backup into an empty instance running the same Grocy version
+   *
+   * Objects are created in dependency order and get new IDs, references between them are remapped. Users are not
+   * restored; objects assigned to a user are assigned to the user of the same name, if there is one. References that
+   * can't be remapped are cleared and listed in `unresolved`. Stock is booked again from the backed up stock entries;
+   * stock, chore and battery logs are not restored. Nothing is rolled back if a write fails: the error is rethrown
+   * with the summary of what was restored until then as `restored`. Files are streamed from the backup directory.
+   * @param {string} directory - Backup directory written by backup()
+   * @param {Object} options - Restore options
+   * @param {boolean} options.files - Restore files (default true)
+   * @param {boolean} options.ignoreVersion - Restore even if the Grocy versions differ (default false)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ grocyVersion, entities, stock, userfields, files, ids, unresolved }`, ids mapping
+   *   the backed up IDs to the new ones by entity, unresolved listing `{ entity, id, field, value }` per cleared
+   *   reference
+   */
+  async restore(directory, options = {}, requestOptions = {}) {
+    return restoreBackup(this, directory, options, requestOptions);
   }
 
   // File endpoints
@@ -399,10 +4614,11 @@ export default class Grocy {
    * @param {string} group - File group
    * @param {string} fileName - File name (BASE64 encoded)
    * @param {Object} options - Additional options
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - File data
    */
-  async getFile(group, fileName, options = {}) {
-    return this.request(`/files/${group}/${fileName}`, 'GET', null, options);
+  async getFile(group, fileName, options = {}, requestOptions = {}) {
+    return this.request(`/files/${group}/${fileName}`, 'GET', null, options, requestOptions);
   }
 
   /**
@@ -410,125 +4626,204 @@ export default class Grocy {
    * @param {string} group - File group
    * @param {string} fileName - File name (BASE64 encoded)
    * @param {Blob|File} fileData - File data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async uploadFile(group, fileName, fileData) {
-    const url = new URL(`${this.baseUrl}/files/${group}/${fileName}`);
+  async uploadFile(group, fileName, fileData, requestOptions = {}) {
+    await this.request(`/files/${group}/${fileName}`, 'PUT', fileData, {}, requestOptions);
+    return { success: true };
+  }
 
-    const options = {
-      method: 'PUT',
-      headers: {
-        'GROCY-API-KEY': this.apiKey,
-      },
-      body: fileData,
-    };
+  /**
+   * Delete a file
+   * @param {string} group - File group
+   * @param {string} fileName - File name (BASE64 encoded)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async deleteFile(group, fileName, requestOptions = {}) {
+    return this.request(`/files/${group}/${fileName}`, 'DELETE', null, {}, requestOptions);
+  }
 
-    try {
-      const response = await fetch(url, options);
+  /**
+   * Download a file by its plain file name
+   * @param {string} group - File group (e.g. productpictures, recipepictures, equipmentmanuals)
+   * @param {string} fileName - File name
+   * @param {Object} options - Download options
+   * @param {string} options.as - What to return the content as: buffer (default), blob or stream
+   * @param {string} options.forceServeAs - Serve the file as this type, e.g. picture
+   * @param {number} options.bestFitWidth - Resize a picture to fit this width
+   * @param {number} options.bestFitHeight - Resize a picture to fit this height
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ data, contentType, fileName }`, data as Buffer, Blob or ReadableStream
+   */
+  async downloadFile(group, fileName, options = {}, requestOptions = {}) {
+    const { as = 'buffer', bestFitWidth, bestFitHeight } = options;
+    if (!Object.hasOwn(FILE_READERS, as)) {
+      const expected = Object.keys(FILE_READERS).join(', ');
+      throw new TypeError(`Unknown file content type "${as}", expected one of ${expected}`);
+    }
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error_message || `HTTP error! status: ${response.status}`);
-      }
+    // Grocy only resizes files served as pictures
+    const resize = bestFitWidth !== undefined || bestFitHeight !== undefined;
+    const params = {
+      force_serve_as: options.forceServeAs ?? (resize ? 'picture' : undefined),
+      best_fit_width: bestFitWidth,
+      best_fit_height: bestFitHeight,
+    };
+    const endpoint = `/files/${group}/${encodeFileName(fileName)}`;
+    // The content is read within the request, so the timeout and the signal also cover the download itself
+    let contentType = null;
+    const data = await this.request(endpoint, 'GET', null, params, {
+      ...requestOptions,
+      read: (response) => {
+        contentType = response.headers?.get('content-type') ?? null;
+        return FILE_READERS[as](response);
+      },
+    });
+    return { data, contentType, fileName };
+  }
 
-      return { success: true };
-    } catch (error) {
-      throw new Error(`Failed to upload file: ${error.message}`);
+  /**
+   * Upload a file by its plain file name, replacing an existing file of that name
+   * @param {string} group - File group
+   * @param {string} fileName - File name
+   * @param {Blob|ArrayBuffer|Uint8Array|ReadableStream} fileData - File content
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async putFile(group, fileName, fileData, requestOptions = {}) {
+    if (!isBinaryBody(fileData)) {
+      throw new TypeError('The file data must be a Blob, ArrayBuffer, typed array or ReadableStream');
     }
+
+    return this.uploadFile(group, encodeFileName(fileName), fileData, requestOptions);
   }
 
   /**
-   * Delete a file
+   * Delete a file by its plain file name
    * @param {string} group - File group
-   * @param {string} fileName - File name (BASE64 encoded)
+   * @param {string} fileName - File name
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async deleteFile(group, fileName) {
-    return this.request(`/files/${group}/${fileName}`, 'DELETE');
+  async removeFile(group, fileName, requestOptions = {}) {
+    return this.deleteFile(group, encodeFileName(fileName), requestOptions);
+  }
+
+  /**
+   * Upload a picture for a product and make it the product's picture
+   * @param {number} productId - Product ID
+   * @param {Blob|File|ArrayBuffer|Uint8Array|ReadableStream} file - Picture
+   * @param {Object} options - Upload options
+   * @param {string} options.fileName - File name (default: the name of a File)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ fileName }` of the stored picture
+   */
+  async uploadProductPicture(productId, file, { fileName = file?.name } = {}, requestOptions = {}) {
+    if (!fileName) {
+      throw new TypeError('A file name is required unless the picture is a File');
+    }
+
+    await this.putFile('productpictures', fileName, file, requestOptions);
+    await this.products.update(productId, { picture_file_name: fileName }, requestOptions);
+    return { fileName };
   }
 
   // User management endpoints
 
   /**
    * Get all users
-   * @param {Object} options - Query options
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Users
    */
-  async getUsers(options = {}) {
-    const { query, order, limit, offset } = options;
-    const params = {};
+  async getUsers(options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
 
-    if (query) params.query = query;
-    if (order) params.order = order;
-    if (limit) params.limit = limit;
-    if (offset) params.offset = offset;
+    return this.request('/users', 'GET', null, params, requestOptions);
+  }
 
-    return this.request('/users', 'GET', null, params);
+  /**
+   * Iterate over all users, fetching them page by page
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Users
+   */
+  async *iterateUsers(options = {}, requestOptions = {}) {
+    yield* paginate((params) => this.getUsers(params, requestOptions), options);
   }
 
   /**
    * Create a new user
    * @param {Object} data - User data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async createUser(data) {
-    return this.request('/users', 'POST', data);
+  async createUser(data, requestOptions = {}) {
+    return this.request('/users', 'POST', data, {}, requestOptions);
   }
 
   /**
    * Edit a user
    * @param {number} userId - User ID
    * @param {Object} data - User data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async editUser(userId, data) {
-    return this.request(`/users/${userId}`, 'PUT', data);
+  async editUser(userId, data, requestOptions = {}) {
+    return this.request(`/users/${userId}`, 'PUT', data, {}, requestOptions);
   }
 
   /**
    * Delete a user
    * @param {number} userId - User ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async deleteUser(userId) {
-    return this.request(`/users/${userId}`, 'DELETE');
+  async deleteUser(userId, requestOptions = {}) {
+    return this.request(`/users/${userId}`, 'DELETE', null, {}, requestOptions);
   }
 
   // Current user endpoints
 
   /**
    * Get current user
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Current user info
    */
-  async getCurrentUser() {
-    return this.request('/user');
+  async getCurrentUser(requestOptions = {}) {
+    return this.request('/user', 'GET', null, {}, requestOptions);
   }
 
   /**
    * Get current user settings
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - User settings
    */
-  async getUserSettings() {
-    return this.request('/user/settings');
+  async getUserSettings(requestOptions = {}) {
+    return this.request('/user/settings', 'GET', null, {}, requestOptions);
   }
 
   /**
    * Get a specific user setting
    * @param {string} settingKey - Setting key
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Setting value
    */
-  async getUserSetting(settingKey) {
-    return this.request(`/user/settings/${settingKey}`);
+  async getUserSetting(settingKey, requestOptions = {}) {
+    return this.request(`/user/settings/${settingKey}`, 'GET', null, {}, requestOptions);
   }
 
   /**
    * Set a user setting
    * @param {string} settingKey - Setting key
    * @param {Object} data - Setting data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async setUserSetting(settingKey, data) {
-    return this.request(`/user/settings/${settingKey}`, 'PUT', data);
+  async setUserSetting(settingKey, data, requestOptions = {}) {
+    return this.request(`/user/settings/${settingKey}`, 'PUT', data, {}, requestOptions);
   }
 
   // Recipe endpoints
@@ -537,176 +4832,673 @@ export default class Grocy {
    * Add missing recipe products to shopping list
    * @param {number} recipeId - Recipe ID
    * @param {Object} data - Additional options
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async addRecipeProductsToShoppingList(recipeId, data = {}) {
-    return this.request(`/recipes/${recipeId}/add-not-fulfilled-products-to-shoppinglist`, 'POST', data);
+  async addRecipeProductsToShoppingList(recipeId, data = {}, requestOptions = {}) {
+    return this.request(
+      `/recipes/${recipeId}/add-not-fulfilled-products-to-shoppinglist`,
+      'POST',
+      data,
+      {},
+      requestOptions,
+    );
   }
 
   /**
    * Get recipe fulfillment information
    * @param {number} recipeId - Recipe ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Recipe fulfillment info
    */
-  async getRecipeFulfillment(recipeId) {
-    return this.request(`/recipes/${recipeId}/fulfillment`);
+  async getRecipeFulfillment(recipeId, requestOptions = {}) {
+    return this.request(`/recipes/${recipeId}/fulfillment`, 'GET', null, {}, requestOptions);
   }
 
   /**
    * Consume all recipe ingredients
    * @param {number} recipeId - Recipe ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async consumeRecipe(recipeId) {
-    return this.request(`/recipes/${recipeId}/consume`, 'POST');
+  async consumeRecipe(recipeId, requestOptions = {}) {
+    return this.request(`/recipes/${recipeId}/consume`, 'POST', null, {}, requestOptions);
+  }
+
+  /**
+   * Consume a recipe's ingredients scaled to a number of servings, optionally leaving some out
+   *
+   * The scaled ingredients (including those of nested recipes) are consumed one by one; if one fails, the ones
+   * consumed before it are undone.
+   * @param {number} recipeId - Recipe ID
+   * @param {Object} options - Consume options
+   * @param {number} options.servings - Servings to consume, may be partial (e.g. 0.5; default the desired servings)
+   * @param {number[]} options.excludeProductIds - Products not to consume
+   * @param {number[]} options.excludeIngredientIds - Ingredients (`recipes_pos` IDs) not to consume
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - `{ product_id, amount, entries }` per consumed ingredient
+   */
+  async consumeRecipePartially(recipeId, options = {}, requestOptions = {}) {
+    const { servings, excludeProductIds = [], excludeIngredientIds = [] } = options;
+    const excludedProducts = new Set(excludeProductIds.map(Number));
+    const excludedIngredients = new Set(excludeIngredientIds.map(Number));
+    const converter = await this.getUnitConverter({}, requestOptions);
+    const ingredients = (await getScaledIngredients(this, converter, recipeId, servings, requestOptions)).filter(
+      (ingredient) =>
+        Number(ingredient.not_check_stock_fulfillment) !== 1 &&
+        !excludedProducts.has(Number(ingredient.product_id)) &&
+        !excludedIngredients.has(Number(ingredient.id)),
+    );
+
+    const bookings = ingredients.map((ingredient) => () => {
+      const data = { amount: ingredient.amount, transaction_type: 'consume', recipe_id: recipeId };
+      return this.consumeProduct(ingredient.product_id, data, requestOptions);
+    });
+    const booked = await bookAllOrNothing(this, bookings, requestOptions);
+    return ingredients.map((ingredient, i) => ({
+      product_id: Number(ingredient.product_id),
+      amount: ingredient.amount,
+      entries: booked[i],
+    }));
+  }
+
+  /**
+   * Start building a new recipe, or an update of an existing one when `recipe.id` is set, see RecipeBuilder
+   * @param {Object} recipe - Recipe fields, plus optional `ingredients` and `nestings` arrays
+   * @returns {RecipeBuilder} - Recipe builder
+   */
+  buildRecipe(recipe = {}) {
+    return new RecipeBuilder(this, recipe);
+  }
+
+  /**
+   * Load a recipe with its ingredients and nestings into a RecipeBuilder to edit it
+   * @param {number} recipeId - Recipe ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<RecipeBuilder>} - Recipe builder
+   */
+  async loadRecipe(recipeId, requestOptions = {}) {
+    const [recipe, ingredients, nestings] = await Promise.all([
+      this.recipes.get(recipeId, requestOptions),
+      this.recipesPos.list(where('recipe_id').eq(recipeId), requestOptions),
+      this.recipesNestings.list(where('recipe_id').eq(recipeId), requestOptions),
+    ]);
+    const editable = ({ row_created_timestamp: created, ...fields }) => fields;
+
+    return new RecipeBuilder(this, {
+      ...editable(recipe),
+      ingredients: ingredients.map(editable),
+      nestings: nestings.map(editable),
+    });
+  }
+
+  /**
+   * Get a recipe with its ingredient amounts scaled to a number of servings
+   *
+   * Ingredient amounts are stored in the product's stock quantity unit; `display_amount` is the scaled amount
+   * converted to the ingredient's quantity unit (`display_qu_id`), or the stock amount if no conversion is defined.
+   * @param {number} recipeId - Recipe ID
+   * @param {number} servings - Servings (default: the recipe's desired servings)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ recipe, servings, factor, ingredients, nestings }`, ingredients with their
+   *   `product`, scaled `amount`, `display_amount` and `display_qu_id`, nestings with scaled `servings`
+   */
+  async getScaledRecipe(recipeId, servings, requestOptions = {}) {
+    const converter = await this.getUnitConverter({}, requestOptions);
+    return scaleRecipe(this, converter, recipeId, servings, requestOptions);
   }
 
   /**
    * Get all recipes fulfillment
-   * @param {Object} options - Query options
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Recipes fulfillment
    */
-  async getAllRecipesFulfillment(options = {}) {
-    const { query, order, limit, offset } = options;
-    const params = {};
+  async getAllRecipesFulfillment(options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
+
+    return this.request('/recipes/fulfillment', 'GET', null, params, requestOptions);
+  }
+
+  /**
+   * Iterate over the fulfillment of all recipes, fetching it page by page
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Recipes fulfillment
+   */
+  async *iterateRecipesFulfillment(options = {}, requestOptions = {}) {
+    yield* paginate((params) => this.getAllRecipesFulfillment(params, requestOptions), options);
+  }
+
+  // Meal plan endpoints
+
+  /**
+   * Get the meal plan entries between two days
+   * @param {Date|string} from - First day (Date or YYYY-MM-DD)
+   * @param {Date|string} to - Last day (Date or YYYY-MM-DD)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Array>} - Meal plan entries, ordered by day
+   */
+  async getMealPlan(from, to, requestOptions = {}) {
+    const query = where('day').gte(parseDay(from)).and('day').lte(parseDay(to)).orderBy('day');
+
+    return this.mealPlan.list(query, requestOptions);
+  }
+
+  /**
+   * Get the meal plan of a week
+   * @param {Date|string} date - Any day of the week (default today)
+   * @param {Object} options - Week options
+   * @param {number} options.weekStart - First day of the week (0 = Sunday, 1 = Monday, default 1)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ from, to, sections, days }`, `days` holding `{ day, entries }` for each day
+   */
+  async getMealPlanWeek(date = new Date(), { weekStart = 1 } = {}, requestOptions = {}) {
+    const { from, to, days } = getWeekRange(date, weekStart);
+    const [entries, sections] = await Promise.all([
+      this.getMealPlan(from, to, requestOptions),
+      this.mealPlanSections.list({}, requestOptions),
+    ]);
+
+    return {
+      from,
+      to,
+      sections,
+      days: days.map((day) => ({ day, entries: entries.filter((entry) => entry.day === day) })),
+    };
+  }
+
+  /**
+   * Add a recipe to the meal plan
+   * @param {Date|string} day - Day (Date or YYYY-MM-DD)
+   * @param {number} recipeId - Recipe ID
+   * @param {Object} options - Entry options
+   * @param {number} options.servings - Servings (default 1)
+   * @param {number} options.sectionId - Meal plan section ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Created object ID
+   */
+  async addRecipeToMealPlan(day, recipeId, { servings = 1, sectionId } = {}, requestOptions = {}) {
+    const entry = { day: parseDay(day), type: 'recipe', recipe_id: recipeId, recipe_servings: servings };
+
+    return this.mealPlan.create(sectionId === undefined ? entry : { ...entry, section_id: sectionId }, requestOptions);
+  }
+
+  /**
+   * Add a product to the meal plan
+   * @param {Date|string} day - Day (Date or YYYY-MM-DD)
+   * @param {number} productId - Product ID
+   * @param {Object} options - Entry options
+   * @param {number} options.amount - Amount in the product's stock quantity unit (default 1)
+   * @param {number} options.quId - Quantity unit ID to display the amount in
+   * @param {number} options.sectionId - Meal plan section ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Created object ID
+   */
+  async addProductToMealPlan(day, productId, { amount = 1, quId, sectionId } = {}, requestOptions = {}) {
+    const entry = { day: parseDay(day), type: 'product', product_id: productId, product_amount: amount };
+    if (quId !== undefined) entry.product_qu_id = quId;
+    if (sectionId !== undefined) entry.section_id = sectionId;
+
+    return this.mealPlan.create(entry, requestOptions);
+  }
+
+  /**
+   * Add a note to the meal plan
+   * @param {Date|string} day - Day (Date or YYYY-MM-DD)
+   * @param {string} note - Note
+   * @param {Object} options - Entry options
+   * @param {number} options.sectionId - Meal plan section ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Created object ID
+   */
+  async addNoteToMealPlan(day, note, { sectionId } = {}, requestOptions = {}) {
+    const entry = { day: parseDay(day), type: 'note', note };
+
+    return this.mealPlan.create(sectionId === undefined ? entry : { ...entry, section_id: sectionId }, requestOptions);
+  }
+
+  /**
+   * Get what a week's meal plan needs from the stock, combined per product
+   *
+   * Planned recipes are scaled to their planned servings (nested recipes included) and their ingredients are added
+   * up with the planned products, in the products' stock units. The totals are then compared against the stock and
+   * the items on all shopping lists. Ingredients marked `not_check_stock_fulfillment` are left out, as Grocy does.
+   *
+   * This doesn't combine getRecipeFulfillment() results: Grocy checks a recipe at its own desired servings rather
+   * than the planned ones, and checks every recipe against the whole stock, so a product two planned recipes share
+   * would count as covered by the same stock twice.
+   * @param {Date|string} date - Any day of the week (default today)
+   * @param {Object} options - Week options
+   * @param {number} options.weekStart - First day of the week (0 = Sunday, 1 = Monday, default 1)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ from, to, entries, products, need_fulfilled, need_fulfilled_with_shopping_list,
+   *   missing_products_count }`, `entries` being all meal plan entries of the week and `products` holding
+   *   `{ product_id, amount, stock_amount, shopping_list_amount, missing_amount, missing_amount_with_shopping_list }`
+   *   for each needed product
+   */
+  async getMealPlanFulfillment(date = new Date(), { weekStart = 1 } = {}, requestOptions = {}) {
+    const { from, to } = getWeekRange(date, weekStart);
+    const entries = await this.getMealPlan(from, to, requestOptions);
+
+    const needed = new Map();
+    const need = (productId, amount) => needed.set(productId, (needed.get(productId) ?? 0) + amount);
+    const planned = entries.filter((entry) => entry.type === 'recipe' && entry.recipe_id);
+    const converter = planned.length > 0 ? await this.getUnitConverter({}, requestOptions) : null;
+    for (const entry of entries) {
+      if (planned.includes(entry)) {
+        const ingredients = await getScaledIngredients(
+          this,
+          converter,
+          entry.recipe_id,
+          entry.recipe_servings,
+          requestOptions,
+        );
+        for (const ingredient of ingredients) {
+          if (ingredient.product_id && Number(ingredient.not_check_stock_fulfillment) !== 1) {
+            need(Number(ingredient.product_id), ingredient.amount);
+          }
+        }
+      } else if (entry.type === 'product' && entry.product_id) {
+        need(Number(entry.product_id), Number(entry.product_amount) || 0);
+      }
+    }
+
+    const [stock, listItems] =
+      needed.size === 0
+        ? [[], []]
+        : await Promise.all([this.getStock(requestOptions), this.shoppingList.list({}, requestOptions)]);
+    const total = (rows, amount) => {
+      const totals = new Map();
+      for (const row of rows) {
+        const productId = Number(row.product_id);
+        totals.set(productId, (totals.get(productId) ?? 0) + (Number(amount(row)) || 0));
+      }
+      return totals;
+    };
+    const inStock = total(stock, (entry) => entry.amount_aggregated ?? entry.amount);
+    const onList = total(listItems, (item) => item.amount);
+
+    const products = [...needed].map(([productId, amount]) => {
+      const stockAmount = inStock.get(productId) ?? 0;
+      const listAmount = onList.get(productId) ?? 0;
+      return {
+        product_id: productId,
+        amount,
+        stock_amount: stockAmount,
+        shopping_list_amount: listAmount,
+        missing_amount: Math.max(0, amount - stockAmount),
+        missing_amount_with_shopping_list: Math.max(0, amount - stockAmount - listAmount),
+      };
+    });
+    return {
+      from,
+      to,
+      entries,
+      products,
+      need_fulfilled: products.every((product) => product.missing_amount === 0),
+      need_fulfilled_with_shopping_list: products.every((product) => product.missing_amount_with_shopping_list === 0),
+      missing_products_count: products.filter((product) => product.missing_amount > 0).length,
+    };
+  }
 
-    if (query) params.query = query;
-    if (order) params.order = order;
-    if (limit) params.limit = limit;
-    if (offset) params.offset = offset;
+  /**
+   * Put everything a week's meal plan needs but the stock and the shopping lists do not cover on a shopping list
+   *
+   * The missing amounts are those of getMealPlanFulfillment(), so ingredients marked `not_check_stock_fulfillment`
+   * are not added. addRecipeProductsToShoppingList() isn't used as it adds each recipe's missing products on their
+   * own, which would put a product two planned recipes share on the list twice.
+   * @param {Date|string} date - Any day of the week (default today)
+   * @param {Object} options - Options
+   * @param {number} options.weekStart - First day of the week (0 = Sunday, 1 = Monday, default 1)
+   * @param {number} options.listId - Shopping list to add the products to (default 1)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ products }`: `{ product_id, amount }` of the products added to the shopping list
+   */
+  async addMealPlanToShoppingList(date = new Date(), { weekStart = 1, listId = 1 } = {}, requestOptions = {}) {
+    const fulfillment = await this.getMealPlanFulfillment(date, { weekStart }, requestOptions);
 
-    return this.request('/recipes/fulfillment', 'GET', null, params);
+    const products = [];
+    for (const { product_id: productId, missing_amount_with_shopping_list: missing } of fulfillment.products) {
+      if (missing > 0) {
+        await this.addProductToShoppingList(
+          { product_id: productId, list_id: listId, product_amount: missing },
+          requestOptions,
+        );
+        products.push({ product_id: productId, amount: missing });
+      }
+    }
+    return { products };
   }
 
   // Chores endpoints
 
   /**
    * Get all chores
-   * @param {Object} options - Query options
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Chores
    */
-  async getChores(options = {}) {
-    const { query, order, limit, offset } = options;
-    const params = {};
+  async getChores(options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
 
-    if (query) params.query = query;
-    if (order) params.order = order;
-    if (limit) params.limit = limit;
-    if (offset) params.offset = offset;
+    return this.request('/chores', 'GET', null, params, requestOptions);
+  }
 
-    return this.request('/chores', 'GET', null, params);
+  /**
+   * Iterate over all chores, fetching them page by page
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Chores
+   */
+  async *iterateChores(options = {}, requestOptions = {}) {
+    yield* paginate((params) => this.getChores(params, requestOptions), options);
   }
 
   /**
    * Get chore details
    * @param {number} choreId - Chore ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Chore details
    */
-  async getChoreDetails(choreId) {
-    return this.request(`/chores/${choreId}`);
+  async getChoreDetails(choreId, requestOptions = {}) {
+    return this.request(`/chores/${choreId}`, 'GET', null, {}, requestOptions);
   }
 
   /**
    * Execute a chore
    * @param {number} choreId - Chore ID
    * @param {Object} data - Execution data
+   * @param {Date|string} data.tracked_time - When the chore was done (default: now)
+   * @param {number} data.done_by - ID of the user who did it
+   * @param {boolean} data.skipped - Track the execution as skipped, to just move on to the next one
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Chore log entry
    */
-  async executeChore(choreId, data = {}) {
-    return this.request(`/chores/${choreId}/execute`, 'POST', data);
+  async executeChore(choreId, data = {}, requestOptions = {}) {
+    return this.request(`/chores/${choreId}/execute`, 'POST', formatTrackedTime(data), {}, requestOptions);
+  }
+
+  /**
+   * Undo a chore execution
+   * @param {number} executionId - Chore log entry ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async undoChoreExecution(executionId, requestOptions = {}) {
+    return this.request(`/chores/executions/${executionId}/undo`, 'POST', null, {}, requestOptions);
+  }
+
+  /**
+   * Recalculate who the next executions of chores are assigned to
+   * @param {Object} data - Options (`chore_id` to only recalculate one chore, default all)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async calculateNextChoreAssignments(data = {}, requestOptions = {}) {
+    return this.request('/chores/executions/calculate-next-assignments', 'POST', data, {}, requestOptions);
   }
 
   // Batteries endpoints
 
   /**
    * Get all batteries
-   * @param {Object} options - Query options
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Batteries
    */
-  async getBatteries(options = {}) {
-    const { query, order, limit, offset } = options;
-    const params = {};
+  async getBatteries(options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
 
-    if (query) params.query = query;
-    if (order) params.order = order;
-    if (limit) params.limit = limit;
-    if (offset) params.offset = offset;
+    return this.request('/batteries', 'GET', null, params, requestOptions);
+  }
 
-    return this.request('/batteries', 'GET', null, params);
+  /**
+   * Iterate over all batteries, fetching them page by page
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Batteries
+   */
+  async *iterateBatteries(options = {}, requestOptions = {}) {
+    yield* paginate((params) => this.getBatteries(params, requestOptions), options);
   }
 
   /**
    * Get battery details
    * @param {number} batteryId - Battery ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Battery details
    */
-  async getBatteryDetails(batteryId) {
-    return this.request(`/batteries/${batteryId}`);
+  async getBatteryDetails(batteryId, requestOptions = {}) {
+    return this.request(`/batteries/${batteryId}`, 'GET', null, {}, requestOptions);
   }
 
   /**
    * Charge a battery
    * @param {number} batteryId - Battery ID
-   * @param {Object} data - Charge data
+   * @param {Object} data - Charge data (`tracked_time` as Date or string, default now)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Battery charge cycle entry
    */
-  async chargeBattery(batteryId, data = {}) {
-    return this.request(`/batteries/${batteryId}/charge`, 'POST', data);
+  async chargeBattery(batteryId, data = {}, requestOptions = {}) {
+    return this.request(`/batteries/${batteryId}/charge`, 'POST', formatTrackedTime(data), {}, requestOptions);
+  }
+
+  /**
+   * Undo a battery charge cycle
+   * @param {number} chargeCycleId - Charge cycle ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - Success status
+   */
+  async undoBatteryChargeCycle(chargeCycleId, requestOptions = {}) {
+    return this.request(`/batteries/charge-cycles/${chargeCycleId}/undo`, 'POST', null, {}, requestOptions);
+  }
+
+  // Chore and battery planning
+
+  /**
+   * Get the chores and batteries due in a time window, sorted by due time and grouped by the user the next chore
+   * execution is assigned to
+   *
+   * Date-only chores are overdue from the day after they are due. Batteries and unassigned chores are grouped under
+   * `user_id` null.
+   * @param {Object} options - Planning options
+   * @param {Date|string} options.from - Start of the window (default: none, so everything overdue is included)
+   * @param {Date|string} options.to - End of the window, a YYYY-MM-DD day includes the whole day
+   *   (default: `days` from now)
+   * @param {number} options.days - Days to look ahead if `to` is not given (default 7)
+   * @param {Date} options.now - Current time to tell overdue items by (default: now)
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ from, to, items, overdue, upcoming, users: [{ user_id, user, items }] }`, items
+   *   with `type` (chore or battery), `id`, `name`, `due`, `overdue`, `days_until`, `user_id`, `user` and `record`
+   */
+  async getDueSchedule({ from = null, to, days = 7, now = new Date() } = {}, requestOptions = {}) {
+    const fromTime = from === null ? null : parseDateTime(from);
+    let toTime;
+    if (to === undefined) {
+      toTime = new Date(now.getTime() + days * 86400000);
+    } else if (typeof to === 'string' && DATE_PATTERN.test(to)) {
+      toTime = parseDay(to);
+      toTime.setDate(toTime.getDate() + 1);
+      toTime.setMilliseconds(-1);
+    } else {
+      toTime = parseDateTime(to);
+    }
+
+    const [chores, batteries, batteryObjects] = await Promise.all([
+      this.getChores({}, requestOptions),
+      this.getBatteries({}, requestOptions),
+      this.batteriesEntity.list({}, requestOptions),
+    ]);
+    const batteriesById = new Map(batteryObjects.map((battery) => [Number(battery.id), battery]));
+
+    const candidates = [
+      ...chores.map((chore) => ({
+        type: 'chore',
+        id: Number(chore.chore_id),
+        name: chore.chore_name ?? null,
+        due: chore.next_estimated_execution_time,
+        dateOnly: Number(chore.track_date_only) === 1,
+        user_id: chore.next_execution_assigned_to_user_id ? Number(chore.next_execution_assigned_to_user_id) : null,
+        user: chore.next_execution_assigned_user ?? null,
+        record: chore,
+      })),
+      ...batteries.map((battery) => ({
+        type: 'battery',
+        id: Number(battery.battery_id),
+        name: batteriesById.get(Number(battery.battery_id))?.name ?? null,
+        due: battery.next_estimated_charge_time,
+        dateOnly: false,
+        user_id: null,
+        user: null,
+        record: battery,
+      })),
+    ];
+
+    const today = parseDay(now);
+    const items = candidates
+      .filter((item) => item.due)
+      .map(({ dateOnly, ...item }) => {
+        const dueTime = parseDateTime(item.due);
+        const dueDay = parseDay(dueTime);
+        return {
+          ...item,
+          dueTime,
+          overdue: dateOnly ? dueDay < today : dueTime < now,
+          days_until: Math.round((dueDay - today) / 86400000),
+        };
+      })
+      .filter(({ dueTime }) => (fromTime === null || dueTime >= fromTime) && dueTime <= toTime)
+      .sort((a, b) => a.dueTime - b.dueTime)
+      .map(({ dueTime, ...item }) => item);
+
+    const users = new Map();
+    for (const item of items) {
+      if (!users.has(item.user_id)) {
+        users.set(item.user_id, { user_id: item.user_id, user: item.user, items: [] });
+      }
+      users.get(item.user_id).items.push(item);
+    }
+
+    return {
+      from: fromTime === null ? null : formatDate(fromTime, true),
+      to: formatDate(toTime, true),
+      items,
+      overdue: items.filter((item) => item.overdue),
+      upcoming: items.filter((item) => !item.overdue),
+      users: [...users.values()],
+    };
   }
 
   // Tasks endpoints
 
   /**
    * Get all tasks
-   * @param {Object} options - Query options
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Array>} - Tasks
    */
-  async getTasks(options = {}) {
-    const { query, order, limit, offset } = options;
-    const params = {};
+  async getTasks(options = {}, requestOptions = {}) {
+    const params = buildQueryParams(options);
 
-    if (query) params.query = query;
-    if (order) params.order = order;
-    if (limit) params.limit = limit;
-    if (offset) params.offset = offset;
+    return this.request('/tasks', 'GET', null, params, requestOptions);
+  }
 
-    return this.request('/tasks', 'GET', null, params);
+  /**
+   * Iterate over all tasks, fetching them page by page
+   * @param {Object|QueryBuilder} options - Query options (query, order, limit, offset, pageSize) or a query builder
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {AsyncGenerator<Object>} - Tasks
+   */
+  async *iterateTasks(options = {}, requestOptions = {}) {
+    yield* paginate((params) => this.getTasks(params, requestOptions), options);
   }
 
   /**
    * Complete a task
    * @param {number} taskId - Task ID
    * @param {Object} data - Completion data
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async completeTask(taskId, data = {}) {
-    return this.request(`/tasks/${taskId}/complete`, 'POST', data);
+  async completeTask(taskId, data = {}, requestOptions = {}) {
+    return this.request(`/tasks/${taskId}/complete`, 'POST', data, {}, requestOptions);
   }
 
   /**
    * Undo a task completion
    * @param {number} taskId - Task ID
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Success status
    */
-  async undoTask(taskId) {
-    return this.request(`/tasks/${taskId}/undo`, 'POST');
+  async undoTask(taskId, requestOptions = {}) {
+    return this.request(`/tasks/${taskId}/undo`, 'POST', null, {}, requestOptions);
   }
 
   // Calendar endpoints
 
   /**
    * Get iCal calendar
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Calendar data
    */
-  async getCalendar() {
-    return this.request('/calendar/ical');
+  async getCalendar(requestOptions = {}) {
+    return this.request('/calendar/ical', 'GET', null, {}, requestOptions);
+  }
+
+  /**
+   * Get the calendar as parsed events, optionally only those of some types or in a time window
+   *
+   * Events are typed by their summary prefix (`type` null if none matches) and `title` is the summary without it.
+   * Recurring events are not expanded: they match a window if they start before its end and don't end (UNTIL)
+   * before its start.
+   * @param {Object} options - Filter options
+   * @param {Date|string} options.from - Only events ending after (or starting at) this time
+   * @param {Date|string} options.to - Only events starting at or before this time, a YYYY-MM-DD day includes the
+   *   whole day
+   * @param {string[]} options.types - Only events of these types (chore, battery, task, meal-plan, product-due)
+   * @param {Object} options.typePatterns - Summary patterns by type, to add types or match a translated calendar
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
+   * @returns {Promise<Object>} - `{ calendar, properties, events }` with the raw iCalendar text, the calendar
+   *   properties and the events sorted by start
+   */
+  async getCalendarEvents({ from, to, types, typePatterns = {} } = {}, requestOptions = {}) {
+    const fromTime = from === undefined ? null : parseDateTime(from);
+    let toTime = to === undefined ? null : parseDateTime(to);
+    if (typeof to === 'string' && DATE_PATTERN.test(to)) {
+      toTime.setDate(toTime.getDate() + 1);
+      toTime.setMilliseconds(-1);
+    }
+    const patterns = Object.entries({ ...CALENDAR_EVENT_TYPES, ...typePatterns });
+
+    const { calendar } = await this.getCalendar(requestOptions);
+    const { properties, events } = parseICalendar(calendar);
+    const typedEvents = events.map((event) => {
+      const [type = null, pattern] = patterns.find(([, candidate]) => candidate.test(event.summary)) ?? [];
+      return { ...event, type, title: pattern ? event.summary.replace(pattern, '') : event.summary };
+    });
+
+    const inWindow = ({ start, end, recurrence }) => {
+      if (!start) return fromTime === null && toTime === null;
+      const lastEnd = recurrence ? (recurrence.until instanceof Date ? recurrence.until : null) : end;
+      const endsAfterFrom = fromTime === null || lastEnd === null || lastEnd > fromTime || start >= fromTime;
+      return (toTime === null || start <= toTime) && endsAfterFrom;
+    };
+    return {
+      calendar,
+      properties,
+      events: typedEvents
+        .filter((event) => (types === undefined || types.includes(event.type)) && inWindow(event))
+        .sort((a, b) => (a.start ?? 0) - (b.start ?? 0)),
+    };
   }
 
   /**
    * Get calendar sharing link
+   * @param {RequestOptions} requestOptions - Request options (signal, timeout)
    * @returns {Promise<Object>} - Sharing link
    */
-  async getCalendarSharingLink() {
-    return this.request('/calendar/ical/sharing-link');
+  async getCalendarSharingLink(requestOptions = {}) {
+    return this.request('/calendar/ical/sharing-link', 'GET', null, {}, requestOptions);
   }
 }
@@ -6,7 +6,29 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import Grocy from './index.mjs';
+import { mkdtemp, readFile, rm, unlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Grocy, {
+  GrocyError,
+  GrocyHttpError,
+  GrocyValidationError,
+  GrocyAuthError,
+  GrocyNotFoundError,
+  GrocyNetworkError,
+  GrocyTimeoutError,
+  GrocyInputError,
+  EntityAccessor,
+  QueryBuilder,
+  MemoryCache,
+  GrocyWatcher,
+  ScanSession,
+  BulkOperations,
+  RecipeBuilder,
+  UnitConverter,
+  parseICalendar,
+  where,
+} from './index.mjs';
 
 // Test setup
 const BASE_URL = 'https://grocy.example.com';
@@ -309,6 +331,61 @@ function createMockResponse(status, data, contentType = 'application/json') {
   };
 }
 
+// Helper to create an in-memory Grocy /objects API, with a hook for other endpoints
+const QUERY_OPERATORS = {
+  '=': (value, expected) => String(value) === expected,
+  '!=': (value, expected) => String(value) !== expected,
+  '<': (value, expected) => compareQueryValues(value, expected) < 0,
+  '>': (value, expected) => compareQueryValues(value, expected) > 0,
+  '<=': (value, expected) => compareQueryValues(value, expected) <= 0,
+  '>=': (value, expected) => compareQueryValues(value, expected) >= 0,
+};
+
+function compareQueryValues(value, expected) {
+  return isNaN(value) || isNaN(expected) ? String(value).localeCompare(expected) : Number(value) - Number(expected);
+}
+
+function createObjectServer(tables, handle = () => null) {
+  const server = { tables: structuredClone(tables), calls: [], nextId: 100 };
+  server.fetch = async (url, options) => {
+    const { pathname, searchParams } = new URL(url);
+    const body = typeof options.body === 'string' ? JSON.parse(options.body) : (options.body ?? null);
+    server.calls.push({ method: options.method, pathname, searchParams, body });
+
+    const handled = await handle({ method: options.method, pathname, searchParams, body });
+    if (handled) return handled;
+
+    const [, entity, id] = pathname.match(/^\/api\/objects\/(\w+)(?:\/(\d+))?$/) ?? [];
+    if (!entity) return createMockResponse(204);
+    const rows = (server.tables[entity] ??= []);
+    const index = rows.findIndex((row) => row.id === Number(id));
+    if (id && index === -1) return createMockResponse(404, { error_message: 'Not found' });
+    if (options.method === 'GET' && id) return createMockResponse(200, structuredClone(rows[index]));
+    if (options.method === 'GET') {
+      const filters = searchParams
+        .getAll('query[]')
+        .map((condition) => condition.match(/^(\w+)(!=|<=|>=|=|<|>)(.*)$/).slice(1));
+      const matches = (row) =>
+        filters.every(([field, operator, value]) => QUERY_OPERATORS[operator](row[field], value));
+      return createMockResponse(200, structuredClone(rows.filter(matches)));
+    }
+    if (options.method === 'POST') {
+      rows.push({ ...body, id: server.nextId });
+      return createMockResponse(200, { created_object_id: server.nextId++ });
+    }
+    if (options.method === 'PUT') {
+      rows[index] = { ...rows[index], ...body };
+    } else {
+      rows.splice(index, 1);
+    }
+    return createMockResponse(204);
+  };
+  server.writes = () => server.calls.filter((call) => call.method !== 'GET');
+  server.count = (pathname, method = 'GET') =>
+    server.calls.filter((call) => call.method === method && call.pathname === pathname).length;
+  return server;
+}
+
 // Basic functionality tests
 test('Constructor and API key management', async (t) => {
   // Test constructor with base URL
@@ -504,6 +581,71 @@ test('Stock management methods', async (t) => {
   assert.strictEqual(openFetchMock.mock.calls.length, 1);
   const openUrl = openFetchMock.mock.calls[0].arguments[0].toString();
   assert.strictEqual(openUrl, `${BASE_URL}/api/stock/products/${productId}/open`);
+
+  // Test getProductStockEntries with sub products and query options
+  const entriesFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getProductStockEntries(productId, { includeSubProducts: true, order: 'best_before_date', limit: 5 });
+  const entriesUrl = new URL(entriesFetchMock.mock.calls[0].arguments[0]);
+  assert.strictEqual(entriesUrl.pathname, `/api/stock/products/${productId}/entries`);
+  assert.strictEqual(entriesUrl.searchParams.get('include_sub_products'), 'true');
+  assert.strictEqual(entriesUrl.searchParams.get('order'), 'best_before_date');
+  assert.strictEqual(entriesUrl.searchParams.get('limit'), '5');
+  await client.getProductStockEntries(productId, where('open').eq(true));
+  const entriesQueryUrl = new URL(entriesFetchMock.mock.calls[1].arguments[0]);
+  assert.deepStrictEqual(entriesQueryUrl.searchParams.getAll('query[]'), ['open=1']);
+  assert.strictEqual(entriesQueryUrl.searchParams.has('include_sub_products'), false);
+
+  // Test getProductStockLocations
+  const locationsFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getProductStockLocations(productId, { includeSubProducts: false });
+  const locationsUrl = new URL(locationsFetchMock.mock.calls[0].arguments[0]);
+  assert.strictEqual(locationsUrl.pathname, `/api/stock/products/${productId}/locations`);
+  assert.strictEqual(locationsUrl.searchParams.get('include_sub_products'), 'false');
+
+  // Test getProductPriceHistory
+  const priceFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getProductPriceHistory(productId);
+  const priceUrl = priceFetchMock.mock.calls[0].arguments[0].toString();
+  assert.strictEqual(priceUrl, `${BASE_URL}/api/stock/products/${productId}/price-history`);
+
+  // Test getLocationStockEntries
+  const locationEntriesFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getLocationStockEntries(3, { query: ['amount>1'] });
+  const locationEntriesUrl = new URL(locationEntriesFetchMock.mock.calls[0].arguments[0]);
+  assert.strictEqual(locationEntriesUrl.pathname, '/api/stock/locations/3/entries');
+  assert.deepStrictEqual(locationEntriesUrl.searchParams.getAll('query[]'), ['amount>1']);
+
+  // Test getStockTransaction
+  const transactionFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getStockTransaction('x123');
+  const transactionUrl = transactionFetchMock.mock.calls[0].arguments[0].toString();
+  assert.strictEqual(transactionUrl, `${BASE_URL}/api/stock/transactions/x123`);
+
+  // Test transferProductByBarcode, inventoryProductByBarcode and openProductByBarcode
+  const barcodeActionsFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.transferProductByBarcode(barcode, transferData);
+  await client.inventoryProductByBarcode(barcode, inventoryData);
+  await client.openProductByBarcode(barcode, openData);
+  assert.deepStrictEqual(
+    barcodeActionsFetchMock.mock.calls.map(({ arguments: [url, { method, body }] }) => [url.toString(), method, body]),
+    [
+      [`${BASE_URL}/api/stock/products/by-barcode/${barcode}/transfer`, 'POST', JSON.stringify(transferData)],
+      [`${BASE_URL}/api/stock/products/by-barcode/${barcode}/inventory`, 'POST', JSON.stringify(inventoryData)],
+      [`${BASE_URL}/api/stock/products/by-barcode/${barcode}/open`, 'POST', JSON.stringify(openData)],
+    ],
+  );
+
+  // Test mergeProducts
+  const mergeFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(204)));
+  const mergeResult = await client.mergeProducts(productId, 789);
+  const [mergeUrl, mergeOptions] = mergeFetchMock.mock.calls[0].arguments;
+  assert.strictEqual(mergeUrl.toString(), `${BASE_URL}/api/stock/products/${productId}/merge/789`);
+  assert.strictEqual(mergeOptions.method, 'POST');
+  assert.deepStrictEqual(mergeResult, { success: true });
+
+  // Test the new endpoints share the error handling
+  t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(404, { error_message: 'Not found' })));
+  await assert.rejects(client.getProductPriceHistory(999), GrocyNotFoundError);
 });
 
 // Shopping list tests
@@ -932,7 +1074,7 @@ test('File upload with error handling', async (t) => {
     json: async () => ({ error_message: 'Server error' })
   };
   const uploadErrorFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(errorResponse));
-  await assert.rejects(() => client.uploadFile(group, fileName, fileData), { message: 'Failed to upload file: Server error' });
+  await assert.rejects(() => client.uploadFile(group, fileName, fileData), { name: 'GrocyHttpError', status: 500, message: 'Grocy API request failed: Server error' });
   assert.strictEqual(uploadErrorFetchMock.mock.calls.length, 1);
   
   // Test upload file with error without error_message
@@ -942,13 +1084,21 @@ test('File upload with error handling', async (t) => {
     json: async () => ({})
   };
   const uploadErrorNoMessageFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(errorNoMessageResponse));
-  await assert.rejects(() => client.uploadFile(group, fileName, fileData), { message: 'Failed to upload file: HTTP error! status: 404' });
+  await assert.rejects(() => client.uploadFile(group, fileName, fileData), { name: 'GrocyNotFoundError', status: 404, message: 'Grocy API request failed: HTTP error! status: 404' });
   assert.strictEqual(uploadErrorNoMessageFetchMock.mock.calls.length, 1);
   
   // Test upload file with network error
   const networkErrorFetchMock = t.mock.method(global, 'fetch', () => Promise.reject(new Error('Network error')));
-  await assert.rejects(() => client.uploadFile(group, fileName, fileData), { message: 'Failed to upload file: Network error' });
+  await assert.rejects(() => client.uploadFile(group, fileName, fileData), { name: 'GrocyNetworkError', message: 'Grocy API request failed: Network error' });
   assert.strictEqual(networkErrorFetchMock.mock.calls.length, 1);
+
+  // Test upload sends the raw file data without a JSON content type
+  const uploadBodyFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(204)));
+  await client.uploadFile(group, fileName, fileData);
+  const [, uploadOptions] = uploadBodyFetchMock.mock.calls[0].arguments;
+  assert.strictEqual(uploadOptions.method, 'PUT');
+  assert.strictEqual(uploadOptions.body, fileData);
+  assert.strictEqual(uploadOptions.headers['Content-Type'], undefined);
 });
 
 // Calendar endpoints
@@ -973,3 +1123,2567 @@ test('Calendar methods', async (t) => {
   const getCalendarSharingLinkUrl = getCalendarSharingLinkFetchMock.mock.calls[0].arguments[0].toString();
   assert.strictEqual(getCalendarSharingLinkUrl, `${BASE_URL}/api/calendar/ical/sharing-link`);
 });
+
+// Typed errors
+test('Typed error hierarchy', async (t) => {
+  const client = new Grocy(BASE_URL, API_KEY);
+
+  // Test status codes map to error classes carrying the request details
+  const cases = [
+    [400, GrocyValidationError],
+    [401, GrocyAuthError],
+    [403, GrocyAuthError],
+    [404, GrocyNotFoundError],
+    [422, GrocyValidationError],
+    [500, GrocyHttpError],
+  ];
+  for (const [status, ErrorClass] of cases) {
+    const body = { error_message: `Failed with ${status}` };
+    t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(status, body)));
+    const error = await client.request('/objects/products/1', 'PUT', { name: 'Milk' }).catch((e) => e);
+    assert.ok(error instanceof ErrorClass);
+    assert.ok(error instanceof GrocyHttpError);
+    assert.ok(error instanceof GrocyError);
+    assert.strictEqual(error.name, ErrorClass.name);
+    assert.strictEqual(error.status, status);
+    assert.strictEqual(error.endpoint, '/objects/products/1');
+    assert.strictEqual(error.method, 'PUT');
+    assert.deepStrictEqual(error.body, body);
+    assert.strictEqual(error.message, `Grocy API request failed: Failed with ${status}`);
+  }
+
+  // Test non-JSON error bodies are kept as text
+  t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(502, 'Bad Gateway', 'text/html')));
+  const textError = await client.getStock().catch((e) => e);
+  assert.ok(textError instanceof GrocyHttpError);
+  assert.strictEqual(textError.body, 'Bad Gateway');
+  assert.strictEqual(textError.message, 'Grocy API request failed: HTTP error! status: 502');
+
+  // Test network errors keep the original cause
+  const cause = new TypeError('fetch failed');
+  t.mock.method(global, 'fetch', () => Promise.reject(cause));
+  const networkError = await client.getProductByBarcode('123').catch((e) => e);
+  assert.ok(networkError instanceof GrocyNetworkError);
+  assert.ok(!(networkError instanceof GrocyHttpError));
+  assert.strictEqual(networkError.cause, cause);
+  assert.strictEqual(networkError.status, null);
+  assert.strictEqual(networkError.endpoint, '/stock/products/by-barcode/123');
+  assert.strictEqual(networkError.method, 'GET');
+
+  // Test unparseable success bodies
+  const brokenResponse = createMockResponse(200, null);
+  brokenResponse.json = async () => {
+    throw new SyntaxError('Unexpected token');
+  };
+  t.mock.method(global, 'fetch', () => Promise.resolve(brokenResponse));
+  const parseError = await client.getStock().catch((e) => e);
+  assert.strictEqual(parseError.constructor, GrocyError);
+  assert.strictEqual(parseError.status, 200);
+  assert.ok(parseError.cause instanceof SyntaxError);
+});
+
+// Retry policy
+test('Retry with exponential backoff', async (t) => {
+  // Test retries are disabled by default
+  const noRetryClient = new Grocy(BASE_URL, API_KEY);
+  assert.strictEqual(noRetryClient.retry, null);
+  const noRetryFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(503, {})));
+  await assert.rejects(() => noRetryClient.getStock(), { status: 503 });
+  assert.strictEqual(noRetryFetchMock.mock.calls.length, 1);
+
+  // Test transient failures are retried until success, reporting each retry
+  const retries = [];
+  const client = new Grocy(BASE_URL, API_KEY, {
+    retry: { maxAttempts: 4, minDelay: 1, factor: 2, jitter: false, onRetry: (info) => retries.push(info) },
+  });
+  const responses = [
+    () => Promise.reject(new Error('ECONNRESET')),
+    () => Promise.resolve(createMockResponse(502, {})),
+    () => Promise.resolve(createMockResponse(200, [{ product_id: 1 }])),
+  ];
+  const retryFetchMock = t.mock.method(global, 'fetch', () => responses.shift()());
+  const stock = await client.getStock();
+  assert.deepStrictEqual(stock, [{ product_id: 1 }]);
+  assert.strictEqual(retryFetchMock.mock.calls.length, 3);
+  assert.deepStrictEqual(
+    retries.map(({ attempt, delay, endpoint, method }) => ({ attempt, delay, endpoint, method })),
+    [
+      { attempt: 1, delay: 1, endpoint: '/stock', method: 'GET' },
+      { attempt: 2, delay: 2, endpoint: '/stock', method: 'GET' },
+    ],
+  );
+  assert.ok(retries[0].error instanceof GrocyNetworkError);
+  assert.strictEqual(retries[1].error.status, 502);
+
+  // Test the last error is thrown once all attempts are used up
+  const exhaustedFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(500, {})));
+  await assert.rejects(() => client.getStock(), { name: 'GrocyHttpError', status: 500 });
+  assert.strictEqual(exhaustedFetchMock.mock.calls.length, 4);
+
+  // Test client errors are not retried
+  const clientErrorFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(400, {})));
+  await assert.rejects(() => client.getStock(), { status: 400 });
+  assert.strictEqual(clientErrorFetchMock.mock.calls.length, 1);
+
+  // Test POST stock actions are not retried unless enabled
+  const postFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(503, {})));
+  await assert.rejects(() => client.consumeProduct(1, { amount: 1 }), { status: 503 });
+  assert.strictEqual(postFetchMock.mock.calls.length, 1);
+
+  const stockActionClient = new Grocy(BASE_URL, API_KEY, { retry: { minDelay: 0, stockActions: true } });
+  const stockActionFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(503, {})));
+  await assert.rejects(() => stockActionClient.consumeProductByBarcode('123', { amount: 1 }), { status: 503 });
+  assert.strictEqual(stockActionFetchMock.mock.calls.length, 3);
+
+  // Test other POST requests stay unretried even with stock actions enabled
+  const otherPostFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(503, {})));
+  await assert.rejects(() => stockActionClient.executeChore(1), { status: 503 });
+  assert.strictEqual(otherPostFetchMock.mock.calls.length, 1);
+
+  // Test Retry-After takes precedence over the backoff curve
+  const retryAfterDelays = [];
+  const retryAfterClient = new Grocy(BASE_URL, API_KEY, {
+    retry: { minDelay: 60000, onRetry: ({ delay }) => retryAfterDelays.push(delay) },
+  });
+  const rateLimited = createMockResponse(429, {});
+  rateLimited.headers = { get: (header) => ({ 'content-type': 'application/json', 'retry-after': '0' })[header] };
+  const retryAfterResponses = [rateLimited, createMockResponse(200, {})];
+  t.mock.method(global, 'fetch', () => Promise.resolve(retryAfterResponses.shift()));
+  await retryAfterClient.getStock();
+  assert.deepStrictEqual(retryAfterDelays, [0]);
+
+  // Test custom retry predicate
+  const predicateClient = new Grocy(BASE_URL, API_KEY, {
+    retry: { minDelay: 0, shouldRetry: (error) => error.status === 400 },
+  });
+  const predicateFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(400, {})));
+  await assert.rejects(() => predicateClient.getStock(), { status: 400 });
+  assert.strictEqual(predicateFetchMock.mock.calls.length, 3);
+});
+
+// Helper to create a fetch mock that only settles when the request is aborted
+function createHangingFetch() {
+  return (url, options) =>
+    new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+    });
+}
+
+// Timeouts and cancellation
+test('Request timeouts and AbortSignal cancellation', async (t) => {
+  // Test the default timeout and the constructor option
+  assert.strictEqual(new Grocy(BASE_URL, API_KEY).timeout, 30000);
+  const client = new Grocy(BASE_URL, API_KEY, { timeout: 20 });
+  assert.strictEqual(client.timeout, 20);
+
+  // Test the client timeout aborts a hanging request
+  t.mock.method(global, 'fetch', createHangingFetch());
+  const timeoutError = await client.getStock().catch((e) => e);
+  assert.ok(timeoutError instanceof GrocyTimeoutError);
+  assert.ok(timeoutError instanceof GrocyNetworkError);
+  assert.strictEqual(timeoutError.timeout, 20);
+  assert.strictEqual(timeoutError.endpoint, '/stock');
+  assert.strictEqual(timeoutError.message, 'Grocy API request failed: Timeout of 20ms exceeded');
+
+  // Test a per-call timeout overrides the client default
+  const perCallError = await client.getObjects('products', {}, { timeout: 5 }).catch((e) => e);
+  assert.ok(perCallError instanceof GrocyTimeoutError);
+  assert.strictEqual(perCallError.timeout, 5);
+
+  // Test every method hands the signal on to fetch
+  const controller = new AbortController();
+  const signalFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.consumeProduct(1, { amount: 1 }, { signal: controller.signal });
+  await client.getVolatileStock(undefined, { signal: controller.signal });
+  await client.uploadFile('productpictures', 'dGVzdC5qcGc=', new Uint8Array([1]), { signal: controller.signal });
+  assert.strictEqual(signalFetchMock.mock.calls.length, 3);
+  for (const call of signalFetchMock.mock.calls) {
+    assert.ok(call.arguments[1].signal instanceof AbortSignal);
+    assert.strictEqual(call.arguments[1].signal.aborted, false);
+  }
+
+  // Test cancelling an in-flight request rejects with the signal's reason
+  t.mock.method(global, 'fetch', createHangingFetch());
+  const inFlight = new AbortController();
+  const pending = client.getStock({ signal: inFlight.signal, timeout: 0 });
+  inFlight.abort();
+  await assert.rejects(pending, { name: 'AbortError' });
+
+  // Test an already aborted signal never reaches the network
+  const abortedFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await assert.rejects(() => client.getStock({ signal: AbortSignal.abort() }), { name: 'AbortError' });
+  assert.strictEqual(abortedFetchMock.mock.calls.length, 0);
+
+  // Test timeouts are retried, while cancellation also stops pending retries
+  const retryClient = new Grocy(BASE_URL, API_KEY, { timeout: 5, retry: { maxAttempts: 2, minDelay: 0 } });
+  const retryTimeoutFetchMock = t.mock.method(global, 'fetch', createHangingFetch());
+  await assert.rejects(() => retryClient.getStock(), GrocyTimeoutError);
+  assert.strictEqual(retryTimeoutFetchMock.mock.calls.length, 2);
+
+  const slowRetryClient = new Grocy(BASE_URL, API_KEY, { retry: { minDelay: 60000, jitter: false } });
+  const retryAbort = new AbortController();
+  const cancelledFetchMock = t.mock.method(global, 'fetch', () => {
+    setImmediate(() => retryAbort.abort());
+    return Promise.resolve(createMockResponse(503, {}));
+  });
+  await assert.rejects(() => slowRetryClient.getStock({ signal: retryAbort.signal }), { name: 'AbortError' });
+  assert.strictEqual(cancelledFetchMock.mock.calls.length, 1);
+});
+
+// Middleware pipeline
+test('Request/response middleware', async (t) => {
+  const client = new Grocy(BASE_URL, API_KEY);
+  const order = [];
+
+  // Test use() validates its argument and chains
+  assert.throws(() => client.use('not a function'), TypeError);
+  const returned = client
+    .use(async (ctx, next) => {
+      order.push('outer:before');
+      ctx.headers['X-Trace-Id'] = 'trace-1';
+      ctx.url.searchParams.set('via', 'proxy');
+      const result = await next();
+      order.push(`outer:after:${ctx.response.status}`);
+      return { ...result, rewritten: true };
+    })
+    .use(async (ctx, next) => {
+      order.push('inner:before');
+      ctx.body = { ...ctx.body, note: 'added by middleware' };
+      const result = await next();
+      order.push('inner:after');
+      return result;
+    });
+  assert.strictEqual(returned, client);
+
+  // Test request changes reach fetch and response rewrites reach the caller
+  const fetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, { id: 1 })));
+  const result = await client.request('/objects/products', 'POST', { name: 'Milk' });
+  assert.deepStrictEqual(result, { id: 1, rewritten: true });
+  assert.deepStrictEqual(order, ['outer:before', 'inner:before', 'inner:after', 'outer:after:200']);
+  const [url, options] = fetchMock.mock.calls[0].arguments;
+  assert.strictEqual(new URL(url).searchParams.get('via'), 'proxy');
+  assert.strictEqual(options.headers['X-Trace-Id'], 'trace-1');
+  assert.strictEqual(options.headers['GROCY-API-KEY'], API_KEY);
+  assert.strictEqual(options.body, JSON.stringify({ name: 'Milk', note: 'added by middleware' }));
+
+  // Test middleware sees errors and may recover from them
+  const errorClient = new Grocy(BASE_URL, API_KEY);
+  const seenErrors = [];
+  errorClient.use(async (ctx, next) => {
+    try {
+      return await next();
+    } catch (error) {
+      seenErrors.push(error);
+      if (error instanceof GrocyNotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  });
+  t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(404, {})));
+  assert.strictEqual(await errorClient.getProductByBarcode('123'), null);
+  t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(500, {})));
+  await assert.rejects(() => errorClient.getStock(), GrocyHttpError);
+  assert.strictEqual(seenErrors.length, 2);
+
+  // Test uploads pass through the pipeline as well
+  const uploadClient = new Grocy(BASE_URL, API_KEY);
+  const seen = [];
+  uploadClient.use(async (ctx, next) => {
+    seen.push([ctx.method, ctx.endpoint, ctx.body]);
+    return next();
+  });
+  const fileData = new Uint8Array([1, 2, 3]);
+  t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(204)));
+  await uploadClient.uploadFile('productpictures', 'dGVzdC5qcGc=', fileData);
+  assert.deepStrictEqual(seen, [['PUT', '/files/productpictures/dGVzdC5qcGc=', fileData]]);
+
+  // Test the Content-Type header follows the body the middleware leaves
+  const bodyClient = new Grocy(BASE_URL, API_KEY);
+  bodyClient.use(async (ctx, next) => {
+    if (ctx.endpoint === '/objects/products') {
+      ctx.body = JSON.stringify(ctx.body);
+      ctx.rawBody = true;
+    } else if (ctx.endpoint === '/objects/tasks') {
+      const form = new FormData();
+      form.set('note', ctx.body.note);
+      ctx.body = form;
+    }
+    return next();
+  });
+  const bodyFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, {})));
+  await bodyClient.request('/objects/products', 'POST', { name: 'Milk' });
+  await bodyClient.request('/objects/tasks', 'POST', { note: 'Buy milk' });
+  await bodyClient.request('/userfields/products/1', 'PUT', 'Salt, coarse');
+  await bodyClient.request('/userfields/products/2', 'PUT', '{"brand":"Acme"}', {}, { rawBody: true });
+  const [[, jsonOptions], [, formOptions], [, stringOptions], [, rawOptions]] = bodyFetchMock.mock.calls.map(
+    (call) => call.arguments,
+  );
+  assert.strictEqual(jsonOptions.body, JSON.stringify({ name: 'Milk' }));
+  assert.strictEqual(jsonOptions.headers['Content-Type'], 'application/json');
+  assert.ok(formOptions.body instanceof FormData);
+  assert.strictEqual(formOptions.headers['Content-Type'], undefined);
+
+  // Test string bodies are JSON encoded unless they are marked as encoded JSON
+  assert.strictEqual(stringOptions.body, '"Salt, coarse"');
+  assert.strictEqual(rawOptions.body, '{"brand":"Acme"}');
+
+  // Test middleware runs once per attempt with a fresh context
+  const retryClient = new Grocy(BASE_URL, API_KEY, { retry: { minDelay: 0 } });
+  const attempts = [];
+  retryClient.use(async (ctx, next) => {
+    attempts.push([ctx.attempt, ctx.headers['X-Count']]);
+    ctx.headers['X-Count'] = 'set';
+    return next();
+  });
+  const responses = [createMockResponse(503, {}), createMockResponse(200, [])];
+  t.mock.method(global, 'fetch', () => Promise.resolve(responses.shift()));
+  await retryClient.getStock();
+  assert.deepStrictEqual(attempts, [
+    [1, undefined],
+    [2, undefined],
+  ]);
+});
+
+// Transport injection
+test('Pluggable fetch and default headers', async (t) => {
+  const globalFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, {})));
+
+  // Test the options object form with a custom fetch and default headers
+  const calls = [];
+  const customFetch = async (url, options) => {
+    calls.push([url.toString(), options]);
+    return createMockResponse(200, [{ id: 1 }]);
+  };
+  const client = new Grocy({
+    baseUrl: BASE_URL,
+    apiKey: API_KEY,
+    fetch: customFetch,
+    headers: { 'X-Forwarded-User': 'kiosk' },
+    timeout: 1000,
+  });
+  assert.strictEqual(client.baseUrl, `${BASE_URL}/api`);
+  assert.strictEqual(client.apiKey, API_KEY);
+  assert.strictEqual(client.timeout, 1000);
+  assert.deepStrictEqual(await client.getObjects('locations'), [{ id: 1 }]);
+  assert.strictEqual(globalFetchMock.mock.calls.length, 0);
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0][0], `${BASE_URL}/api/objects/locations`);
+  assert.strictEqual(calls[0][1].headers['X-Forwarded-User'], 'kiosk');
+  assert.strictEqual(calls[0][1].headers['GROCY-API-KEY'], API_KEY);
+
+  // Test the positional form accepts the same options
+  const positionalCalls = [];
+  const positional = new Grocy(BASE_URL, API_KEY, {
+    fetch: async (url, options) => {
+      positionalCalls.push(options);
+      return createMockResponse(204);
+    },
+    headers: { 'GROCY-API-KEY': 'ignored' },
+  });
+  await positional.deleteObject('products', 1);
+  assert.strictEqual(positionalCalls.length, 1);
+  assert.strictEqual(positionalCalls[0].headers['GROCY-API-KEY'], API_KEY);
+  assert.strictEqual(globalFetchMock.mock.calls.length, 0);
+
+  // Test the options object works without an API key
+  const keyless = new Grocy({ baseUrl: `${BASE_URL}/api` });
+  assert.strictEqual(keyless.apiKey, null);
+  assert.strictEqual(keyless.baseUrl, `${BASE_URL}/api`);
+
+  // Test the global fetch is used when none is injected
+  await new Grocy(BASE_URL, API_KEY).getStock();
+  assert.strictEqual(globalFetchMock.mock.calls.length, 1);
+
+  // Test invalid arguments
+  assert.throws(() => new Grocy(), { name: 'TypeError', message: 'A base URL is required' });
+  assert.throws(() => new Grocy({ apiKey: API_KEY }), { name: 'TypeError', message: 'A base URL is required' });
+  assert.throws(() => new Grocy(BASE_URL, API_KEY, { fetch: 'nope' }), {
+    name: 'TypeError',
+    message: 'The fetch option must be a function',
+  });
+});
+
+// Typed entity layer
+test('Typed entity accessors', async (t) => {
+  const client = new Grocy(BASE_URL, API_KEY);
+
+  // Test accessors exist for the exposed entities
+  assert.ok(client.products instanceof EntityAccessor);
+  assert.strictEqual(client.products.entity, 'products');
+  assert.strictEqual(client.quantityUnits.entity, 'quantity_units');
+  assert.strictEqual(client.shoppingList.entity, 'shopping_list');
+  assert.strictEqual(client.choresEntity.entity, 'chores');
+  assert.strictEqual(client.entity('locations'), client.locations);
+  assert.strictEqual(client.products.fields.name, 'string');
+  assert.strictEqual(client.products.fields.location_id, 'number');
+
+  // Test entity names are validated
+  assert.throws(() => client.entity('product'), { name: 'TypeError', message: 'Unknown Grocy entity "product"' });
+  assert.throws(() => new EntityAccessor(client, 'shoppinglist'), TypeError);
+
+  // Test list/get/create/update/delete map onto the generic /objects endpoints
+  const fetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.locations.list({ query: ['is_freezer=1'], limit: 5 });
+  await client.locations.get(3);
+  await client.locations.create({ name: 'Freezer', is_freezer: true });
+  await client.locations.update(3, { active: false });
+  await client.locations.delete(3);
+  const calls = fetchMock.mock.calls.map(({ arguments: [url, options] }) => [
+    options.method,
+    new URL(url).pathname + new URL(url).search,
+    options.body,
+  ]);
+  assert.deepStrictEqual(calls, [
+    ['GET', '/api/objects/locations?query%5B%5D=is_freezer%3D1&limit=5', undefined],
+    ['GET', '/api/objects/locations/3', undefined],
+    ['POST', '/api/objects/locations', JSON.stringify({ name: 'Freezer', is_freezer: 1 })],
+    ['PUT', '/api/objects/locations/3', JSON.stringify({ active: 0 })],
+    ['DELETE', '/api/objects/locations/3', undefined],
+  ]);
+
+  // Test dates are converted and unknown fields pass through
+  assert.deepStrictEqual(client.tasksEntity.validate({ due_date: new Date(2024, 0, 31), custom: 'x' }), {
+    due_date: '2024-01-31',
+    custom: 'x',
+  });
+
+  // Test invalid field values are rejected before sending
+  const callsBefore = fetchMock.mock.calls.length;
+  const error = await client.products.create({ name: 42, location_id: 'pantry', active: 'yes' }).catch((e) => e);
+  assert.ok(error instanceof GrocyInputError);
+  assert.ok(!(error instanceof GrocyHttpError));
+  assert.deepStrictEqual(error.problems, [
+    'name must be a string',
+    'location_id must be a number',
+    'active must be a boolean or 0/1',
+  ]);
+  assert.strictEqual(
+    error.message,
+    'Invalid products data: name must be a string, location_id must be a number, active must be a boolean or 0/1',
+  );
+  await assert.rejects(() => client.tasksEntity.update(1, { due_date: '31/12/2024' }), {
+    message: 'Invalid tasks data: due_date must be a date (YYYY-MM-DD)',
+  });
+  await assert.rejects(() => client.products.create(null), GrocyInputError);
+  assert.strictEqual(fetchMock.mock.calls.length, callsBefore);
+
+  // Test read-only views only allow reads
+  assert.strictEqual(client.stockLog.readOnly, true);
+  await client.stockLog.list();
+  await assert.rejects(() => client.stockLog.create({ amount: 1 }), {
+    name: 'GrocyError',
+    message: 'The stock_log entity is read-only',
+  });
+  await assert.rejects(() => client.stockEntity.delete(1), GrocyError);
+});
+
+// Query builder
+test('Fluent query builder', async (t) => {
+  const client = new Grocy(BASE_URL, API_KEY);
+
+  // Test conditions serialize to query[] and order
+  const builder = where('name').contains('milk').and('location_id').eq(3).orderBy('name', 'desc');
+  assert.ok(builder instanceof QueryBuilder);
+  assert.deepStrictEqual(builder.toOptions(), { query: ['name~milk', 'location_id=3'], order: 'name:desc' });
+
+  // Test every operator and value type
+  const all = new QueryBuilder()
+    .where('a').eq('x')
+    .and('b').ne(1)
+    .and('c').contains('y')
+    .and('d').notContains('z')
+    .and('e').lt(2)
+    .and('f').gt(2.5)
+    .and('g').lte(new Date(2024, 0, 31))
+    .and('h').gte(new Date(2024, 0, 31, 8, 30, 0))
+    .and('i').matches(/^Mil.*$/)
+    .and('active', '=', true)
+    .and('done').eq(false)
+    .limit(0)
+    .offset(20);
+  assert.deepStrictEqual(all.toOptions(), {
+    query: [
+      'a=x',
+      'b!=1',
+      'c~y',
+      'd!~z',
+      'e<2',
+      'f>2.5',
+      'g<=2024-01-31',
+      'h>=2024-01-31 08:30:00',
+      'i§^Mil.*$',
+      'active=1',
+      'done=0',
+    ],
+    limit: 0,
+    offset: 20,
+  });
+
+  // Test values may contain separators and operator characters, each condition is sent on its own
+  assert.deepStrictEqual(where('name').eq('Salt, coarse').and('note').ne('a<=b').toOptions().query, [
+    'name=Salt, coarse',
+    'note!=a<=b',
+  ]);
+  assert.deepStrictEqual(where('name').matches(/a(?=b)/).toOptions().query, ['name§a(?=b)']);
+
+  // Test invalid input is rejected
+  assert.throws(() => where('name', '==', 'x'), { name: 'TypeError', message: /Invalid query operator "=="/ });
+  assert.throws(() => where('name; DROP'), { message: 'Invalid query field "name; DROP"' });
+  assert.throws(() => where('name').eq('a\nb'), { message: 'Query values must not contain control characters' });
+  assert.throws(() => where('name').matches(/milk/y), { message: 'Unsupported regular expression flags "y"' });
+  assert.deepStrictEqual(where('name').matches(/milk/gi).toOptions().query, ['name§(?i)milk']);
+  assert.throws(() => where('amount').gt(NaN), TypeError);
+  assert.throws(() => where('name').eq(null), TypeError);
+  assert.throws(() => new QueryBuilder().eq(1), { message: 'Call where() before adding a condition' });
+  assert.throws(() => where('name').where('id'), { message: 'Missing condition for field "name"' });
+  assert.throws(() => where('name').toOptions(), { message: 'Missing condition for field "name"' });
+  assert.throws(() => where('id').eq(1).orderBy('name', 'up'), { message: /Invalid order direction/ });
+
+  // Test list methods accept a builder directly or as the query option
+  const fetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getObjects('products', builder);
+  await client.getChores({ query: where('next_estimated_execution_time').lt('2024-02-01'), limit: 10 });
+  await client.products.list(where('name').contains('milk'));
+  const [objectsUrl, choresUrl, accessorUrl] = fetchMock.mock.calls.map((call) => new URL(call.arguments[0]));
+  assert.deepStrictEqual(objectsUrl.searchParams.getAll('query[]'), ['name~milk', 'location_id=3']);
+  assert.strictEqual(objectsUrl.searchParams.get('order'), 'name:desc');
+  assert.deepStrictEqual(choresUrl.searchParams.getAll('query[]'), ['next_estimated_execution_time<2024-02-01']);
+  assert.strictEqual(choresUrl.searchParams.get('limit'), '10');
+  assert.deepStrictEqual(accessorUrl.searchParams.getAll('query[]'), ['name~milk']);
+});
+
+// Helper to create a fetch mock that serves a list of items according to limit/offset
+function createPagingFetch(items) {
+  return (url) => {
+    const params = new URL(url).searchParams;
+    const offset = Number(params.get('offset') ?? 0);
+    const limit = params.has('limit') ? Number(params.get('limit')) : items.length;
+    return Promise.resolve(createMockResponse(200, items.slice(offset, offset + limit)));
+  };
+}
+
+// Pagination
+test('Automatic pagination with async iterators', async (t) => {
+  const client = new Grocy(BASE_URL, API_KEY);
+  const items = Array.from({ length: 7 }, (_, i) => ({ id: i + 1 }));
+
+  // Test limit: 0 and offset: 0 are no longer dropped
+  const zeroFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, [])));
+  await client.getObjects('products', { limit: 0, offset: 0 });
+  await client.getTasks({ query: [], order: '' });
+  const zeroUrl = new URL(zeroFetchMock.mock.calls[0].arguments[0]);
+  assert.strictEqual(zeroUrl.searchParams.get('limit'), '0');
+  assert.strictEqual(zeroUrl.searchParams.get('offset'), '0');
+  assert.strictEqual(new URL(zeroFetchMock.mock.calls[1].arguments[0]).searchParams.get('order'), '');
+
+  // Test iterating fetches pages until a short page ends the data
+  const pageFetchMock = t.mock.method(global, 'fetch', createPagingFetch(items));
+  const seen = [];
+  for await (const product of client.iterateObjects('products', { pageSize: 3, query: ['active=1'], order: 'id' })) {
+    seen.push(product.id);
+  }
+  assert.deepStrictEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+  const pages = pageFetchMock.mock.calls.map((call) => new URL(call.arguments[0]));
+  assert.deepStrictEqual(
+    pages.map((url) => [url.pathname, url.searchParams.get('limit'), url.searchParams.get('offset')]),
+    [
+      ['/api/objects/products', '3', '0'],
+      ['/api/objects/products', '3', '3'],
+      ['/api/objects/products', '3', '6'],
+    ],
+  );
+  assert.deepStrictEqual(pages[1].searchParams.getAll('query[]'), ['active=1']);
+  assert.strictEqual(pages[1].searchParams.get('order'), 'id');
+
+  // Test an exact multiple of the page size needs one extra, empty page
+  const exactFetchMock = t.mock.method(global, 'fetch', createPagingFetch(items.slice(0, 6)));
+  const exact = [];
+  for await (const task of client.iterateTasks({ pageSize: 3 })) exact.push(task.id);
+  assert.deepStrictEqual(exact, [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(exactFetchMock.mock.calls.length, 3);
+
+  // Test offset and limit bound the iteration, and a query builder is accepted
+  t.mock.method(global, 'fetch', createPagingFetch(items));
+  const bounded = [];
+  for await (const chore of client.iterateChores({ query: where('id').gt(0), pageSize: 2, offset: 1, limit: 3 })) {
+    bounded.push(chore.id);
+  }
+  assert.deepStrictEqual(bounded, [2, 3, 4]);
+
+  // Test the remaining iterators hit their endpoints
+  const endpointFetchMock = t.mock.method(global, 'fetch', createPagingFetch(items.slice(0, 1)));
+  for await (const item of client.iterateUsers()) assert.deepStrictEqual(item, { id: 1 });
+  for await (const item of client.iterateBatteries()) assert.deepStrictEqual(item, { id: 1 });
+  for await (const item of client.iterateRecipesFulfillment()) assert.deepStrictEqual(item, { id: 1 });
+  for await (const item of client.locations.iterate()) assert.deepStrictEqual(item, { id: 1 });
+  assert.deepStrictEqual(
+    endpointFetchMock.mock.calls.map((call) => new URL(call.arguments[0]).pathname),
+    ['/api/users', '/api/batteries', '/api/recipes/fulfillment', '/api/objects/locations'],
+  );
+
+  // Test endpoints ignoring limit/offset do not loop forever
+  const ignoringFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, items)));
+  const ignored = [];
+  for await (const item of client.iterateObjects('products', { pageSize: 2 })) ignored.push(item.id);
+  assert.strictEqual(ignored.length, 7);
+  assert.strictEqual(ignoringFetchMock.mock.calls.length, 1);
+
+  // Test an endpoint ignoring limit/offset with exactly pageSize rows is read once as well
+  const fullPageFetchMock = t.mock.method(global, 'fetch', () => Promise.resolve(createMockResponse(200, items)));
+  const fullPage = [];
+  for await (const item of client.iterateObjects('products', { pageSize: 7 })) fullPage.push(item.id);
+  assert.deepStrictEqual(fullPage, [1, 2, 3, 4, 5, 6, 7]);
+  assert.strictEqual(fullPageFetchMock.mock.calls.length, 2);
+
+  // Test breaking out early stops fetching
+  const earlyFetchMock = t.mock.method(global, 'fetch', createPagingFetch(items));
+  for await (const item of client.iterateObjects('products', { pageSize: 2 })) {
+    if (item.id === 2) break;
+  }
+  assert.strictEqual(earlyFetchMock.mock.calls.length, 1);
+
+  // Test invalid page sizes
+  await assert.rejects(async () => {
+    for await (const item of client.iterateObjects('products', { pageSize: 0 })) assert.fail(item);
+  }, RangeError);
+});
+
+// Response cache
+function createCachingServer() {
+  const server = createObjectServer({ products: [{ id: 1, name: 'Milk' }] }, ({ method, pathname }) => {
+    if (pathname === '/api/system/db-changed-time') {
+      return createMockResponse(200, { changed_time: server.changedTime });
+    }
+    if (method === 'GET' && pathname === '/api/stock') return createMockResponse(200, [{ id: 1, name: 'Milk' }]);
+    return null;
+  });
+  server.changedTime = '2024-01-01 10:00:00';
+  return server;
+}
+
+test('Response cache', async () => {
+  // Test caching is opt-in
+  const uncachedServer = createCachingServer();
+  const uncached = new Grocy(BASE_URL, API_KEY, { fetch: uncachedServer.fetch });
+  await uncached.getStock();
+  await uncached.getStock();
+  assert.strictEqual(uncached.cache, null);
+  assert.strictEqual(uncachedServer.count('/api/stock'), 2);
+  assert.strictEqual(uncachedServer.count('/api/system/db-changed-time'), 0);
+
+  // Test repeated GETs are served from the cache while the database is unchanged
+  const server = createCachingServer();
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch, cache: { checkInterval: 0 } });
+  const first = await client.getStock();
+  first[0].name = 'Changed by the caller';
+  const second = await client.getStock();
+  assert.deepStrictEqual(second, [{ id: 1, name: 'Milk' }]);
+  assert.strictEqual(server.count('/api/stock'), 1);
+  assert.strictEqual(server.count('/api/system/db-changed-time'), 2);
+
+  // Test different query parameters are cached separately
+  await client.getObjects('products', { limit: 1 });
+  await client.getObjects('products', { limit: 2 });
+  assert.strictEqual(server.count('/api/objects/products'), 2);
+
+  // Test a changed database invalidates the cache
+  server.changedTime = '2024-01-01 11:00:00';
+  await client.getStock();
+  assert.strictEqual(server.count('/api/stock'), 2);
+
+  // Test writes through the client clear the cache
+  await client.consumeProduct(1, { amount: 1 });
+  await client.getStock();
+  assert.strictEqual(server.count('/api/stock'), 3);
+
+  // Test a single call can bypass the cache
+  await client.getStock({ cache: false });
+  assert.strictEqual(server.count('/api/stock'), 4);
+
+  // Test db-changed-time checks are throttled and shared
+  const throttledServer = createCachingServer();
+  const throttled = new Grocy(BASE_URL, API_KEY, { fetch: throttledServer.fetch, cache: true });
+  await Promise.all([throttled.getStock(), throttled.getStock(), throttled.getSystemInfo()]);
+  await throttled.getStock();
+  assert.strictEqual(throttledServer.count('/api/system/db-changed-time'), 1);
+
+  // Test aborting one caller does not abort the db-changed-time check shared with others
+  const abortServer = createCachingServer();
+  const abortClient = new Grocy(BASE_URL, API_KEY, { fetch: abortServer.fetch, cache: true });
+  const controller = new AbortController();
+  const aborted = abortClient.getStock({ signal: controller.signal });
+  const other = abortClient.getStock();
+  controller.abort(new Error('Stopped by the caller'));
+  await assert.rejects(aborted, /Stopped by the caller/);
+  assert.deepStrictEqual(await other, [{ id: 1, name: 'Milk' }]);
+
+  // Test results that are not JSON data are passed through without being cached
+  const textServer = createCachingServer();
+  const textClient = new Grocy(BASE_URL, API_KEY, {
+    fetch: async (url, options) =>
+      url.pathname.endsWith('/system/db-changed-time')
+        ? textServer.fetch(url, options)
+        : createMockResponse(200, 'plain text', 'text/plain'),
+    cache: true,
+  });
+  assert.strictEqual(await (await textClient.getSystemInfo()).response.text(), 'plain text');
+  assert.strictEqual(await (await textClient.getSystemInfo()).response.text(), 'plain text');
+  assert.strictEqual(textClient.cache.store.entries.size, 0);
+
+  // Test per-endpoint TTLs, matched by the longest prefix
+  const ttlServer = createCachingServer();
+  const ttlClient = new Grocy(BASE_URL, API_KEY, {
+    fetch: ttlServer.fetch,
+    cache: { checkInterval: 0, ttls: { '/stock': 0, '/stock/volatile': 60000, '/objects/products': 1 } },
+  });
+  assert.strictEqual(ttlClient.cache.getTtl('/stock'), 0);
+  assert.strictEqual(ttlClient.cache.getTtl('/stock/volatile'), 60000);
+  assert.strictEqual(ttlClient.cache.getTtl('/stocks'), 60000);
+  assert.strictEqual(ttlClient.cache.getTtl('/files/productpictures/YS5qcGc='), 0);
+  await ttlClient.getStock();
+  await ttlClient.getStock();
+  assert.strictEqual(ttlServer.count('/api/stock'), 2);
+  await ttlClient.getObjects('products');
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await ttlClient.getObjects('products');
+  assert.strictEqual(ttlServer.count('/api/objects/products'), 2);
+
+  // Test a custom async store
+  const entries = new Map();
+  const store = {
+    get: async (key) => entries.get(key),
+    set: async (key, entry) => void entries.set(key, entry),
+    delete: async (key) => void entries.delete(key),
+    clear: async () => entries.clear(),
+  };
+  const storeServer = createCachingServer();
+  const storeClient = new Grocy(BASE_URL, API_KEY, { fetch: storeServer.fetch, cache: { store } });
+  await storeClient.getStock();
+  await storeClient.getStock();
+  assert.strictEqual(storeServer.count('/api/stock'), 1);
+  assert.deepStrictEqual([...entries.keys()], [`${BASE_URL}/api/stock`]);
+  assert.strictEqual(entries.get(`${BASE_URL}/api/stock`).changedTime, '2024-01-01 10:00:00');
+
+  // Test a store failing to clear neither hides the request's error nor fails a write that succeeded
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning.message);
+  process.on('warning', onWarning);
+  const failingStore = {
+    ...store,
+    clear: async () => {
+      throw new Error('Store unavailable');
+    },
+  };
+  const failingServer = createCachingServer();
+  const failingClient = new Grocy(BASE_URL, API_KEY, {
+    fetch: async (url, options) =>
+      url.pathname.endsWith('/undo')
+        ? createMockResponse(400, { error_message: 'Transaction not found' })
+        : failingServer.fetch(url, options),
+    cache: { store: failingStore },
+  });
+  await failingClient.consumeProduct(1, { amount: 1 });
+  await assert.rejects(failingClient.undoStockTransaction('x'), GrocyValidationError);
+  failingClient.setApiKey('other-key');
+  await new Promise((resolve) => setImmediate(resolve));
+  process.off('warning', onWarning);
+  assert.deepStrictEqual(warnings, Array(3).fill('Store unavailable'));
+
+  // Test the MemoryCache evicts the least recently used entries
+  const lru = new MemoryCache({ maxEntries: 2 });
+  lru.set('a', 1);
+  lru.set('b', 2);
+  lru.get('a');
+  lru.set('c', 3);
+  assert.strictEqual(lru.get('b'), undefined);
+  assert.strictEqual(lru.get('a'), 1);
+  assert.strictEqual(lru.get('c'), 3);
+});
+
+// Change watcher
+function createWatchedServer() {
+  const server = createObjectServer(
+    {
+      shopping_list: [{ id: 1, product_id: 2, amount: 1, done: 0 }],
+      tasks: [{ id: 1, name: 'Call plumber', done: 0 }],
+    },
+    ({ pathname }) => {
+      const routes = {
+        '/api/system/db-changed-time': () => ({ changed_time: server.changedTime }),
+        '/api/stock': () => server.stock,
+        '/api/chores': () => server.chores,
+      };
+      return routes[pathname] ? createMockResponse(200, structuredClone(routes[pathname]())) : null;
+    },
+  );
+  server.changedTime = '2024-01-01 10:00:00';
+  server.stock = [{ product_id: 1, amount: '2', amount_opened: '0', product: { id: 1, name: 'Milk' } }];
+  server.chores = [{ chore_id: 1, chore_name: 'Vacuum', last_tracked_time: null }];
+  return server;
+}
+
+test('Change watcher', async () => {
+  const server = createWatchedServer();
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+  const watcher = new GrocyWatcher(client);
+  watcher.running = true;
+  const events = [];
+  for (const event of ['change', 'stock-changed', 'shopping-list-changed', 'chore-executed', 'task-completed']) {
+    watcher.on(event, (payload) => events.push([event, payload]));
+  }
+
+  // Test the first poll only records the current state
+  await watcher.poll();
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(server.calls.length, 5);
+
+  // Test nothing is loaded while the database is unchanged
+  await watcher.poll();
+  assert.strictEqual(server.calls.length, 6);
+  assert.deepStrictEqual(events, []);
+
+  // Test changes are diffed into typed events
+  server.changedTime = '2024-01-01 11:00:00';
+  server.stock = [{ product_id: 3, amount: '1', amount_opened: '0', product: { id: 3, name: 'Eggs' } }];
+  server.tables.shopping_list = [
+    { id: 1, product_id: 2, amount: 2, done: 0 },
+    { id: 2, product_id: 1, amount: 1, done: 0 },
+  ];
+  server.chores = [{ chore_id: 1, chore_name: 'Vacuum', last_tracked_time: '2024-01-01 10:30:00' }];
+  server.tables.tasks = [{ id: 1, name: 'Call plumber', done: 1 }];
+  await watcher.poll();
+  assert.deepStrictEqual(
+    events.map(([event]) => event),
+    ['change', 'stock-changed', 'stock-changed', 'shopping-list-changed', 'chore-executed', 'task-completed'],
+  );
+  assert.deepStrictEqual(events[0][1], {
+    changedTime: '2024-01-01 11:00:00',
+    previousChangedTime: '2024-01-01 10:00:00',
+  });
+  assert.strictEqual(events[1][1].productId, 1);
+  assert.strictEqual(events[1][1].product.name, 'Milk');
+  assert.strictEqual(events[1][1].previousAmount, 2);
+  assert.strictEqual(events[1][1].amount, 0);
+  assert.strictEqual(events[1][1].current, null);
+  assert.strictEqual(events[2][1].productId, 3);
+  assert.strictEqual(events[2][1].amount, 1);
+  assert.deepStrictEqual(events[3][1].added, [{ id: 2, product_id: 1, amount: 1, done: 0 }]);
+  assert.deepStrictEqual(events[3][1].removed, []);
+  assert.strictEqual(events[3][1].updated[0].current.amount, 2);
+  assert.strictEqual(events[4][1].choreId, 1);
+  assert.strictEqual(events[5][1].taskId, 1);
+
+  // Test only the snapshots needed for the requested events are loaded
+  const stockServer = createWatchedServer();
+  const stockWatcher = new GrocyWatcher(new Grocy(BASE_URL, API_KEY, { fetch: stockServer.fetch }), {
+    events: ['stock-changed'],
+  });
+  stockWatcher.running = true;
+  await stockWatcher.poll();
+  assert.deepStrictEqual(stockServer.calls.map((call) => call.pathname), ['/api/system/db-changed-time', '/api/stock']);
+
+  // Test failed polls are emitted as errors and polling continues
+  const errors = [];
+  watcher.on('error', (error) => errors.push(error));
+  server.changedTime = '2024-01-01 12:00:00';
+  client.fetch = () => Promise.reject(new TypeError('fetch failed'));
+  await watcher.poll();
+  assert.ok(errors[0] instanceof GrocyNetworkError);
+  client.fetch = server.fetch;
+  await watcher.poll();
+  assert.strictEqual(watcher.changedTime, '2024-01-01 12:00:00');
+
+  // Test a throwing listener neither stops the other listeners and events nor counts as a failed poll
+  const warnings = [];
+  const onWarning = (warning) => warnings.push(warning);
+  process.on('warning', onWarning);
+  const throwing = () => {
+    throw new Error('Listener failed');
+  };
+  watcher.on('change', throwing);
+  watcher.on('stock-changed', throwing);
+  const errorsBefore = errors.length;
+  const eventsBefore = events.length;
+  server.changedTime = '2024-01-01 12:30:00';
+  server.stock = [{ product_id: 1, amount: '4', amount_opened: '0', product: { id: 1, name: 'Milk' } }];
+  server.tables.tasks = [{ id: 1, name: 'Call plumber', done: 0 }];
+  await watcher.poll();
+  watcher.off('change', throwing);
+  watcher.off('stock-changed', throwing);
+  assert.deepStrictEqual(
+    events.slice(eventsBefore).map(([event]) => event),
+    ['change', 'stock-changed', 'stock-changed'],
+  );
+  assert.strictEqual(errors.length, errorsBefore);
+
+  // Test a throwing error listener and failed polls without an error listener are reported as warnings
+  watcher.on('error', throwing);
+  client.fetch = () => Promise.reject(new TypeError('fetch failed'));
+  await watcher.poll();
+  watcher.removeAllListeners('error');
+  await watcher.poll();
+  client.fetch = server.fetch;
+  await new Promise((resolve) => setImmediate(resolve));
+  process.off('warning', onWarning);
+  assert.deepStrictEqual(
+    warnings.map((warning) => warning.message),
+    [...Array(4).fill('Listener failed'), 'Grocy API request failed: fetch failed'],
+  );
+
+  // Test a restart while a poll is in flight leaves a single polling loop
+  let release;
+  const slowServer = createWatchedServer();
+  const slowClient = new Grocy(BASE_URL, API_KEY, {
+    fetch: (url, options) => {
+      if (release) return slowServer.fetch(url, options);
+      return new Promise((resolve) => (release = () => resolve(slowServer.fetch(url, options))));
+    },
+  });
+  const restarted = new GrocyWatcher(slowClient, { interval: 1000 });
+  const scheduled = [];
+  const schedule = restarted.schedule.bind(restarted);
+  restarted.schedule = (delay) => {
+    scheduled.push(delay);
+    schedule(delay);
+  };
+  restarted.start();
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const stopping = restarted.stop();
+  restarted.start();
+  release();
+  await stopping;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepStrictEqual(scheduled, [0, 0, 1000]);
+  await restarted.stop();
+
+  // Test watch() polls on an interval and stop() ends it
+  const timedServer = createWatchedServer();
+  const timedClient = new Grocy(BASE_URL, API_KEY, { fetch: timedServer.fetch });
+  const timed = timedClient.watch({ interval: 5, events: ['task-completed'] });
+  assert.ok(timed instanceof GrocyWatcher);
+  const completed = new Promise((resolve) => timed.once('task-completed', resolve));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  timedServer.changedTime = '2024-01-01 13:00:00';
+  timedServer.tables.tasks = [{ id: 1, name: 'Call plumber', done: 1 }];
+  assert.strictEqual((await completed).task.name, 'Call plumber');
+  await timed.stop();
+  const callsAfterStop = timedServer.calls.length;
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.strictEqual(timedServer.calls.length, callsAfterStop);
+
+  // Test invalid options
+  assert.throws(() => client.watch({ interval: 0 }), RangeError);
+  assert.throws(() => client.watch({ events: ['stock-added'] }), /Unknown watch event "stock-added"/);
+});
+
+// Barcode scanner sessions
+function createScannerServer() {
+  const products = {
+    4006381333931: { product: { id: 1, name: 'Milk' }, product_barcodes: [{ barcode: '4006381333931', amount: null }] },
+    SIXPACK: { product: { id: 2, name: 'Water' }, product_barcodes: [{ barcode: 'SIXPACK', amount: '6' }] },
+    CRATE: {
+      product: { id: 2, name: 'Water', qu_id_stock: 1 },
+      product_barcodes: [{ barcode: 'CRATE', amount: '2', qu_id: '3' }],
+    },
+  };
+  const server = createObjectServer(
+    {
+      quantity_units: [
+        { id: 1, name: 'Bottle' },
+        { id: 3, name: 'Pack' },
+      ],
+      quantity_unit_conversions: [{ from_qu_id: 3, to_qu_id: 1, factor: 6, product_id: 2 }],
+      products: [
+        { id: 1, name: 'Milk' },
+        { id: 2, name: 'Water', qu_id_stock: 1 },
+      ],
+    },
+    ({ pathname }) => {
+      const barcode = pathname.match(/^\/api\/stock\/products\/by-barcode\/([^/]+)$/)?.[1];
+      if (barcode) {
+        return products[barcode]
+          ? createMockResponse(200, products[barcode])
+          : createMockResponse(400, { error_message: `No product with barcode ${barcode} found` });
+      }
+      const [, productId, action] = pathname.match(/^\/api\/stock\/products\/(\d+)\/(\w+)$/) ?? [];
+      if (productId) {
+        return createMockResponse(200, [
+          { id: 1, product_id: Number(productId), transaction_id: `${action}-${productId}` },
+        ]);
+      }
+      return null;
+    },
+  );
+  server.bookings = () =>
+    server
+      .writes()
+      .filter((call) => call.pathname.startsWith('/api/stock/'))
+      .map(({ method, pathname, body }) => ({ method, pathname, body }));
+  return server;
+}
+
+test('Barcode scanner sessions', async () => {
+  const server = createScannerServer();
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+
+  // Test purchase mode books one scan at a time, using the barcode's amount
+  const session = client.scanSession({ data: { transfer: { location_id_from: 1, location_id_to: 2 } } });
+  assert.ok(session instanceof ScanSession);
+  assert.strictEqual(session.mode, 'purchase');
+  const [purchase] = await session.scan('4006381333931\n');
+  assert.deepStrictEqual(purchase, {
+    type: 'booking',
+    code: '4006381333931',
+    mode: 'purchase',
+    product: { id: 1, name: 'Milk' },
+    amount: 1,
+    entries: [{ id: 1, product_id: 1, transaction_id: 'add-1' }],
+  });
+  assert.strictEqual((await session.scan('SIXPACK'))[0].amount, 6);
+  assert.deepStrictEqual(server.bookings().at(-1), {
+    method: 'POST',
+    pathname: '/api/stock/products/2/add',
+    body: { amount: 6 },
+  });
+
+  // Test pack barcodes in another unit are booked in the product's stock unit
+  assert.strictEqual((await session.scan('CRATE'))[0].amount, 12);
+  assert.deepStrictEqual(server.bookings().at(-1).body, { amount: 12 });
+
+  // Test mode barcodes switch the action, with the extra data per mode
+  for (const [mode, action, body] of [
+    ['consume', 'consume', { amount: 1 }],
+    ['open', 'open', { amount: 1 }],
+    ['transfer', 'transfer', { amount: 1, location_id_from: 1, location_id_to: 2 }],
+  ]) {
+    const [modeReport] = await session.scan(`MODE:${mode.toUpperCase()}`);
+    assert.strictEqual(modeReport.type, 'mode');
+    assert.strictEqual(modeReport.mode, mode);
+    await session.scan('4006381333931');
+    assert.deepStrictEqual(server.bookings().at(-1), {
+      method: 'POST',
+      pathname: `/api/stock/products/1/${action}`,
+      body,
+    });
+  }
+  assert.deepStrictEqual(await session.scan('   '), []);
+
+  // Test inventory mode counts scans and books them when the mode changes
+  await session.scan('MODE:INVENTORY');
+  const bookingsBefore = server.bookings().length;
+  await session.scan('4006381333931');
+  const [counted] = await session.scan('4006381333931');
+  await session.scan('SIXPACK');
+  assert.strictEqual(counted.type, 'counted');
+  assert.strictEqual(counted.count, 2);
+  assert.strictEqual(server.bookings().length, bookingsBefore);
+  const switched = await session.scan('MODE:CONSUME');
+  assert.deepStrictEqual(
+    switched.map((report) => [report.type, report.mode, report.amount]),
+    [
+      ['booking', 'inventory', 2],
+      ['booking', 'inventory', 6],
+      ['mode', 'consume', undefined],
+    ],
+  );
+  assert.deepStrictEqual(server.bookings().slice(-2), [
+    { method: 'POST', pathname: '/api/stock/products/1/inventory', body: { new_amount: 2 } },
+    { method: 'POST', pathname: '/api/stock/products/2/inventory', body: { new_amount: 6 } },
+  ]);
+
+  // Test unknown barcodes without a handler are reported as errors by process()
+  const reports = [];
+  for await (const report of session.process(['999', '4006381333931'])) {
+    reports.push(report);
+  }
+  assert.deepStrictEqual(
+    reports.map((report) => report.type),
+    ['error', 'booking'],
+  );
+  assert.ok(reports[0].error instanceof GrocyValidationError);
+  assert.strictEqual(reports[0].code, '999');
+
+  // Test the unknown barcode handler can create a product or link an existing one
+  const unknown = [];
+  const creating = client.scanSession({
+    mode: 'inventory',
+    onUnknownBarcode: ({ barcode, mode }) => {
+      unknown.push([barcode, mode]);
+      return barcode === 'NEW' ? { name: 'Oat milk', location_id: 1, qu_id_stock: 1 } : barcode === 'LINK' ? 1 : null;
+    },
+  });
+  const created = [];
+  for await (const report of creating.process(
+    (async function* () {
+      yield 'NEW';
+      yield 'LINK';
+      yield 'IGNORED';
+    })(),
+  )) {
+    created.push(report);
+  }
+  assert.deepStrictEqual(unknown, [
+    ['NEW', 'inventory'],
+    ['LINK', 'inventory'],
+    ['IGNORED', 'inventory'],
+  ]);
+  assert.deepStrictEqual(
+    created.map((report) => [report.type, report.product?.name]),
+    [
+      ['counted', 'Oat milk'],
+      ['counted', 'Milk'],
+      ['skipped', undefined],
+      ['booking', 'Oat milk'],
+      ['booking', 'Milk'],
+    ],
+  );
+  const objectCalls = server.calls.filter((call) => call.pathname.startsWith('/api/objects/product') && call.body);
+  assert.deepStrictEqual(
+    objectCalls.map((call) => [call.pathname, call.body]),
+    [
+      ['/api/objects/products', { name: 'Oat milk', location_id: 1, qu_id_stock: 1 }],
+      ['/api/objects/product_barcodes', { product_id: 100, barcode: 'NEW' }],
+      ['/api/objects/product_barcodes', { product_id: 1, barcode: 'LINK' }],
+    ],
+  );
+
+  // Test invalid modes
+  assert.throws(() => client.scanSession({ mode: 'sell' }), /Unknown scan mode "sell"/);
+  assert.throws(() => client.scanSession({ modeBarcodes: { X: 'sell' } }), TypeError);
+});
+
+// Undo
+test('Undo stock transactions', async (t) => {
+  let transaction = 0;
+  const fetchMock = t.mock.method(global, 'fetch', (url) => {
+    const { pathname } = new URL(url);
+    if (pathname.endsWith('/undo')) {
+      return Promise.resolve(createMockResponse(204, null));
+    }
+    transaction++;
+    return Promise.resolve(
+      createMockResponse(200, [
+        { id: transaction * 10, transaction_id: `tx${transaction}` },
+        { id: transaction * 10 + 1, transaction_id: `tx${transaction}` },
+      ]),
+    );
+  });
+  const lastCall = () => new URL(fetchMock.mock.calls.at(-1).arguments[0]).pathname;
+
+  // Test the undo endpoints
+  const client = new Grocy(BASE_URL, API_KEY, { undoHistory: 3 });
+  assert.deepStrictEqual(await client.undoStockTransaction('abc'), { success: true });
+  assert.strictEqual(lastCall(), '/api/stock/transactions/abc/undo');
+  assert.strictEqual(fetchMock.mock.calls.at(-1).arguments[1].method, 'POST');
+  await client.undoStockBooking(42);
+  assert.strictEqual(lastCall(), '/api/stock/bookings/42/undo');
+
+  // Test stock actions are remembered, up to the history size
+  await client.addProductToStock(1, { amount: 1 });
+  await client.consumeProductByBarcode('123', { amount: 1 });
+  await client.transferProduct(1, { amount: 1, location_id_from: 1, location_id_to: 2 });
+  await client.inventoryProduct(1, { new_amount: 3 });
+  await client.openProduct(1, { amount: 1 });
+  await client.getObjects('stock_log');
+  assert.deepStrictEqual(
+    client.transactions.map(({ transactionId, endpoint }) => [transactionId, endpoint]),
+    [
+      ['tx3', '/stock/products/1/transfer'],
+      ['tx4', '/stock/products/1/inventory'],
+      ['tx5', '/stock/products/1/open'],
+    ],
+  );
+
+  // Test undoLastAction undoes the most recent transaction first
+  const undone = await client.undoLastAction();
+  assert.strictEqual(undone.transactionId, 'tx5');
+  assert.strictEqual(undone.entries.length, 2);
+  assert.strictEqual(lastCall(), '/api/stock/transactions/tx5/undo');
+
+  // Test undoing directly also updates the history
+  await client.undoStockTransaction('tx4');
+  await client.undoStockBooking(30);
+  assert.strictEqual(client.transactions[0].entries.length, 1);
+  await client.undoStockBooking(31);
+  assert.strictEqual(client.transactions.length, 0);
+  await assert.rejects(client.undoLastAction(), { name: 'GrocyError', message: 'There is no stock action to undo' });
+
+  // Test a failed undo keeps the transaction
+  await client.addProductToStock(1, { amount: 1 });
+  fetchMock.mock.mockImplementation(() =>
+    Promise.resolve(createMockResponse(400, { error_message: 'Transaction is already undone' })),
+  );
+  await assert.rejects(client.undoLastAction(), GrocyValidationError);
+  assert.strictEqual(client.transactions.length, 1);
+
+  // Test the history can be disabled
+  const forgetful = new Grocy(BASE_URL, API_KEY, { undoHistory: 0 });
+  fetchMock.mock.mockImplementation(() => Promise.resolve(createMockResponse(200, [{ id: 1, transaction_id: 'x' }])));
+  await forgetful.addProductToStock(1, { amount: 1 });
+  assert.deepStrictEqual(forgetful.transactions, []);
+});
+
+// Shopping list helpers
+function createShoppingListServer() {
+  const server = createObjectServer(
+    {
+      shopping_lists: [{ id: 1, name: 'Groceries' }],
+      shopping_list: [
+        { id: 1, shopping_list_id: 1, product_id: 10, amount: '2', qu_id: 3, done: 1, note: null },
+        { id: 2, shopping_list_id: 1, product_id: 11, amount: '1', qu_id: null, done: 0, note: null },
+        { id: 3, shopping_list_id: 1, product_id: null, amount: '1', qu_id: null, done: 1, note: 'Birthday candles' },
+        { id: 4, shopping_list_id: 1, product_id: 12, amount: '6', qu_id: 3, done: 1, note: null },
+      ],
+      products: [
+        { id: 10, name: 'Milk', qu_id_purchase: 4 },
+        { id: 11, name: 'Bread', qu_id_purchase: 4 },
+        { id: 12, name: 'Eggs', qu_id_purchase: 4 },
+      ],
+      quantity_units: [
+        { id: 3, name: 'Pack' },
+        { id: 4, name: 'Piece' },
+      ],
+    },
+    ({ pathname }) => {
+      if (pathname === `/api/objects/shopping_list/${server.failItemId}`) {
+        return createMockResponse(400, { error_message: 'Shopping list does not exist' });
+      }
+      const productId = Number(pathname.match(/^\/api\/stock\/products\/(\d+)\/add$/)?.[1]);
+      if (productId === server.failProductId) return createMockResponse(400, { error_message: 'Invalid location' });
+      if (productId) {
+        const entry = { id: productId * 10, product_id: productId, transaction_id: `tx${productId}` };
+        return createMockResponse(200, [entry]);
+      }
+      return null;
+    },
+  );
+  server.failProductId = null;
+  server.failItemId = null;
+  return server;
+}
+
+test('Shopping list helpers', async () => {
+  const server = createShoppingListServer();
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+
+  // Test getShoppingLists
+  assert.deepStrictEqual(await client.getShoppingLists(), [{ id: 1, name: 'Groceries' }]);
+
+  // Test getShoppingListItems joins products and quantity units
+  const items = await client.getShoppingListItems(1);
+  const itemsCall = server.calls.find((call) => call.pathname === '/api/objects/shopping_list');
+  assert.deepStrictEqual(itemsCall.searchParams.getAll('query[]'), ['shopping_list_id=1']);
+  assert.deepStrictEqual(
+    items.map((item) => [item.id, item.product?.name ?? null, item.quantity_unit?.name ?? null]),
+    [
+      [1, 'Milk', 'Pack'],
+      [2, 'Bread', 'Piece'],
+      [3, null, null],
+      [4, 'Eggs', 'Pack'],
+    ],
+  );
+
+  // Test setShoppingListItemDone sets or toggles the done flag
+  assert.strictEqual(await client.setShoppingListItemDone(1, false), false);
+  assert.strictEqual(server.writes().at(-1).method, 'PUT');
+  assert.strictEqual(server.writes().at(-1).pathname, '/api/objects/shopping_list/1');
+  assert.deepStrictEqual(server.writes().at(-1).body, { done: 0 });
+  assert.strictEqual(await client.setShoppingListItemDone(2), true);
+  assert.deepStrictEqual(server.writes().at(-1).body, { done: 1 });
+
+  // Test moveShoppingListItems
+  await client.moveShoppingListItems([1, 2], 2);
+  await client.moveShoppingListItems(4, 3);
+  assert.deepStrictEqual(
+    server.writes().slice(-3).map((call) => [call.pathname, call.body]),
+    [
+      ['/api/objects/shopping_list/1', { shopping_list_id: 2 }],
+      ['/api/objects/shopping_list/2', { shopping_list_id: 2 }],
+      ['/api/objects/shopping_list/4', { shopping_list_id: 3 }],
+    ],
+  );
+
+  // Test a failed move puts the items moved before it back on the lists they came from
+  server.failItemId = 4;
+  const moveFrom = server.writes().length;
+  await assert.rejects(client.moveShoppingListItems([1, 4], 9), GrocyValidationError);
+  server.failItemId = null;
+  assert.deepStrictEqual(
+    server.writes().slice(moveFrom).map((call) => [call.pathname, call.body]),
+    [
+      ['/api/objects/shopping_list/1', { shopping_list_id: 9 }],
+      ['/api/objects/shopping_list/4', { shopping_list_id: 9 }],
+      ['/api/objects/shopping_list/1', { shopping_list_id: 2 }],
+    ],
+  );
+  assert.strictEqual(server.tables.shopping_list[0].shopping_list_id, 2);
+
+  // Test a failed booking undoes the earlier ones and keeps the list
+  const purchaseServer = createShoppingListServer();
+  const purchaseClient = new Grocy(BASE_URL, API_KEY, { fetch: purchaseServer.fetch });
+  purchaseServer.failProductId = 12;
+  await assert.rejects(purchaseClient.purchaseShoppingList(1, { doneOnly: false }), GrocyValidationError);
+  purchaseServer.failProductId = null;
+  assert.deepStrictEqual(
+    purchaseServer.writes().map((call) => [call.method, call.pathname]),
+    [
+      ['POST', '/api/stock/products/10/add'],
+      ['POST', '/api/stock/products/11/add'],
+      ['POST', '/api/stock/products/12/add'],
+      ['POST', '/api/stock/transactions/tx11/undo'],
+      ['POST', '/api/stock/transactions/tx10/undo'],
+    ],
+  );
+  assert.strictEqual(purchaseServer.tables.shopping_list.length, 4);
+
+  // Test purchaseShoppingList books the bought products and removes them from the list
+  const writesBefore = purchaseServer.writes().length;
+  const purchased = await purchaseClient.purchaseShoppingList(1, { data: { location_id: 2 } });
+  assert.deepStrictEqual(
+    purchased.map((item) => [item.id, item.entries[0].transaction_id]),
+    [
+      [1, 'tx10'],
+      [4, 'tx12'],
+    ],
+  );
+  const purchaseBody = (amount) => ({ amount, transaction_type: 'purchase', location_id: 2 });
+  assert.deepStrictEqual(
+    purchaseServer.writes().slice(writesBefore).map((call) => [call.method, call.pathname, call.body]),
+    [
+      ['POST', '/api/stock/products/10/add', purchaseBody(2)],
+      ['POST', '/api/stock/products/12/add', purchaseBody(6)],
+      ['DELETE', '/api/objects/shopping_list/1', null],
+      ['DELETE', '/api/objects/shopping_list/4', null],
+    ],
+  );
+  assert.deepStrictEqual(purchaseServer.tables.shopping_list.map((item) => item.id), [2, 3]);
+
+  // Test a failed removal keeps the bookings made and reports them with the items removed until then
+  const removeServer = createShoppingListServer();
+  const removeClient = new Grocy(BASE_URL, API_KEY, { fetch: removeServer.fetch });
+  removeServer.failItemId = 4;
+  await assert.rejects(removeClient.purchaseShoppingList(1), (error) => {
+    assert.ok(error instanceof GrocyValidationError);
+    assert.deepStrictEqual(
+      error.purchased.map((item) => [item.id, item.entries[0].transaction_id]),
+      [
+        [1, 'tx10'],
+        [4, 'tx12'],
+      ],
+    );
+    assert.deepStrictEqual(error.removed, [1]);
+    return true;
+  });
+  assert.ok(removeServer.writes().every((call) => !call.pathname.endsWith('/undo')));
+});
+
+// Meal plan
+function createMealPlanServer() {
+  // Recipe 5 needs 1 of product 20 per 2 servings (product 22 is not checked against the stock), recipe 6 needs 2 of
+  // product 21 and includes recipe 7
+  return createObjectServer(
+    {
+      meal_plan: [
+        { id: 1, day: '2024-03-04', type: 'recipe', recipe_id: 5, recipe_servings: 2, section_id: 1 },
+        { id: 2, day: '2024-03-04', type: 'note', note: 'Leftovers' },
+        { id: 3, day: '2024-03-06', type: 'recipe', recipe_id: 6, recipe_servings: 1 },
+        { id: 4, day: '2024-03-08', type: 'recipe', recipe_id: 5, recipe_servings: 4 },
+        { id: 5, day: '2024-03-09', type: 'product', product_id: 20, product_amount: 3 },
+        { id: 6, day: '2024-03-10', type: 'product', product_id: 21, product_amount: 1 },
+      ],
+      meal_plan_sections: [{ id: 1, name: 'Dinner' }],
+      recipes: [
+        { id: 5, name: 'Pancakes', base_servings: 2, desired_servings: 2 },
+        { id: 6, name: 'Pasta', base_servings: 1, desired_servings: 1 },
+        { id: 7, name: 'Sauce', base_servings: 1, desired_servings: 1 },
+      ],
+      recipes_pos: [
+        { id: 50, recipe_id: 5, product_id: 20, amount: 1 },
+        { id: 51, recipe_id: 5, product_id: 22, amount: 1, not_check_stock_fulfillment: 1 },
+        { id: 60, recipe_id: 6, product_id: 21, amount: 2 },
+        { id: 70, recipe_id: 7, product_id: 20, amount: 0.5 },
+      ],
+      recipes_nestings: [{ id: 1, recipe_id: 6, includes_recipe_id: 7, servings: 1 }],
+      shopping_list: [{ id: 1, product_id: 20, amount: 1 }],
+    },
+    ({ pathname }) =>
+      pathname === '/api/stock' ? createMockResponse(200, [{ product_id: 20, amount: 1, amount_aggregated: 1 }]) : null,
+  );
+}
+
+test('Meal plan', async () => {
+  const server = createMealPlanServer();
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+
+  // Test getMealPlanWeek reads Monday to Sunday and groups the entries by day
+  const week = await client.getMealPlanWeek('2024-03-06');
+  const planCall = server.calls.find((call) => call.pathname === '/api/objects/meal_plan');
+  assert.deepStrictEqual(planCall.searchParams.getAll('query[]'), ['day>=2024-03-04', 'day<=2024-03-10']);
+  assert.strictEqual(planCall.searchParams.get('order'), 'day:asc');
+  assert.strictEqual(week.from, '2024-03-04');
+  assert.strictEqual(week.to, '2024-03-10');
+  assert.deepStrictEqual(week.sections, [{ id: 1, name: 'Dinner' }]);
+  assert.deepStrictEqual(
+    week.days.map(({ day, entries }) => [day, entries.map((entry) => entry.id)]),
+    [
+      ['2024-03-04', [1, 2]],
+      ['2024-03-05', []],
+      ['2024-03-06', [3]],
+      ['2024-03-07', []],
+      ['2024-03-08', [4]],
+      ['2024-03-09', [5]],
+      ['2024-03-10', [6]],
+    ],
+  );
+
+  // Test the week start and Date input
+  const sundayWeek = await client.getMealPlanWeek(new Date(2024, 2, 6, 15, 30), { weekStart: 0 });
+  assert.strictEqual(sundayWeek.from, '2024-03-03');
+  assert.strictEqual(sundayWeek.to, '2024-03-09');
+  await assert.rejects(client.getMealPlanWeek('06.03.2024'), TypeError);
+
+  // Test the week's needs add up the scaled recipes, including nested ones, and the planned products per product
+  const fulfillment = await client.getMealPlanFulfillment('2024-03-10');
+  assert.deepStrictEqual(fulfillment.products, [
+    {
+      product_id: 20,
+      amount: 6.5,
+      stock_amount: 1,
+      shopping_list_amount: 1,
+      missing_amount: 5.5,
+      missing_amount_with_shopping_list: 4.5,
+    },
+    {
+      product_id: 21,
+      amount: 3,
+      stock_amount: 0,
+      shopping_list_amount: 0,
+      missing_amount: 3,
+      missing_amount_with_shopping_list: 3,
+    },
+  ]);
+  assert.strictEqual(fulfillment.need_fulfilled, false);
+  assert.strictEqual(fulfillment.need_fulfilled_with_shopping_list, false);
+  assert.strictEqual(fulfillment.missing_products_count, 2);
+  assert.strictEqual(fulfillment.entries.length, 6);
+
+  // Test ingredients excluded from the stock check are not needed, even when they are not in stock
+  assert.ok(fulfillment.products.every((product) => product.product_id !== 22));
+
+  // Test the amounts not covered by the stock and the shopping lists go to the given list
+  const added = await client.addMealPlanToShoppingList('2024-03-04', { listId: 2 });
+  assert.deepStrictEqual(added, {
+    products: [
+      { product_id: 20, amount: 4.5 },
+      { product_id: 21, amount: 3 },
+    ],
+  });
+  assert.deepStrictEqual(
+    server.writes().map((call) => [call.pathname, call.body]),
+    [
+      ['/api/stock/shoppinglist/add-product', { product_id: 20, list_id: 2, product_amount: 4.5 }],
+      ['/api/stock/shoppinglist/add-product', { product_id: 21, list_id: 2, product_amount: 3 }],
+    ],
+  );
+
+  // Test the products and conversions are loaded once for all planned and nested recipes
+  assert.strictEqual(server.count('/api/objects/products'), 1);
+  assert.strictEqual(server.count('/api/objects/quantity_unit_conversions'), 1);
+
+  // Test adding recipes, products and notes to a day and section
+  const writesBefore = server.writes().length;
+  await client.addRecipeToMealPlan('2024-03-05', 5, { servings: 3, sectionId: 1 });
+  await client.addProductToMealPlan(new Date(2024, 2, 5), 20, { amount: 2, quId: 4 });
+  await client.addNoteToMealPlan('2024-03-05', 'Eat out', { sectionId: 2 });
+  assert.deepStrictEqual(
+    server.writes().slice(writesBefore).map((call) => call.body),
+    [
+      { day: '2024-03-05', type: 'recipe', recipe_id: 5, recipe_servings: 3, section_id: 1 },
+      { day: '2024-03-05', type: 'product', product_id: 20, product_amount: 2, product_qu_id: 4 },
+      { day: '2024-03-05', type: 'note', note: 'Eat out', section_id: 2 },
+    ],
+  );
+  assert.strictEqual((await client.getMealPlanWeek('2024-03-05')).days[1].entries.length, 3);
+});
+
+test('Recipe builder, scaling and partial consumption', async () => {
+  const server = createObjectServer(
+    {
+      products: [
+        { id: 1, name: 'Flour', qu_id_stock: 1 },
+        { id: 2, name: 'Eggs', qu_id_stock: 2 },
+        { id: 3, name: 'Milk', qu_id_stock: 3 },
+      ],
+      quantity_unit_conversions: [
+        { id: 1, from_qu_id: 1, to_qu_id: 4, factor: 0.001, product_id: null }, // g -> kg
+        { id: 2, from_qu_id: 5, to_qu_id: 3, factor: 1000, product_id: 3 }, // l -> ml for milk
+      ],
+      recipes: [{ id: 7, name: 'Sauce', base_servings: 2 }],
+      recipes_pos: [{ id: 70, recipe_id: 7, product_id: 3, amount: 100 }],
+    },
+    ({ method, pathname, body }) => {
+      const consumed = pathname.match(/^\/api\/stock\/products\/(\d+)\/consume$/);
+      if (consumed && Number(consumed[1]) === server.failProductId) {
+        server.onFail?.();
+        return createMockResponse(400, { error_message: 'Amount not in stock' });
+      }
+      if (consumed) {
+        return createMockResponse(200, [{ id: 1, transaction_id: `tx${consumed[1]}`, amount: -body.amount }]);
+      }
+      if (method === 'POST' && pathname.startsWith('/api/recipes/')) return createMockResponse(204);
+      if (pathname === `/api/stock/transactions/${server.failUndo}/undo`) {
+        return createMockResponse(400, { error_message: 'Transaction already undone' });
+      }
+      if (pathname.startsWith('/api/stock/transactions/')) return createMockResponse(204);
+      return null;
+    },
+  );
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+
+  // Test a recipe is created with its ingredients and nestings in one call
+  const builder = client
+    .buildRecipe({ name: 'Pancakes', base_servings: 4, desired_servings: 4 })
+    .ingredient(1, 500, { qu_id: 4, note: 'sifted' })
+    .ingredient(2, 3, { round_up: true })
+    .ingredient(3, 500, { qu_id: 5 })
+    .nest(7, 2);
+  assert.ok(builder instanceof RecipeBuilder);
+  const saved = await builder.save();
+  assert.deepStrictEqual(saved, { id: 100, ingredientIds: [101, 102, 103], nestingIds: [104] });
+  assert.deepStrictEqual(server.tables.recipes_pos.at(-1), {
+    qu_id: 5,
+    product_id: 3,
+    amount: 500,
+    recipe_id: 100,
+    id: 103,
+  });
+  assert.deepStrictEqual(server.tables.recipes_nestings, [
+    { includes_recipe_id: 7, servings: 2, recipe_id: 100, id: 104 },
+  ]);
+  assert.strictEqual(server.tables.recipes_pos[2].round_up, 1);
+
+  // Test saving again updates instead of duplicating
+  const writesBefore = server.writes().length;
+  await builder.set({ description: 'Fluffy' }).save();
+  assert.ok(server.writes().slice(writesBefore).every((call) => call.method === 'PUT'));
+  assert.strictEqual(server.tables.recipes_pos.length, 4);
+
+  // Test a loaded recipe syncs changed, new and removed rows
+  const loaded = await client.loadRecipe(100);
+  assert.strictEqual(loaded.recipe.description, 'Fluffy');
+  loaded.ingredients = loaded.ingredients.filter((ingredient) => ingredient.product_id !== 2);
+  loaded.ingredients[0].amount = 250;
+  loaded.ingredient(2, 2);
+  loaded.nestings = [];
+  await loaded.save();
+  assert.deepStrictEqual(
+    server.tables.recipes_pos.filter((row) => row.recipe_id === 100).map((row) => [row.id, row.product_id, row.amount]),
+    [
+      [101, 1, 250],
+      [103, 3, 500],
+      [105, 2, 2],
+    ],
+  );
+  assert.deepStrictEqual(server.tables.recipes_nestings, []);
+
+  // Test invalid rows are rejected before anything is saved
+  const writesBeforeInvalid = server.writes().length;
+  await assert.rejects(client.buildRecipe({ name: 'Broken' }).ingredient(1, 'lots').save(), GrocyInputError);
+  assert.strictEqual(server.writes().length, writesBeforeInvalid);
+
+  // Test scaling with quantity unit conversion
+  loaded.nest(7, 2);
+  await loaded.save();
+  const scaled = await client.getScaledRecipe(100, 2);
+  assert.strictEqual(scaled.factor, 0.5);
+  assert.deepStrictEqual(
+    scaled.ingredients.map((ingredient) => [
+      ingredient.product.name,
+      ingredient.amount,
+      ingredient.display_amount,
+      ingredient.display_qu_id,
+    ]),
+    [
+      ['Flour', 125, 0.125, 4],
+      ['Milk', 250, 0.25, 5],
+      ['Eggs', 1, 1, 2],
+    ],
+  );
+  assert.strictEqual(scaled.nestings[0].servings, 1);
+  assert.strictEqual((await client.getScaledRecipe(100)).factor, 1);
+
+  // Test consumeRecipe without options uses Grocy's own endpoint
+  await client.consumeRecipe(100);
+  const { method, pathname, body } = server.calls.at(-1);
+  assert.deepStrictEqual([method, pathname, body], ['POST', '/api/recipes/100/consume', null]);
+
+  // Test partial servings with excluded ingredients, including nested recipes
+  const consumed = await client.consumeRecipePartially(100, { servings: 2, excludeProductIds: [2] });
+  assert.deepStrictEqual(
+    consumed.map(({ product_id: productId, amount }) => [productId, amount]),
+    [
+      [1, 125],
+      [3, 250],
+      [3, 50],
+    ],
+  );
+  assert.deepStrictEqual(server.writes().at(-1).body, { amount: 50, transaction_type: 'consume', recipe_id: 100 });
+
+  // Test the products and conversions are loaded once for all scaling, nested recipes included
+  assert.strictEqual(server.count('/api/objects/products'), 1);
+  assert.strictEqual(server.count('/api/objects/quantity_unit_conversions'), 1);
+
+  // Test a failing ingredient undoes the ones consumed before it
+  server.failProductId = 3;
+  const failFrom = server.writes().length;
+  await assert.rejects(
+    client.consumeRecipePartially(100, { servings: 4, excludeIngredientIds: [105] }),
+    GrocyValidationError,
+  );
+  assert.deepStrictEqual(
+    server.writes().slice(failFrom).map((call) => call.pathname),
+    ['/api/stock/products/1/consume', '/api/stock/products/3/consume', '/api/stock/transactions/tx1/undo'],
+  );
+
+  // Test the bookings are undone even when an abort made the consumption fail, and undo failures are reported
+  const controller = new AbortController();
+  server.onFail = () => controller.abort();
+  server.failUndo = 'tx1';
+  const abortFrom = server.writes().length;
+  const failure = await client
+    .consumeRecipePartially(100, { servings: 4, excludeIngredientIds: [105] }, { signal: controller.signal })
+    .catch((error) => error);
+  assert.strictEqual(failure.name, 'AbortError');
+  assert.strictEqual(failure.undoErrors.length, 1);
+  assert.ok(failure.undoErrors[0] instanceof GrocyValidationError);
+  assert.deepStrictEqual(server.writes().slice(abortFrom).at(-1).pathname, '/api/stock/transactions/tx1/undo');
+});
+
+test('Quantity unit conversion', async () => {
+  const server = createObjectServer(
+    {
+      quantity_units: [
+        { id: 1, name: 'Gram', name_plural: 'Grams' },
+        { id: 2, name: 'Kilogram', name_plural: 'Kilograms' },
+        { id: 3, name: 'Piece', name_plural: 'Pieces' },
+        { id: 4, name: 'Pack', name_plural: 'Packs' },
+        { id: 5, name: 'Liter', name_plural: 'Liters' },
+      ],
+      quantity_unit_conversions: [
+        { id: 1, from_qu_id: 2, to_qu_id: 1, factor: 1000, product_id: null }, // kg -> g
+        { id: 2, from_qu_id: 3, to_qu_id: 1, factor: 60, product_id: null }, // piece -> g
+        { id: 3, from_qu_id: 3, to_qu_id: 1, factor: 50, product_id: 2 }, // piece -> g for eggs
+      ],
+      products: [
+        { id: 1, name: 'Flour', qu_id_stock: 1, qu_id_purchase: 2, qu_factor_purchase_to_stock: 1000 },
+        { id: 2, name: 'Eggs', qu_id_stock: 1, qu_id_purchase: 4, qu_factor_purchase_to_stock: 0 },
+        { id: 3, name: 'Butter', qu_id_stock: 3, qu_id_purchase: 4, qu_factor_purchase_to_stock: 4 },
+      ],
+    },
+    ({ method, pathname, body }) => {
+      if (pathname === '/api/stock/products/by-barcode/4001/consume') return createMockResponse(200, [body]);
+      if (pathname === '/api/stock/products/by-barcode/4001') return createMockResponse(200, { product: { id: 3 } });
+      if (method === 'POST' && pathname.startsWith('/api/stock/')) return createMockResponse(200, [body]);
+      return null;
+    },
+  );
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+
+  // Test the converter follows chains of conversions and their inverses
+  const converter = await client.getUnitConverter();
+  assert.ok(converter instanceof UnitConverter);
+  assert.strictEqual(converter.convert(2, 'Kilograms', 'gram'), 2000);
+  assert.strictEqual(converter.convert(120, 1, 3), 2);
+  assert.strictEqual(converter.convert(1, 'Piece', 'Kilogram'), 0.06);
+  assert.strictEqual(converter.getFactor(3, 5), null);
+
+  // Test product-specific conversions and purchase factors take precedence
+  assert.strictEqual(converter.convert(2, 'Pieces', 'Grams', 2), 100);
+  assert.strictEqual(converter.convert(2, 'Packs', 'Grams', 3), 480);
+  assert.strictEqual(converter.toStockAmount(1, 0.5, 'Kilogram'), 500);
+
+  // Test unknown units and impossible conversions are rejected locally
+  assert.throws(() => converter.convert(1, 'Bushel', 'Gram'), /Unknown quantity unit "Bushel"/);
+  assert.throws(() => converter.convert(1, 'Liter', 'Gram', 1), GrocyInputError);
+  assert.throws(() => converter.toStockAmount(99, 1, 'Gram'), /Unknown product 99/);
+
+  // Test the data is loaded once and reloaded on request
+  assert.strictEqual(await client.getUnitConverter(), converter);
+  const loads = server.calls.length;
+  assert.notStrictEqual(await client.getUnitConverter({ refresh: true }), converter);
+  assert.strictEqual(server.calls.length, loads + 3);
+
+  // Test stock methods translate amounts given in another unit to the stock unit
+  await client.addProductToStock(1, { amount: 2, unit: 'Kilograms', price: 1.5 });
+  assert.strictEqual(server.calls.at(-1).pathname, '/api/stock/products/1/add');
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 2000, price: 1.5 });
+  await client.inventoryProduct(2, { new_amount: 6, unit: 3 });
+  assert.deepStrictEqual(server.calls.at(-1).body, { new_amount: 300 });
+  await client.consumeProductByBarcode('4001', { amount: 1, unit: 'Pack' });
+  assert.deepStrictEqual(
+    server.calls.slice(-2).map(({ pathname, body }) => [pathname, body]),
+    [
+      ['/api/stock/products/by-barcode/4001', null],
+      ['/api/stock/products/by-barcode/4001/consume', { amount: 4 }],
+    ],
+  );
+
+  // Test amounts without a unit are sent unchanged and without extra requests
+  const requests = server.calls.length;
+  await client.consumeProduct(1, { amount: 5 });
+  assert.strictEqual(server.calls.length, requests + 1);
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 5 });
+
+  // Test a failed conversion reloads the converter once and doesn't book anything
+  const beforeFailure = server.calls.length;
+  await assert.rejects(client.openProduct(1, { amount: 1, unit: 'Liter' }), GrocyInputError);
+  assert.deepStrictEqual(
+    server.calls.slice(beforeFailure).map((call) => call.pathname),
+    ['/api/objects/quantity_units', '/api/objects/quantity_unit_conversions', '/api/objects/products'],
+  );
+
+  // Test products and units created after the converter was loaded are found, and numeric strings are unit IDs
+  server.tables.quantity_units.push({ id: 6, name: 'Crate', name_plural: 'Crates' });
+  server.tables.products.push({
+    id: 4,
+    name: 'Water',
+    qu_id_stock: 3,
+    qu_id_purchase: 6,
+    qu_factor_purchase_to_stock: 6,
+  });
+  await client.addProductToStock(4, { amount: 2, unit: 'Crates' });
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 12 });
+  await client.addProductToStock(4, { amount: 1, unit: '6' });
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 6 });
+
+  // Test concurrent callers share one load that doesn't use the first caller's signal
+  const controller = new AbortController();
+  const loadFrom = server.calls.length;
+  const aborted = client.getUnitConverter({ refresh: true }, { signal: controller.signal });
+  const shared = client.getUnitConverter();
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+  assert.ok((await shared) instanceof UnitConverter);
+  assert.strictEqual(server.calls.length, loadFrom + 3);
+
+  // Test changed factors are used once this client changed them
+  await client.quantityUnitConversions.update(1, { factor: 500 });
+  await client.addProductToStock(2, { amount: 1, unit: 'Kilogram' });
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 500 });
+  await client.products.update(3, { qu_factor_purchase_to_stock: 10 });
+  await client.addProductToStock(3, { amount: 1, unit: 'Pack' });
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 10 });
+
+  // Test with the response cache, changes made elsewhere are picked up once the database changed
+  let changedTime = '2024-01-01 10:00:00';
+  const cachedClient = new Grocy(BASE_URL, API_KEY, {
+    fetch: async (url, options) =>
+      url.pathname === '/api/system/db-changed-time'
+        ? createMockResponse(200, { changed_time: changedTime })
+        : server.fetch(url, options),
+    cache: { checkInterval: 0 },
+  });
+  await cachedClient.addProductToStock(2, { amount: 1, unit: 'Kilogram' });
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 500 });
+  server.tables.quantity_unit_conversions[0].factor = 1000;
+  changedTime = '2024-01-01 11:00:00';
+  await cachedClient.addProductToStock(2, { amount: 1, unit: 'Kilogram' });
+  assert.deepStrictEqual(server.calls.at(-1).body, { amount: 1000 });
+});
+
+test('Chore and battery planning', async () => {
+  const alice = { id: 1, display_name: 'Alice' };
+  const chores = [
+    {
+      chore_id: 1,
+      chore_name: 'Vacuum',
+      next_estimated_execution_time: '2026-10-21 18:00:00',
+      track_date_only: 0,
+      next_execution_assigned_to_user_id: 1,
+      next_execution_assigned_user: alice,
+    },
+    {
+      chore_id: 2,
+      chore_name: 'Water plants',
+      next_estimated_execution_time: '2026-10-19 00:00:00',
+      track_date_only: 1,
+      next_execution_assigned_to_user_id: null,
+    },
+    { chore_id: 3, chore_name: 'Clean oven', next_estimated_execution_time: '2026-10-18 09:00:00', track_date_only: 0 },
+    { chore_id: 4, chore_name: 'Descale', next_estimated_execution_time: '2026-11-30 12:00:00', track_date_only: 0 },
+    { chore_id: 5, chore_name: 'Whenever', next_estimated_execution_time: null, track_date_only: 0 },
+  ];
+  const batteries = [
+    { battery_id: 8, next_estimated_charge_time: '2026-10-20 08:00:00' },
+    { battery_id: 9, next_estimated_charge_time: '2999-12-31 23:59:59' },
+  ];
+  const calls = [];
+  const client = new Grocy(BASE_URL, API_KEY, {
+    fetch: async (url, options) => {
+      const { pathname } = new URL(url);
+      calls.push({ method: options.method, pathname, body: options.body ? JSON.parse(options.body) : null });
+      if (pathname === '/api/chores') return createMockResponse(200, chores);
+      if (pathname === '/api/batteries') return createMockResponse(200, batteries);
+      if (pathname === '/api/objects/batteries') return createMockResponse(200, [{ id: 8, name: 'Smoke detector' }]);
+      return createMockResponse(200, {});
+    },
+  });
+  const now = new Date(2026, 9, 19, 12, 0, 0);
+
+  // Test the default window covers everything overdue and the next 7 days
+  const schedule = await client.getDueSchedule({ now });
+  assert.strictEqual(schedule.from, null);
+  assert.strictEqual(schedule.to, '2026-10-26 12:00:00');
+  assert.deepStrictEqual(
+    schedule.items.map((item) => [item.type, item.id, item.name, item.overdue, item.days_until]),
+    [
+      ['chore', 3, 'Clean oven', true, -1],
+      ['chore', 2, 'Water plants', false, 0],
+      ['battery', 8, 'Smoke detector', false, 1],
+      ['chore', 1, 'Vacuum', false, 2],
+    ],
+  );
+  assert.deepStrictEqual(schedule.overdue.map((item) => item.id), [3]);
+  assert.strictEqual(schedule.upcoming.length, 3);
+  assert.strictEqual(schedule.items[3].record, chores[0]);
+
+  // Test grouping by assigned user
+  assert.deepStrictEqual(
+    schedule.users.map(({ user_id: userId, user, items }) => [userId, user, items.map((item) => item.id)]),
+    [
+      [null, null, [3, 2, 8]],
+      [1, alice, [1]],
+    ],
+  );
+
+  // Test an explicit window, with the last day included as a whole
+  const window = await client.getDueSchedule({ from: '2026-10-20', to: '2026-11-30', now });
+  assert.strictEqual(window.to, '2026-11-30 23:59:59');
+  assert.deepStrictEqual(window.items.map((item) => item.id), [8, 1, 4]);
+  await assert.rejects(client.getDueSchedule({ to: 'next week' }), TypeError);
+
+  // Test tracked times, skipping and the undo and assignment endpoints
+  await client.executeChore(1, { tracked_time: new Date(2026, 9, 19, 8, 5, 0), done_by: 1, skipped: true });
+  await client.chargeBattery(8, { tracked_time: '2026-10-19 08:00:00' });
+  await client.undoChoreExecution(55);
+  await client.undoBatteryChargeCycle(66);
+  await client.calculateNextChoreAssignments({ chore_id: 1 });
+  assert.deepStrictEqual(calls.slice(-5), [
+    {
+      method: 'POST',
+      pathname: '/api/chores/1/execute',
+      body: { tracked_time: '2026-10-19 08:05:00', done_by: 1, skipped: true },
+    },
+    { method: 'POST', pathname: '/api/batteries/8/charge', body: { tracked_time: '2026-10-19 08:00:00' } },
+    { method: 'POST', pathname: '/api/chores/executions/55/undo', body: null },
+    { method: 'POST', pathname: '/api/batteries/charge-cycles/66/undo', body: null },
+    { method: 'POST', pathname: '/api/chores/executions/calculate-next-assignments', body: { chore_id: 1 } },
+  ]);
+});
+
+test('Parsed calendar events', async () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:grocy',
+    'X-WR-CALNAME:Grocy',
+    'BEGIN:VEVENT',
+    'UID:a1',
+    'DTSTART;VALUE=DATE:20261021',
+    'DTEND;VALUE=DATE:20261022',
+    'SUMMARY:Task due: Call the plumber\\, again',
+    'DESCRIPTION:Line one\\nLine two',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:a2',
+    'DTSTART:20261019T180000',
+    'DTEND:20261019T180000',
+    'SUMMARY:Chore due: Vacuum',
+    'URL;VALUE=URI:https://grocy.example.com/choretracking',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:a3',
+    'DTSTART:20261020T060000Z',
+    'SUMMARY:Battery charge cycle due: Smoke det',
+    ' ector',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:a4',
+    'DTSTART;VALUE=DATE:20261025',
+    'SUMMARY:Meal plan recipe: Pancakes',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:a5',
+    'DTSTART;VALUE=DATE:20261101',
+    'SUMMARY:Product due: Milk',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:a6',
+    'DTSTART:20261001T090000',
+    'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231T000000Z',
+    'SUMMARY:Team lunch',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  // Test the parser
+  const parsed = parseICalendar(ics);
+  assert.strictEqual(parsed.properties['X-WR-CALNAME'], 'Grocy');
+  assert.strictEqual(parsed.events.length, 6);
+  assert.deepStrictEqual(parsed.events[0], {
+    uid: 'a1',
+    summary: 'Task due: Call the plumber, again',
+    description: 'Line one\nLine two',
+    location: null,
+    url: null,
+    start: new Date(2026, 9, 21),
+    end: new Date(2026, 9, 22),
+    allDay: true,
+    recurrence: null,
+    properties: parsed.events[0].properties,
+  });
+  assert.strictEqual(parsed.events[1].url, 'https://grocy.example.com/choretracking');
+  assert.strictEqual(parsed.events[2].summary, 'Battery charge cycle due: Smoke detector');
+  assert.deepStrictEqual(parsed.events[2].start, new Date(Date.UTC(2026, 9, 20, 6)));
+  assert.deepStrictEqual(parsed.events[3].end, new Date(2026, 9, 26));
+  assert.deepStrictEqual(parsed.events[5].recurrence, {
+    freq: 'WEEKLY',
+    interval: 2,
+    byday: ['MO', 'TH'],
+    until: new Date(Date.UTC(2026, 11, 31)),
+  });
+  assert.throws(() => parseICalendar('BEGIN:VCALENDAR\nBEGIN:VEVENT\nEND:VCALENDAR'), SyntaxError);
+  assert.throws(() => parseICalendar('BEGIN:VCALENDAR\nnot a property'), /Invalid iCalendar line/);
+
+  const client = new Grocy(BASE_URL, API_KEY, {
+    fetch: async () => createMockResponse(200, ics, 'text/calendar'),
+  });
+
+  // Test events are typed and sorted, and the raw text is kept
+  const all = await client.getCalendarEvents();
+  assert.strictEqual(all.calendar, ics);
+  assert.strictEqual(all.properties.PRODID, 'grocy');
+  assert.deepStrictEqual(
+    all.events.map((event) => [event.uid, event.type, event.title]),
+    [
+      ['a6', null, 'Team lunch'],
+      ['a2', 'chore', 'Vacuum'],
+      ['a3', 'battery', 'Smoke detector'],
+      ['a1', 'task', 'Call the plumber, again'],
+      ['a4', 'meal-plan', 'Pancakes'],
+      ['a5', 'product-due', 'Milk'],
+    ],
+  );
+
+  // Test filtering by window and type
+  const week = await client.getCalendarEvents({ from: '2026-10-20', to: '2026-10-25' });
+  assert.deepStrictEqual(week.events.map((event) => event.uid), ['a6', 'a3', 'a1', 'a4']);
+  const tasks = await client.getCalendarEvents({ types: ['task', 'chore'], to: new Date(2026, 9, 20) });
+  assert.deepStrictEqual(tasks.events.map((event) => event.uid), ['a2']);
+
+  // Test patterns for a translated calendar
+  const translated = await client.getCalendarEvents({ typePatterns: { task: /^Aufgabe fällig: / }, types: ['task'] });
+  assert.strictEqual(translated.events.length, 0);
+});
+
+test('File downloads and uploads by plain file name', async () => {
+  const calls = [];
+  const files = { 'product-pictures': new Uint8Array([255, 216, 255, 224]) };
+  const client = new Grocy(BASE_URL, API_KEY, {
+    fetch: async (url, options) => {
+      const { pathname, searchParams } = new URL(url);
+      calls.push({ method: options.method, pathname, searchParams, body: options.body });
+      if (options.method === 'GET' && pathname.startsWith('/api/files/')) {
+        return new Response(files['product-pictures'], { headers: { 'content-type': 'application/json' } });
+      }
+      return new Response(null, { status: 204 });
+    },
+  });
+  // BASE64 of "Käse?.jpg" contains "/" and "=", which must be escaped in the path
+  const fileName = 'Käse?.jpg';
+  const encoded = 'S8Okc2U%2FLmpwZw%3D%3D';
+
+  // Test downloads encode the file name and return the raw content, whatever its content type
+  const download = await client.downloadFile('productpictures', fileName);
+  assert.strictEqual(calls[0].pathname, `/api/files/productpictures/${encoded}`);
+  assert.ok(Buffer.isBuffer(download.data));
+  assert.deepStrictEqual([...download.data], [255, 216, 255, 224]);
+  assert.strictEqual(download.contentType, 'application/json');
+  assert.strictEqual(download.fileName, fileName);
+
+  const blob = await client.downloadFile('productpictures', fileName, { as: 'blob' });
+  assert.ok(blob.data instanceof Blob);
+  assert.strictEqual(blob.data.size, 4);
+  const stream = await client.downloadFile('productpictures', fileName, { as: 'stream' });
+  assert.ok(stream.data instanceof ReadableStream);
+  assert.strictEqual((await new Response(stream.data).arrayBuffer()).byteLength, 4);
+  await assert.rejects(client.downloadFile('productpictures', fileName, { as: 'text' }), TypeError);
+
+  // Test the timeout also applies while the content is read
+  const stalling = new Grocy(BASE_URL, API_KEY, {
+    timeout: 20,
+    fetch: async (url, { signal }) =>
+      new Response(
+        new ReadableStream({
+          start(controller) {
+            controller.enqueue(new Uint8Array([1]));
+            signal.addEventListener('abort', () => controller.error(signal.reason));
+          },
+        }),
+      ),
+  });
+  await assert.rejects(stalling.downloadFile('productpictures', 'a.jpg'), GrocyTimeoutError);
+  const stalled = await stalling.downloadFile('productpictures', 'a.jpg', { as: 'stream' });
+  await assert.rejects(new Response(stalled.data).arrayBuffer(), GrocyTimeoutError);
+
+  // Test resizing serves the file as picture
+  await client.downloadFile('productpictures', 'a.jpg', { bestFitWidth: 200 });
+  assert.deepStrictEqual(Object.fromEntries(calls.at(-1).searchParams), {
+    force_serve_as: 'picture',
+    best_fit_width: '200',
+  });
+  await client.downloadFile('equipmentmanuals', 'manual.pdf', { forceServeAs: 'picture', bestFitHeight: 50 });
+  assert.deepStrictEqual(Object.fromEntries(calls.at(-1).searchParams), {
+    force_serve_as: 'picture',
+    best_fit_height: '50',
+  });
+
+  // Test uploads and deletes encode the file name too
+  const picture = new Uint8Array([1, 2, 3]);
+  assert.deepStrictEqual(await client.putFile('recipepictures', fileName, picture), { success: true });
+  assert.strictEqual(calls.at(-1).method, 'PUT');
+  assert.strictEqual(calls.at(-1).pathname, `/api/files/recipepictures/${encoded}`);
+  assert.strictEqual(calls.at(-1).body, picture);
+  await assert.rejects(client.putFile('recipepictures', fileName, 'not binary'), TypeError);
+  await client.removeFile('recipepictures', fileName);
+  assert.strictEqual(calls.at(-1).method, 'DELETE');
+  assert.strictEqual(calls.at(-1).pathname, `/api/files/recipepictures/${encoded}`);
+
+  // Test a product picture is uploaded and set on the product
+  const file = new File([picture], 'milk.png', { type: 'image/png' });
+  assert.deepStrictEqual(await client.uploadProductPicture(42, file), { fileName: 'milk.png' });
+  assert.deepStrictEqual(
+    calls.slice(-2).map(({ method, pathname }) => [method, pathname]),
+    [
+      ['PUT', `/api/files/productpictures/${encodeURIComponent(Buffer.from('milk.png').toString('base64'))}`],
+      ['PUT', '/api/objects/products/42'],
+    ],
+  );
+  assert.deepStrictEqual(JSON.parse(calls.at(-1).body), { picture_file_name: 'milk.png' });
+  await client.uploadProductPicture(42, picture, { fileName: 'milk-2.png' });
+  assert.deepStrictEqual(JSON.parse(calls.at(-1).body), { picture_file_name: 'milk-2.png' });
+  await assert.rejects(client.uploadProductPicture(42, picture), /A file name is required/);
+});
+
+test('Catalog import and export', async () => {
+  const server = createObjectServer({
+    locations: [{ id: 1, name: 'Fridge', is_freezer: 0, row_created_timestamp: '2026-01-01 10:00:00' }],
+    quantity_units: [{ id: 1, name: 'Piece', name_plural: 'Pieces' }],
+    product_groups: [],
+    shopping_locations: [{ id: 1, name: 'Corner shop' }],
+    products: [
+      {
+        id: 1,
+        name: 'Milk',
+        location_id: 1,
+        qu_id_stock: 1,
+        qu_id_purchase: 1,
+        min_stock_amount: '2',
+        shopping_location_id: 1,
+        row_created_timestamp: '2026-01-01 10:00:00',
+      },
+    ],
+    product_barcodes: [{ id: 1, product_id: 1, barcode: '4001' }],
+  });
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: server.fetch });
+
+  // Test exports refer to other objects by name and leave out IDs
+  const json = JSON.parse(await client.exportCatalog());
+  assert.deepStrictEqual(json, {
+    locations: [{ name: 'Fridge', is_freezer: 0 }],
+    quantity_units: [{ name: 'Piece', name_plural: 'Pieces' }],
+    product_groups: [],
+    shopping_locations: [{ name: 'Corner shop' }],
+    products: [
+      {
+        name: 'Milk',
+        location_id: 'Fridge',
+        qu_id_stock: 'Piece',
+        qu_id_purchase: 'Piece',
+        min_stock_amount: '2',
+        shopping_location_id: 'Corner shop',
+        barcodes: ['4001'],
+      },
+    ],
+  });
+  const csv = await client.exportCatalog({ format: 'csv' });
+  assert.strictEqual(
+    csv.products,
+    'name,location_id,qu_id_stock,qu_id_purchase,min_stock_amount,shopping_location_id,barcodes\r\n' +
+      'Milk,Fridge,Piece,Piece,2,Corner shop,4001',
+  );
+  assert.strictEqual(csv.shopping_locations, 'name\r\nCorner shop');
+  assert.strictEqual(csv.product_groups, '');
+  await assert.rejects(client.exportCatalog({ format: 'xml' }), TypeError);
+
+  // Test re-importing an export changes nothing
+  const reimport = await client.importCatalog(csv);
+  assert.deepStrictEqual(reimport.summary, { create: 0, update: 0, unchanged: 4 });
+  assert.strictEqual(server.writes().length, 0);
+
+  // Test a dry run reports the changes without writing them
+  const changed = {
+    locations: 'name,is_freezer\r\nFridge,0\r\n"Pantry, top shelf",0\r\n',
+    product_groups: [{ name: 'Dairy' }],
+    products: [
+      { name: 'Oat milk', parent_product_id: 'Rice' },
+      { name: 'Whole milk', location_id: 'pantry, top shelf', product_group_id: 'Dairy', barcodes: ['4001', '4002'] },
+      { name: 'Rice', location_id: 1, qu_id_stock: 'piece', qu_id_purchase: 'Piece', barcodes: '5001, 5002' },
+    ],
+  };
+  const preview = await client.importCatalog(JSON.stringify(changed), { dryRun: true });
+  assert.strictEqual(server.writes().length, 0);
+  assert.strictEqual(preview.dryRun, true);
+  assert.deepStrictEqual(preview.summary, { create: 4, update: 1, unchanged: 1 });
+  assert.deepStrictEqual(preview.changes[3], {
+    entity: 'products',
+    action: 'update',
+    name: 'Whole milk',
+    id: 1,
+    changes: {
+      name: { from: 'Milk', to: 'Whole milk' },
+      location_id: { from: 1, to: 'Pantry, top shelf' },
+      product_group_id: { from: null, to: 'Dairy' },
+    },
+    barcodes: ['4002'],
+  });
+
+  // Test the import creates referenced objects first, parent products included, and uses their new IDs
+  const result = await client.importCatalog(changed);
+  assert.deepStrictEqual(
+    server.writes().map(({ method, pathname, body }) => [method, pathname, body]),
+    [
+      ['POST', '/api/objects/locations', { name: 'Pantry, top shelf', is_freezer: '0' }],
+      ['POST', '/api/objects/product_groups', { name: 'Dairy' }],
+      ['PUT', '/api/objects/products/1', { name: 'Whole milk', location_id: 100, product_group_id: 101 }],
+      ['POST', '/api/objects/product_barcodes', { product_id: 1, barcode: '4002' }],
+      ['POST', '/api/objects/products', { name: 'Rice', location_id: 1, qu_id_stock: 1, qu_id_purchase: 1 }],
+      ['POST', '/api/objects/product_barcodes', { product_id: 103, barcode: '5001' }],
+      ['POST', '/api/objects/product_barcodes', { product_id: 103, barcode: '5002' }],
+      ['POST', '/api/objects/products', { name: 'Oat milk', parent_product_id: 103 }],
+    ],
+  );
+  assert.strictEqual(result.changes[4].id, 103);
+  assert.strictEqual(result.changes[5].id, 106);
+
+  // Test importing the same catalog again is a no-op
+  const writes = server.writes().length;
+  assert.deepStrictEqual((await client.importCatalog(changed)).summary, { create: 0, update: 0, unchanged: 6 });
+  assert.strictEqual(server.writes().length, writes);
+
+  // Test problems are all reported before anything is written
+  const invalid = {
+    products: [
+      { name: 'Bread', location_id: 'Cellar', min_stock_amount: 'a few' },
+      { location_id: 1 },
+      { name: 'Butter', barcodes: ['4001', '5001'] },
+    ],
+  };
+  await assert.rejects(client.importCatalog(invalid), (error) => {
+    assert.ok(error instanceof GrocyInputError);
+    assert.deepStrictEqual(error.problems, [
+      'products "Bread": unknown locations "Cellar" for location_id',
+      'products "Bread": min_stock_amount must be a number',
+      'products row 2: name is required',
+      'products "Butter": barcodes belong to different products',
+    ]);
+    return true;
+  });
+  await assert.rejects(client.importCatalog('{ not json'), /Invalid catalog JSON/);
+  await assert.rejects(client.importCatalog({ products: 'name\r\n"Milk' }), SyntaxError);
+  assert.strictEqual(server.writes().length, writes);
+});
+
+test('Backup and restore', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'grocy-backup-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+
+  // Serves the system info, users, userfields, files and stock bookings next to the objects
+  const uploads = {};
+  const handleApi = (version, users) => async ({ method, pathname, body }) => {
+    if (pathname === '/api/system/info') return createMockResponse(200, { grocy_version: { Version: version } });
+    if (pathname === '/api/users') return createMockResponse(200, users);
+    if (pathname === '/api/userfields/products/5') return createMockResponse(200, { brand: 'Acme' });
+    if (pathname.startsWith('/api/userfields/')) return createMockResponse(200, { brand: null });
+    if (method === 'GET' && pathname === '/api/files/equipmentmanuals/Z29uZS5wZGY%3D') {
+      return createMockResponse(404, { error_message: 'File not found' });
+    }
+    if (method === 'GET' && pathname.startsWith('/api/files/')) return new Response(new Uint8Array([1, 2, 3]));
+    if (method === 'PUT' && pathname.startsWith('/api/files/')) {
+      uploads[pathname] = Buffer.from(await new Response(body).arrayBuffer());
+      return createMockResponse(204);
+    }
+    if (pathname.endsWith('/add')) return createMockResponse(200, [{ stock_id: 'new-stock-1' }]);
+    if (method !== 'GET' && !pathname.startsWith('/api/objects/')) return createMockResponse(204);
+    return null;
+  };
+  const users = [
+    { id: 1, username: 'alice', first_name: 'Alice' },
+    { id: 2, username: 'bob', first_name: 'Bob' },
+  ];
+  const source = createObjectServer(
+    {
+      quantity_units: [{ id: 2, name: 'Piece' }],
+      locations: [{ id: 3, name: 'Fridge' }],
+      products: [
+        {
+          id: 5,
+          name: 'Milk',
+          location_id: 3,
+          qu_id_stock: 2,
+          qu_id_purchase: 2,
+          picture_file_name: 'milk.jpg',
+          row_created_timestamp: '2026-01-01 10:00:00',
+        },
+        { id: 6, name: 'Oat milk', location_id: 3, qu_id_stock: 2, qu_id_purchase: 2, parent_product_id: 5 },
+      ],
+      product_barcodes: [{ id: 1, product_id: 6, barcode: '4001' }],
+      shopping_lists: [
+        { id: 1, name: 'Shopping list' },
+        { id: 2, name: 'Party' },
+      ],
+      shopping_list: [
+        { id: 1, shopping_list_id: 2, product_id: 5, amount: 1 },
+        { id: 2, shopping_list_id: 2, product_id: 99, amount: 1 },
+      ],
+      recipes: [
+        { id: 7, name: 'Pancakes', type: 'normal' },
+        { id: 8, name: '2026-42', type: 'mealplan-week' },
+      ],
+      recipes_pos: [
+        { id: 9, recipe_id: 7, product_id: 5, amount: 1 },
+        { id: 10, recipe_id: 8, product_id: 5, amount: 1 },
+      ],
+      chores: [{ id: 4, name: 'Vacuum', assignment_config: '1,2', next_execution_assigned_to_user_id: 1 }],
+      tasks: [{ id: 11, name: 'Call plumber', assigned_to_user_id: 2 }],
+      equipment: [{ id: 1, name: 'Oven', instruction_manual_file_name: 'gone.pdf' }],
+      userfields: [{ id: 1, entity: 'products', name: 'brand', type: 'text-single-line' }],
+      stock: [{ id: 1, product_id: 5, amount: 2, best_before_date: '2026-11-01', location_id: 3, open: 1, note: null }],
+    },
+    handleApi('4.2.0', users),
+  );
+
+  // Test the backup writes a manifest with every entity, the users and userfield values, and the files next to it
+  const summary = await new Grocy(BASE_URL, API_KEY, { fetch: source.fetch }).backup(directory);
+  assert.strictEqual(summary.directory, directory);
+  assert.strictEqual(summary.grocyVersion, '4.2.0');
+  assert.strictEqual(summary.entities.products, 2);
+  assert.strictEqual(summary.entities.stock_log, 0);
+  assert.strictEqual(summary.userfields, 1);
+  assert.strictEqual(summary.files, 1);
+  assert.deepStrictEqual(summary.missingFiles, [{ group: 'equipmentmanuals', fileName: 'gone.pdf' }]);
+  assert.strictEqual(source.writes().length, 0);
+
+  const backup = JSON.parse(await readFile(join(directory, 'backup.json'), 'utf8'));
+  assert.strictEqual(backup.format, 'node-grocy-backup');
+  assert.strictEqual(backup.version, 1);
+  assert.strictEqual(backup.entities.products.length, 2);
+  assert.deepStrictEqual(backup.users, [
+    { id: 1, username: 'alice' },
+    { id: 2, username: 'bob' },
+  ]);
+  assert.deepStrictEqual(backup.userfields, { products: { 5: { brand: 'Acme' } } });
+  assert.deepStrictEqual(backup.files, [
+    { group: 'productpictures', fileName: 'milk.jpg', path: join('files', 'productpictures', 'milk.jpg') },
+  ]);
+  const picture = await readFile(join(directory, 'files', 'productpictures', 'milk.jpg'));
+  assert.deepStrictEqual(picture, Buffer.from([1, 2, 3]));
+
+  // Test a restore replays the objects in dependency order with new IDs, users matched by name
+  const target = createObjectServer(
+    { shopping_lists: [{ id: 1, name: 'Shopping list' }] },
+    handleApi('4.2.0', [{ id: 3, username: 'bob' }]),
+  );
+  const restored = await new Grocy(BASE_URL, API_KEY, { fetch: target.fetch }).restore(directory);
+  assert.deepStrictEqual(
+    target.writes().map(({ method, pathname, body }) => [method, pathname, body instanceof ReadableStream || body]),
+    [
+      ['POST', '/api/objects/quantity_units', { name: 'Piece' }],
+      ['POST', '/api/objects/locations', { name: 'Fridge' }],
+      [
+        'POST',
+        '/api/objects/products',
+        { name: 'Milk', location_id: 101, qu_id_stock: 100, qu_id_purchase: 100, picture_file_name: 'milk.jpg' },
+      ],
+      [
+        'POST',
+        '/api/objects/products',
+        { name: 'Oat milk', location_id: 101, qu_id_stock: 100, qu_id_purchase: 100, parent_product_id: null },
+      ],
+      ['PUT', '/api/objects/products/103', { parent_product_id: 102 }],
+      ['POST', '/api/objects/product_barcodes', { product_id: 103, barcode: '4001' }],
+      ['PUT', '/api/objects/shopping_lists/1', { name: 'Shopping list' }],
+      ['POST', '/api/objects/shopping_lists', { name: 'Party' }],
+      ['POST', '/api/objects/shopping_list', { shopping_list_id: 105, product_id: 102, amount: 1 }],
+      ['POST', '/api/objects/shopping_list', { shopping_list_id: 105, product_id: null, amount: 1 }],
+      ['POST', '/api/objects/recipes', { name: 'Pancakes', type: 'normal' }],
+      ['POST', '/api/objects/recipes_pos', { recipe_id: 108, product_id: 102, amount: 1 }],
+      [
+        'POST',
+        '/api/objects/chores',
+        { name: 'Vacuum', assignment_config: '3', next_execution_assigned_to_user_id: null },
+      ],
+      ['POST', '/api/objects/tasks', { name: 'Call plumber', assigned_to_user_id: 3 }],
+      ['POST', '/api/objects/equipment', { name: 'Oven', instruction_manual_file_name: 'gone.pdf' }],
+      ['POST', '/api/objects/userfields', { entity: 'products', name: 'brand', type: 'text-single-line' }],
+      [
+        'POST',
+        '/api/stock/products/102/add',
+        { amount: 2, best_before_date: '2026-11-01', location_id: 101 },
+      ],
+      ['POST', '/api/stock/products/102/open', { amount: 2, stock_entry_id: 'new-stock-1' }],
+      ['PUT', '/api/userfields/products/102', { brand: 'Acme' }],
+      ['PUT', '/api/files/productpictures/bWlsay5qcGc%3D', true],
+    ],
+  );
+  // Test files are streamed from the backup directory
+  assert.deepStrictEqual(uploads, { '/api/files/productpictures/bWlsay5qcGc%3D': Buffer.from([1, 2, 3]) });
+  assert.strictEqual(restored.stock, 1);
+  assert.strictEqual(restored.userfields, 1);
+  assert.strictEqual(restored.files, 1);
+  assert.strictEqual(restored.entities.recipes, 1);
+  assert.deepStrictEqual(restored.ids.products, { 5: 102, 6: 103 });
+
+  // Test references that can't be remapped are cleared and reported
+  assert.deepStrictEqual(restored.unresolved, [
+    { entity: 'shopping_list', id: 2, field: 'product_id', value: 99 },
+    { entity: 'chores', id: 4, field: 'next_execution_assigned_to_user_id', value: 1 },
+    { entity: 'chores', id: 4, field: 'assignment_config', value: '1,2' },
+  ]);
+
+  // Test a failed write reports what was restored until then
+  const failing = createObjectServer({}, async (request) => {
+    if (request.method === 'POST' && request.pathname === '/api/objects/recipes') {
+      return createMockResponse(400, { error_message: 'Invalid recipe' });
+    }
+    return handleApi('4.2.0', [])(request);
+  });
+  await assert.rejects(new Grocy(BASE_URL, API_KEY, { fetch: failing.fetch }).restore(directory), (error) => {
+    assert.ok(error instanceof GrocyValidationError);
+    assert.deepStrictEqual(error.restored.ids.products, { 5: 102, 6: 103 });
+    assert.strictEqual(error.restored.entities.recipes, 0);
+    assert.strictEqual(error.restored.stock, 0);
+    return true;
+  });
+
+  // Test a restore refuses non-empty instances, other Grocy versions and unknown formats
+  const client = new Grocy(BASE_URL, API_KEY, { fetch: source.fetch });
+  await assert.rejects(client.restore(directory, { files: false }), /only be restored into an empty instance/);
+  const newer = createObjectServer({}, handleApi('4.3.0', []));
+  await assert.rejects(
+    new Grocy(BASE_URL, API_KEY, { fetch: newer.fetch }).restore(directory),
+    /made with Grocy 4.2.0, this instance runs 4.3.0/,
+  );
+  await new Grocy(BASE_URL, API_KEY, { fetch: newer.fetch }).restore(directory, { ignoreVersion: true, files: false });
+  assert.strictEqual(newer.writes().at(-1).pathname, '/api/userfields/products/102');
+
+  // Test a missing file is found before anything is written
+  await unlink(join(directory, 'files', 'productpictures', 'milk.jpg'));
+  const incomplete = createObjectServer({}, handleApi('4.2.0', []));
+  await assert.rejects(
+    new Grocy(BASE_URL, API_KEY, { fetch: incomplete.fetch }).restore(directory),
+    /Could not read the backup in .*milk\.jpg/,
+  );
+  assert.strictEqual(incomplete.calls.length, 0);
+
+  await assert.rejects(client.restore(join(directory, 'missing')), /Could not read the backup in/);
+  await writeFile(join(directory, 'backup.json'), JSON.stringify({ format: 'other' }));
+  await assert.rejects(client.restore(directory), GrocyInputError);
+  const secrets = { ...backup, files: [{ group: 'secrets', fileName: 'x' }] };
+  await writeFile(join(directory, 'backup.json'), JSON.stringify(secrets));
+  await assert.rejects(client.restore(directory), /Invalid backup file secrets\/x/);
+});
+
+test('Bulk operations', async () => {
+  // Books stock after a short delay, keeping track of the requests running at the same time; product 3 fails
+  const calls = [];
+  let active = 0;
+  let maxActive = 0;
+  let transaction = 0;
+  let onFail = null;
+  const fetch = async (url, options) => {
+    const { pathname } = new URL(url);
+    calls.push([options.method, pathname]);
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+    if (pathname.startsWith('/api/stock/products/3/') || pathname.endsWith('/404')) {
+      onFail?.();
+      return createMockResponse(400, { error_message: 'Amount to be consumed cannot be > current stock amount' });
+    }
+    if (pathname.endsWith('/undo') || options.method === 'PUT' || options.method === 'DELETE') {
+      return createMockResponse(204, null);
+    }
+    if (pathname.startsWith('/api/stock/products/6/')) {
+      return createMockResponse(200, { success: true });
+    }
+    transaction++;
+    return createMockResponse(200, [{ id: transaction, transaction_id: `tx${transaction}` }]);
+  };
+  const client = new Grocy(BASE_URL, API_KEY, { fetch });
+
+  // Test the items run with limited concurrency and failures are reported per item
+  const items = [1, 2, 3, 4, 5].map((productId) => ({ productId, data: { amount: 1 } }));
+  const added = await client.bulk({ concurrency: 2 }).add(items);
+  assert.ok(client.bulk() instanceof BulkOperations);
+  assert.strictEqual(maxActive, 2);
+  assert.deepStrictEqual(
+    { ok: added.ok, succeeded: added.succeeded, failed: added.failed, skipped: added.skipped, undone: added.undone },
+    { ok: false, succeeded: 4, failed: 1, skipped: 0, undone: 0 },
+  );
+  assert.deepStrictEqual(
+    added.results.map((result) => result.status),
+    ['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled'],
+  );
+  assert.strictEqual(added.results[0].item, items[0]);
+  assert.strictEqual(added.results[0].value[0].transaction_id, 'tx1');
+  assert.ok(added.results[2].error instanceof GrocyValidationError);
+
+  // Test all-or-nothing mode stops starting items and undoes the ones that succeeded
+  calls.length = 0;
+  transaction = 0;
+  const consumed = await client.bulk({ concurrency: 2, allOrNothing: true }).consume([
+    { productId: 1, data: { amount: 1 } },
+    { barcode: '4001', data: { amount: 1 } },
+    { productId: 3, data: { amount: 1 } },
+    { productId: 4, data: { amount: 1 } },
+    { productId: 5, data: { amount: 1 } },
+  ]);
+  assert.deepStrictEqual(calls, [
+    ['POST', '/api/stock/products/1/consume'],
+    ['POST', '/api/stock/products/by-barcode/4001/consume'],
+    ['POST', '/api/stock/products/3/consume'],
+    ['POST', '/api/stock/products/4/consume'],
+    ['POST', '/api/stock/transactions/tx3/undo'],
+    ['POST', '/api/stock/transactions/tx2/undo'],
+    ['POST', '/api/stock/transactions/tx1/undo'],
+  ]);
+  assert.deepStrictEqual(
+    consumed.results.map(({ status, undone }) => [status, undone ?? false]),
+    [
+      ['fulfilled', true],
+      ['fulfilled', true],
+      ['rejected', false],
+      ['fulfilled', true],
+      ['skipped', false],
+    ],
+  );
+  assert.deepStrictEqual([consumed.ok, consumed.skipped, consumed.undone], [false, 1, 3]);
+  assert.ok(client.transactions.every((remembered) => !remembered.endpoint.endsWith('/consume')));
+
+  // Test an abort that made an item fail doesn't stop the undo, and results without stock log entries are skipped
+  calls.length = 0;
+  transaction = 0;
+  const controller = new AbortController();
+  onFail = () => controller.abort();
+  const aborted = await client.bulk({ concurrency: 1, allOrNothing: true }).add(
+    [
+      { productId: 1, data: { amount: 1 } },
+      { productId: 6, data: { amount: 1 } },
+      { productId: 3, data: { amount: 1 } },
+    ],
+    { signal: controller.signal },
+  );
+  onFail = null;
+  assert.deepStrictEqual(
+    aborted.results.map(({ status, undone }) => [status, undone ?? false]),
+    [
+      ['fulfilled', true],
+      ['fulfilled', false],
+      ['rejected', false],
+    ],
+  );
+  assert.deepStrictEqual(calls.at(-1), ['POST', '/api/stock/transactions/tx1/undo']);
+
+  // Test an item without product is a failed item
+  const transferred = await client.bulk().transfer([{ data: { amount: 1 } }]);
+  assert.ok(transferred.results[0].error instanceof TypeError);
+
+  // Test object edits and deletions
+  calls.length = 0;
+  const edited = await client.bulk().editObjects('products', [
+    { id: 1, data: { name: 'Milk' } },
+    { id: 2, data: { name: 'Bread' } },
+  ]);
+  const deleted = await client.bulk().deleteObjects('products', [7, 404]);
+  assert.deepStrictEqual([edited.ok, edited.succeeded, deleted.ok, deleted.failed], [true, 2, false, 1]);
+  assert.deepStrictEqual(calls, [
+    ['PUT', '/api/objects/products/1'],
+    ['PUT', '/api/objects/products/2'],
+    ['DELETE', '/api/objects/products/7'],
+    ['DELETE', '/api/objects/products/404'],
+  ]);
+
+  // Test invalid options
+  assert.throws(() => client.bulk({ concurrency: 0 }), RangeError);
+  await assert.rejects(client.bulk({ allOrNothing: true }).deleteObjects('products', [1]), TypeError);
+});
+
+test('Stock action validation', async (t) => {
+  const fetchMock = t.mock.method(global, 'fetch', () =>
+    Promise.resolve(createMockResponse(200, [{ id: 1, transaction_id: 'tx1' }])),
+  );
+  const client = new Grocy(BASE_URL, API_KEY);
+  const problems = async (promise) => {
+    const error = await promise.then(() => null, (rejection) => rejection);
+    assert.ok(error instanceof GrocyInputError, String(error));
+    return error.problems;
+  };
+
+  // Test invalid data is rejected before any request, with all problems at once
+  assert.deepStrictEqual(await problems(client.addProductToStock(1, { amount: -1, best_before_date: '31/12/2023' })), [
+    'amount must be a positive number',
+    'best_before_date must be a date (YYYY-MM-DD)',
+  ]);
+  assert.deepStrictEqual(await problems(client.transferProduct(1, { amount: 1, location_id_from: 2 })), [
+    'location_id_to is required',
+  ]);
+  const consumed = client.consumeProductByBarcode('4001', { amount: 1, transaction_type: 'eat' });
+  assert.deepStrictEqual(await problems(consumed), [
+    'transaction_type must be one of purchase, consume, inventory-correction, product-opened, self-production, ' +
+      'stock-edit-old, stock-edit-new, transfer_from, transfer_to',
+  ]);
+  assert.deepStrictEqual(await problems(client.inventoryProduct(1, { new_amount: 'lots', location_id: 1.5 })), [
+    'new_amount must be a number of 0 or more',
+    'location_id must be an ID',
+  ]);
+  assert.deepStrictEqual(await problems(client.openProduct(1, {})), ['amount is required']);
+  assert.deepStrictEqual(await problems(client.addProductToStock(1, { amount: 1, stock_label_type: '3' })), [
+    'stock_label_type must be one of 0, 1, 2',
+  ]);
+  assert.deepStrictEqual(await problems(client.editStockEntry(1, { amount: 2, open: 'yes' })), [
+    'open must be a boolean or 0/1',
+  ]);
+  await assert.rejects(client.consumeProduct(1), /Invalid stock consume data: expected an object/);
+  assert.strictEqual(fetchMock.mock.callCount(), 0);
+
+  // Test valid data is sent, with dates formatted and unknown fields passed through
+  await client.addProductToStock(1, { amount: '2', best_before_date: new Date(2026, 11, 31), price: 0, custom: 'x' });
+  assert.deepStrictEqual(JSON.parse(fetchMock.mock.calls.at(-1).arguments[1].body), {
+    amount: '2',
+    best_before_date: '2026-12-31',
+    price: 0,
+    custom: 'x',
+  });
+  await client.inventoryProduct(1, { new_amount: 0 });
+  await client.addProductToStock(1, { amount: 1, stock_label_type: '1' });
+  assert.strictEqual(JSON.parse(fetchMock.mock.calls.at(-1).arguments[1].body).stock_label_type, '1');
+  await client.consumeProduct(1, { amount: 1, spoiled: true, stock_entry_id: 'abc', best_before_date: null });
+
+  // Test validation can be turned off
+  const unchecked = new Grocy(BASE_URL, API_KEY, { validateStockData: false });
+  await unchecked.transferProduct(1, { amount: -1 });
+  assert.deepStrictEqual(JSON.parse(fetchMock.mock.calls.at(-1).arguments[1].body), { amount: -1 });
+});